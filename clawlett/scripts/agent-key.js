@@ -0,0 +1,163 @@
+/**
+ * Agent key storage
+ *
+ * The agent key lives in config/agent.pk, either as an encrypted JSON
+ * keystore (ethers / scrypt) or, for older installs, as plaintext hex.
+ * The keystore passphrase comes from, in order:
+ *   1. CLAWLETT_KEY_PASSPHRASE
+ *   2. CLAWLETT_KEY_PASSPHRASE_FD (file descriptor to read it from)
+ *   3. an interactive prompt, when stdin is a terminal
+ *
+ * Plaintext keys still load (with a warning) until encrypted in place with
+ * `node keystore.js --encrypt`.
+ */
+
+import { ethers } from 'ethers'
+import fs from 'fs'
+import path from 'path'
+import readline from 'readline'
+
+const AGENT_KEY_FILE = 'agent.pk'
+
+// Key generated by rotate.js, promoted to agent.pk once the owner batch lands
+const NEXT_AGENT_KEY_FILE = 'agent.next.pk'
+
+const PASSPHRASE_ENV = 'CLAWLETT_KEY_PASSPHRASE'
+const PASSPHRASE_FD_ENV = 'CLAWLETT_KEY_PASSPHRASE_FD'
+
+function agentKeyPath(configDir, fileName = AGENT_KEY_FILE) {
+    return path.join(configDir, fileName)
+}
+
+function agentKeyExists(configDir, fileName = AGENT_KEY_FILE) {
+    return fs.existsSync(agentKeyPath(configDir, fileName))
+}
+
+function readAgentKeyFile(configDir, fileName = AGENT_KEY_FILE) {
+    const keyPath = agentKeyPath(configDir, fileName)
+    if (!fs.existsSync(keyPath)) {
+        throw new Error('Agent private key not found')
+    }
+    return fs.readFileSync(keyPath, 'utf8').trim()
+}
+
+function isKeystore(contents) {
+    return contents.startsWith('{')
+}
+
+// Keystore JSON carries the address, so it can be read without the passphrase
+function agentKeyInfo(configDir, fileName = AGENT_KEY_FILE) {
+    const contents = readAgentKeyFile(configDir, fileName)
+    if (isKeystore(contents)) {
+        return { encrypted: true, address: ethers.getAddress('0x' + JSON.parse(contents).address) }
+    }
+    const privateKey = contents.startsWith('0x') ? contents : '0x' + contents
+    return { encrypted: false, address: new ethers.Wallet(privateKey).address }
+}
+
+// ============================================================================
+// PASSPHRASE
+// ============================================================================
+
+function promptHidden(question) {
+    return new Promise((resolve, reject) => {
+        const rl = readline.createInterface({ input: process.stdin, output: process.stderr, terminal: true })
+        // Echo nothing while the passphrase is typed
+        rl._writeToOutput = (text) => {
+            if (text.includes(question)) rl.output.write(text)
+        }
+        rl.question(question, answer => {
+            rl.close()
+            process.stderr.write('\n')
+            resolve(answer)
+        })
+        rl.on('SIGINT', () => {
+            rl.close()
+            reject(new Error('Passphrase prompt cancelled'))
+        })
+    })
+}
+
+// confirm: ask twice when setting a new passphrase
+async function getPassphrase({ confirm = false } = {}) {
+    if (process.env[PASSPHRASE_ENV]) {
+        return process.env[PASSPHRASE_ENV]
+    }
+
+    if (process.env[PASSPHRASE_FD_ENV]) {
+        const fd = Number(process.env[PASSPHRASE_FD_ENV])
+        if (!Number.isInteger(fd) || fd < 0) {
+            throw new Error(`${PASSPHRASE_FD_ENV} must be a file descriptor number`)
+        }
+        return fs.readFileSync(fd, 'utf8').replace(/\r?\n$/, '')
+    }
+
+    if (!process.stdin.isTTY) {
+        throw new Error(
+            `Agent key passphrase required. Set ${PASSPHRASE_ENV}, or ${PASSPHRASE_FD_ENV} ` +
+            `to a file descriptor to read it from, or run in a terminal.`
+        )
+    }
+
+    const passphrase = await promptHidden('Agent key passphrase: ')
+    if (confirm) {
+        const again = await promptHidden('Repeat passphrase: ')
+        if (again !== passphrase) throw new Error('Passphrases do not match')
+    }
+    return passphrase
+}
+
+// ============================================================================
+// LOAD / SAVE
+// ============================================================================
+
+// passphrase: reuse one already read instead of asking again
+async function loadAgentWallet(configDir, provider, { warnPlaintext = true, passphrase = null, fileName = AGENT_KEY_FILE } = {}) {
+    const contents = readAgentKeyFile(configDir, fileName)
+
+    let wallet
+    if (isKeystore(contents)) {
+        const secret = passphrase ?? await getPassphrase()
+        try {
+            wallet = await ethers.Wallet.fromEncryptedJson(contents, secret)
+        } catch {
+            throw new Error('Could not decrypt agent keystore (wrong passphrase?)')
+        }
+    } else {
+        if (warnPlaintext) {
+            console.error('Warning: agent key is stored in plaintext. Encrypt it with: node keystore.js --encrypt')
+        }
+        wallet = new ethers.Wallet(contents.startsWith('0x') ? contents : '0x' + contents)
+    }
+
+    return provider ? wallet.connect(provider) : wallet
+}
+
+// Write to a temp file and rename so the key is never half-written
+function writeKeyFile(keyPath, contents) {
+    const tmpPath = `${keyPath}.tmp`
+    fs.writeFileSync(tmpPath, contents, { mode: 0o600 })
+    fs.renameSync(tmpPath, keyPath)
+}
+
+async function saveAgentKeystore(configDir, wallet, passphrase, fileName = AGENT_KEY_FILE) {
+    writeKeyFile(agentKeyPath(configDir, fileName), await wallet.encrypt(passphrase))
+}
+
+function saveAgentKeyPlaintext(configDir, wallet, fileName = AGENT_KEY_FILE) {
+    writeKeyFile(agentKeyPath(configDir, fileName), wallet.privateKey.slice(2))
+}
+
+export {
+    AGENT_KEY_FILE,
+    NEXT_AGENT_KEY_FILE,
+    PASSPHRASE_ENV,
+    PASSPHRASE_FD_ENV,
+    agentKeyPath,
+    agentKeyExists,
+    agentKeyInfo,
+    getPassphrase,
+    loadAgentWallet,
+    saveAgentKeystore,
+    saveAgentKeyPlaintext,
+}
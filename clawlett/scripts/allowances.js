@@ -0,0 +1,393 @@
+#!/usr/bin/env node
+
+/**
+ * Audit and revoke token allowances granted by the Safe
+ *
+ * Checks allowance(safe, spender) for every verified token and every token
+ * the Safe has traded (order ledger + CoW order history) against the known
+ * spenders: the CoW Vault Relayer and the Aerodrome routers used by past
+ * versions. Unlimited approvals are flagged and can be revoked to zero
+ * through the Roles-permitted ZodiacHelpers approve functions.
+ *
+ * Usage:
+ *   node allowances.js                      # Audit
+ *   node allowances.js --revoke             # Preview revoking unlimited approvals
+ *   node allowances.js --revoke --execute   # Revoke unlimited approvals
+ *   node allowances.js --revoke-all --execute
+ */
+
+import { ethers } from 'ethers'
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { ERC20_ABI, verifiedTokens } from './tokens.js'
+import { cowVaultRelayer, getAccountOrders } from './cow.js'
+import { loadLedger } from './ledger.js'
+import { MULTISEND_ADDRESS, planRoleExecutions } from './multisend.js'
+import { createAgentSigner } from './signer.js'
+import { activeNetwork, connectNetwork, requireZodiacHelpers } from './networks.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+const NATIVE_ETH = '0x0000000000000000000000000000000000000000'
+
+// Approvals at or above this are treated as unlimited (some tokens decrement MaxUint256)
+const UNLIMITED_THRESHOLD = ethers.MaxUint256 / 2n
+
+// ABIs
+const ROLES_ABI = [
+    'function execTransactionWithRole(address to, uint256 value, bytes data, uint8 operation, bytes32 roleKey, bool shouldRevert) returns (bool)',
+]
+
+const ZODIAC_HELPERS_ABI = [
+    'function approveForCow(address token, uint256 amount) external',
+    'function approveForRouter(address token, uint256 amount) external',
+]
+
+const ERC20_APPROVE_ABI = [
+    'function approve(address spender, uint256 amount) returns (bool)',
+]
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function formatAmount(amount, decimals, symbol) {
+    if (amount >= UNLIMITED_THRESHOLD) return `UNLIMITED ${symbol}`
+    const formatted = ethers.formatUnits(amount, decimals)
+    const num = parseFloat(formatted)
+    if (num === 0) return `0 ${symbol}`
+    if (num < 0.0001) return `${formatted} ${symbol}`
+    return `${num.toLocaleString(undefined, { maximumFractionDigits: 6 })} ${symbol}`
+}
+
+function loadConfig(configDir) {
+    const configPath = path.join(configDir, 'wallet.json')
+    if (!fs.existsSync(configPath)) {
+        throw new Error(`Config not found: ${configPath}\nRun initialize.js first.`)
+    }
+    return JSON.parse(fs.readFileSync(configPath, 'utf8'))
+}
+
+// Known spenders. `helper` names the ZodiacHelpers function that can reset the
+// allowance through Roles; spenders without one need an owner transaction.
+function getSpenders(config) {
+    const spenders = [
+        { name: 'CoW Vault Relayer', address: cowVaultRelayer(), helper: 'approveForCow' },
+    ]
+    if (config.contracts?.AeroUniversalRouter) {
+        spenders.push({ name: 'Aerodrome Universal Router', address: config.contracts.AeroUniversalRouter, helper: 'approveForRouter' })
+    }
+    spenders.push(...(activeNetwork().legacySpenders || []).map(s => ({ ...s, helper: null })))
+
+    // Deduplicate (the configured router may match a legacy entry)
+    const seen = new Set()
+    return spenders.filter(s => {
+        const key = s.address.toLowerCase()
+        if (seen.has(key)) return false
+        seen.add(key)
+        return true
+    })
+}
+
+// Verified tokens plus every token the Safe has traded, from the local order
+// ledger and the CoW order history (best effort)
+async function collectTokens(configDir, safeAddress) {
+    const tokens = new Set(
+        Object.values(verifiedTokens())
+            .filter(address => address !== NATIVE_ETH)
+            .map(address => ethers.getAddress(address))
+    )
+
+    for (const entry of Object.values(loadLedger(configDir).orders)) {
+        tokens.add(ethers.getAddress(entry.order.sellToken))
+        tokens.add(ethers.getAddress(entry.order.buyToken))
+    }
+
+    try {
+        const orders = await getAccountOrders(safeAddress, { limit: 1000 })
+        for (const order of orders) {
+            tokens.add(ethers.getAddress(order.sellToken))
+            tokens.add(ethers.getAddress(order.buyToken))
+        }
+    } catch {
+        // CoW API unavailable - verified + ledger tokens still get audited
+    }
+
+    return [...tokens]
+}
+
+async function auditToken(provider, tokenAddress, safeAddress, spenders) {
+    const contract = new ethers.Contract(tokenAddress, ERC20_ABI, provider)
+    const [symbol, decimals] = await Promise.all([contract.symbol(), contract.decimals()])
+    const allowances = await Promise.all(spenders.map(s => contract.allowance(safeAddress, s.address)))
+
+    const verified = Object.values(verifiedTokens()).some(a => a.toLowerCase() === tokenAddress.toLowerCase())
+    return spenders
+        .map((spender, i) => ({
+            token: tokenAddress,
+            symbol,
+            decimals: Number(decimals),
+            verified,
+            spender: spender.address,
+            spenderName: spender.name,
+            helper: spender.helper,
+            allowance: allowances[i],
+            unlimited: allowances[i] >= UNLIMITED_THRESHOLD,
+        }))
+        .filter(a => a.allowance > 0n)
+}
+
+function parseArgs() {
+    const args = process.argv.slice(2)
+    const result = {
+        revoke: false,
+        revokeAll: false,
+        execute: false,
+        configDir: process.env.WALLET_CONFIG_DIR || path.join(__dirname, '..', 'config'),
+        network: null,
+        rpc: null,
+        json: false,
+    }
+
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--revoke':
+                result.revoke = true
+                break
+            case '--revoke-all':
+                result.revoke = true
+                result.revokeAll = true
+                break
+            case '--execute':
+            case '-x':
+                result.execute = true
+                break
+            case '--config-dir':
+            case '-c':
+                result.configDir = args[++i]
+                break
+            case '--network':
+                result.network = args[++i]
+                break
+            case '--rpc':
+            case '-r':
+                result.rpc = args[++i]
+                break
+            case '--json':
+            case '-j':
+                result.json = true
+                break
+            case '--help':
+            case '-h':
+                printHelp()
+                process.exit(0)
+        }
+    }
+
+    return result
+}
+
+function printHelp() {
+    console.log(`
+Usage: node allowances.js [--revoke | --revoke-all] [--execute]
+
+Audit the token allowances the Safe has granted and revoke them to zero.
+
+Options:
+  --revoke         Revoke unlimited approvals (preview unless --execute)
+  --revoke-all     Revoke every non-zero approval (preview unless --execute)
+  --execute, -x    Send the revoke transaction(s)
+  --config-dir, -c Config directory
+  --network        base, ethereum, arbitrum or gnosis (default: wallet.json's, else base)
+  --rpc, -r        RPC URL (default: $<NETWORK>_RPC_URL, else the network's public RPC)
+  --json, -j       Output machine-readable JSON
+
+Notes:
+  - CoW Vault Relayer and the current Aerodrome router are revoked by the agent
+    via ZodiacHelpers. Other spenders need an owner transaction; the calldata
+    is printed for the Safe Transaction Builder.
+
+Examples:
+  node allowances.js
+  node allowances.js --revoke --execute
+`)
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+async function main() {
+    const args = parseArgs()
+
+    let config
+    try {
+        config = loadConfig(args.configDir)
+    } catch (error) {
+        console.error(`Error: ${error.message}`)
+        process.exit(1)
+    }
+
+    let provider
+    try {
+        ({ provider } = await connectNetwork(config, args))
+    } catch (error) {
+        console.error(`Error: ${error.message}`)
+        process.exit(1)
+    }
+    const safeAddress = config.safe
+    const spenders = getSpenders(config)
+
+    if (!args.json) console.log(`\nSafe: ${safeAddress}\n\nScanning allowances...`)
+
+    const tokens = await collectTokens(args.configDir, safeAddress)
+    const allowances = []
+    const failed = []
+    for (const token of tokens) {
+        try {
+            allowances.push(...await auditToken(provider, token, safeAddress, spenders))
+        } catch (error) {
+            failed.push({ token, error: error.shortMessage || error.message })
+        }
+    }
+
+    const targets = args.revoke
+        ? allowances.filter(a => args.revokeAll || a.unlimited)
+        : []
+    const agentRevocable = targets.filter(a => a.helper)
+    const ownerRevocable = targets.filter(a => !a.helper)
+
+    if (args.json && !args.execute) {
+        console.log(JSON.stringify({
+            safe: safeAddress,
+            tokensScanned: tokens.length,
+            allowances: allowances.map(a => ({ ...a, allowance: a.allowance.toString() })),
+            failed,
+            revoke: targets.map(a => ({ token: a.token, spender: a.spender, by: a.helper ? 'agent' : 'owner' })),
+        }, null, 2))
+        return
+    }
+
+    if (!args.json) {
+        console.log(`Scanned ${tokens.length} tokens against ${spenders.length} spenders\n`)
+        if (allowances.length === 0) {
+            console.log('No outstanding allowances.\n')
+        }
+        for (const a of allowances) {
+            const flag = a.unlimited ? '  ⚠ unlimited' : ''
+            console.log(`${a.symbol.padEnd(8)} ${a.spenderName.padEnd(36)} ${formatAmount(a.allowance, a.decimals, a.symbol)}${flag}`)
+            if (!a.verified) console.log(`         ${a.token} (unverified token)`)
+        }
+        for (const f of failed) {
+            console.log(`Could not read ${f.token}: ${f.error}`)
+        }
+    }
+
+    if (!args.revoke) {
+        const unlimited = allowances.filter(a => a.unlimited).length
+        if (unlimited > 0 && !args.json) {
+            console.log(`\n${unlimited} unlimited approval(s). Revoke with: node allowances.js --revoke --execute`)
+        }
+        if (!args.json) console.log('')
+        return
+    }
+
+    if (targets.length === 0) {
+        if (!args.json) console.log('\nNothing to revoke.\n')
+        return
+    }
+
+    if (ownerRevocable.length > 0 && !args.json) {
+        console.log('\nOwner action required (agent has no permission for these spenders).')
+        console.log('Submit via Safe Transaction Builder:')
+        const approveInterface = new ethers.Interface(ERC20_APPROVE_ABI)
+        for (const a of ownerRevocable) {
+            console.log(`   to: ${a.token} (${a.symbol})`)
+            console.log(`   data: ${approveInterface.encodeFunctionData('approve', [a.spender, 0n])}`)
+        }
+    }
+
+    if (agentRevocable.length === 0) {
+        if (!args.json) console.log('')
+        return
+    }
+
+    if (!args.execute) {
+        console.log(`\nWill revoke ${agentRevocable.length} approval(s) via ZodiacHelpers:`)
+        for (const a of agentRevocable) {
+            console.log(`   - ${a.symbol} → ${a.spenderName}`)
+        }
+        console.log('\nPREVIEW ONLY - Add --execute to revoke')
+        return
+    }
+
+    try {
+        requireZodiacHelpers()
+    } catch (error) {
+        console.error(`Error: ${error.message}`)
+        process.exit(1)
+    }
+    const zodiacHelpersAddress = config.contracts?.ZodiacHelpers
+    if (!zodiacHelpersAddress) {
+        console.error('Error: ZodiacHelpers address not found in config. Re-run initialize.js.')
+        process.exit(1)
+    }
+
+    let wallet
+    try {
+        wallet = await createAgentSigner(config, args.configDir, provider)
+    } catch (error) {
+        console.error(`Error: ${error.message}`)
+        process.exit(1)
+    }
+    const roles = new ethers.Contract(config.roles, ROLES_ABI, wallet)
+    const helpersInterface = new ethers.Interface(ZODIAC_HELPERS_ABI)
+
+    const steps = agentRevocable.map(a => ({
+        label: `${a.symbol} → ${a.spenderName}`,
+        to: zodiacHelpersAddress,
+        value: 0n,
+        data: helpersInterface.encodeFunctionData(a.helper, [a.token, 0n]),
+    }))
+
+    const multiSendAddress = config.contracts?.MultiSend || MULTISEND_ADDRESS
+    const executions = await planRoleExecutions(roles, config.roleKey, multiSendAddress, steps)
+
+    if (!args.json) console.log('\nRevoking...')
+    const txHashes = []
+    for (const execution of executions) {
+        const tx = await roles.execTransactionWithRole(
+            execution.to,
+            0n,
+            execution.data,
+            1, // delegatecall
+            config.roleKey,
+            true
+        )
+        if (!args.json) console.log(`   ${execution.steps.map(s => s.label).join(', ')}: ${tx.hash}`)
+        const receipt = await tx.wait()
+        if (receipt.status !== 1) {
+            console.error('   Revoke transaction failed!')
+            process.exit(1)
+        }
+        txHashes.push(tx.hash)
+    }
+
+    if (args.json) {
+        console.log(JSON.stringify({
+            safe: safeAddress,
+            revoked: agentRevocable.map(a => ({ token: a.token, spender: a.spender })),
+            ownerActionRequired: ownerRevocable.map(a => ({ token: a.token, spender: a.spender })),
+            txHashes,
+        }, null, 2))
+    } else {
+        console.log(`\nRevoked ${agentRevocable.length} approval(s).\n`)
+    }
+}
+
+main().catch(error => {
+    console.error(`\nError: ${error.message}`)
+    process.exit(1)
+})
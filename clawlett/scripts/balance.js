@@ -3,41 +3,51 @@
 /**
  * Check Safe balances
  *
+ * Tokens are resolved through tokens.js, the same registry and resolver
+ * swap.js uses, so a symbol means the same token in both scripts.
+ *
  * Usage:
- *   node balance.js              # ETH balance
- *   node balance.js --token USDC # Specific token
+ *   node balance.js              # ETH and WETH balances
+ *   node balance.js --token USDC # Specific token (symbol or address)
  *   node balance.js --all        # All verified tokens
+ *   node balance.js --all --usd  # With USD values and portfolio weights
+ *   node balance.js --discover   # All tokens ever received (Transfer logs)
+ *   node balance.js --all --at 2026-09-30T23:59:59Z  # Historical balances
+ *
+ * --all batches every read into Multicall3 aggregate3 calls and caches token
+ * metadata in the config dir, so repeat runs only fetch balances.
  */
 
 import { ethers } from 'ethers'
 import fs from 'fs'
 import path from 'path'
 import { fileURLToPath } from 'url'
+import { ERC20_ABI, resolveToken, verifiedTokens, findVerifiedToken, isProtectedSymbol } from './tokens.js'
+import { aggregate3 } from './multicall.js'
+import { getCowQuote, getNativePrice } from './cow.js'
+import { activeNetwork, connectNetwork } from './networks.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
 
-const DEFAULT_RPC_URL = 'https://mainnet.base.org'
-
-const VERIFIED_TOKENS = {
-    'ETH': '0x4200000000000000000000000000000000000006',
-    'USDC': '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913',
-    'USDT': '0xfde4C96c8593536E31F229EA8f37b2ADa2699bb2',
-    'DAI': '0x50c5725949A6F0c72E6C4a641F24049A917DB0Cb',
-    'AERO': '0x940181a94A35A4569E4529A3CDfB74e38FD98631',
-    'cbBTC': '0xcbB7C0000aB88B473b1f5aFd9ef808440eed33Bf',
-    'VIRTUAL': '0x0b3e328455c4059EEb9e3f84b5543F74E24e7E1b',
-    'DEGEN': '0x4ed4E862860beD51a9570b96d89aF5E1B0Efefed',
-    'BRETT': '0x532f27101965dd16442E59d40670FaF5eBB142E4',
-    'TOSHI': '0xAC1Bd2486aAf3B5C0fc3Fd868558b082a531B2B4',
-    'WELL': '0xA88594D404727625A9437C3f886C7643872296AE',
-    'BID': '0xa1832f7f4e534ae557f9b5ab76de54b1873e498b',
-}
-
-const ERC20_ABI = [
-    'function symbol() view returns (string)',
-    'function decimals() view returns (uint8)',
-    'function balanceOf(address) view returns (uint256)',
+const NATIVE_ETH = '0x0000000000000000000000000000000000000000'
+
+// USD reference for valuation is the network's native USDC (6 decimals)
+const USDC_DECIMALS = 6
+
+// Token symbol/decimals never change, so they are cached in the config dir
+const TOKEN_CACHE_FILE = 'token-cache.json'
+
+// Incremental Transfer-log scan state (per chain: safe, next block, tokens found)
+const DISCOVERY_FILE = 'token-discovery.json'
+const DISCOVERY_BLOCK_RANGE = 5000
+const DISCOVERY_MIN_BLOCK_RANGE = 100
+
+const TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)')
+
+// Some older tokens return symbol() as bytes32
+const ERC20_BYTES32_SYMBOL_ABI = [
+    'function symbol() view returns (bytes32)',
 ]
 
 function loadConfig(configDir) {
@@ -53,8 +63,13 @@ function parseArgs() {
     const result = {
         token: null,
         all: false,
+        usd: false,
+        discover: false,
+        block: null,
+        at: null,
         configDir: process.env.WALLET_CONFIG_DIR || path.join(__dirname, '..', 'config'),
-        rpc: process.env.BASE_RPC_URL || DEFAULT_RPC_URL,
+        network: null,
+        rpc: null,
         json: false,
     }
 
@@ -68,10 +83,29 @@ function parseArgs() {
             case '-a':
                 result.all = true
                 break
+            case '--discover':
+            case '-d':
+                result.discover = true
+                result.all = true
+                break
+            case '--block':
+            case '-b':
+                result.block = args[++i]
+                break
+            case '--at':
+                result.at = args[++i]
+                break
+            case '--usd':
+            case '-u':
+                result.usd = true
+                break
             case '--config-dir':
             case '-c':
                 result.configDir = args[++i]
                 break
+            case '--network':
+                result.network = args[++i]
+                break
             case '--rpc':
             case '-r':
                 result.rpc = args[++i]
@@ -95,15 +129,38 @@ function printHelp() {
 Usage: node balance.js [options]
 
 Options:
-  --token, -t      Check specific token balance
+  --token, -t      Check specific token balance (symbol or address)
   --all, -a        Check all verified token balances
+  --discover, -d   Also scan every ERC-20 the Safe ever received (implies --all)
+  --usd, -u        Show USD value, portfolio weight and total
+  --block, -b      Read balances at this block number
+  --at             Read balances at this date (ISO 8601, e.g. 2026-09-30T23:59:59Z)
   --config-dir, -c Config directory
-  --rpc, -r        RPC URL (default: ${DEFAULT_RPC_URL})
-  --json, -j      Output machine-readable JSON
+  --network        base, ethereum, arbitrum or gnosis (default: wallet.json's, else base)
+  --rpc, -r        RPC URL (default: $<NETWORK>_RPC_URL, else the network's public RPC)
+  --json, -j       Output machine-readable JSON
+
+Notes:
+  - Symbols resolve exactly as in swap.js: verified list first, then DexScreener
+    (pairs on the wallet's network). Unverified tokens and look-alikes of verified
+    symbols show a warning.
+  - The native currency and its wrapped token (ETH and WETH on Base) are always
+    listed separately.
+  - --discover scans Transfer logs from the Safe's deployment block. Progress is kept
+    in ${DISCOVERY_FILE} in the config dir, so later runs only scan new blocks.
+  - USD values come from CoW native prices, falling back to a CoW quote to USDC.
+    Tokens with neither are marked "unpriced" and left out of the total.
+  - --at resolves to the last block at or before the date. Historical reads need an
+    archive RPC; USD values always use current prices.
+
 Examples:
-  node balance.js              # ETH balance only
+  node balance.js              # ETH and WETH balances
   node balance.js --token USDC # USDC balance
+  node balance.js --token 0x... # Token by address
   node balance.js --all        # All token balances
+  node balance.js --all --usd  # Portfolio valuation
+  node balance.js --discover   # Include long-tail tokens bought by address
+  node balance.js --all --at 2026-09-30T23:59:59Z  # Month-end balances
 `)
 }
 
@@ -115,14 +172,334 @@ function formatAmount(amount, decimals, symbol) {
     return `${num.toLocaleString(undefined, { maximumFractionDigits: 6 })} ${symbol}`
 }
 
-async function getTokenBalance(provider, safeAddress, tokenAddress) {
-    const contract = new ethers.Contract(tokenAddress, ERC20_ABI, provider)
-    const [symbol, decimals, balance] = await Promise.all([
-        contract.symbol(),
-        contract.decimals(),
-        contract.balanceOf(safeAddress),
-    ])
-    return { symbol, decimals: Number(decimals), balance }
+// ============================================================================
+// PORTFOLIO SCAN
+// ============================================================================
+
+function loadTokenCache(configDir, chainId) {
+    const cacheFile = path.join(configDir, TOKEN_CACHE_FILE)
+    const cache = fs.existsSync(cacheFile) ? JSON.parse(fs.readFileSync(cacheFile, 'utf8')) : {}
+    return cache[chainId] || {}
+}
+
+function saveTokenCache(configDir, chainId, tokens) {
+    const cacheFile = path.join(configDir, TOKEN_CACHE_FILE)
+    const cache = fs.existsSync(cacheFile) ? JSON.parse(fs.readFileSync(cacheFile, 'utf8')) : {}
+    cache[chainId] = tokens
+    fs.writeFileSync(cacheFile, JSON.stringify(cache, null, 2))
+}
+
+function decodeSymbol(result) {
+    if (result.success) return result.value
+    if (result.returnData) {
+        try {
+            const [raw] = new ethers.Interface(ERC20_BYTES32_SYMBOL_ABI).decodeFunctionResult('symbol', result.returnData)
+            return ethers.toUtf8String(raw).replace(/\0+$/, '')
+        } catch {
+            // fall through
+        }
+    }
+    return null
+}
+
+// Read balances for `addresses` with Multicall3. Metadata missing from the
+// cache is fetched in the same pass and written back. Returns
+// { balances: [{ address, symbol, decimals, balance }], failed: [{ address, symbol, error }] }
+async function scanBalances(provider, configDir, chainId, safeAddress, addresses, blockTag) {
+    const erc20 = new ethers.Interface(ERC20_ABI)
+    const cache = loadTokenCache(configDir, chainId)
+    const failed = []
+
+    const missing = addresses.filter(address => !cache[address.toLowerCase()])
+    if (missing.length > 0) {
+        const results = await aggregate3(provider, missing.flatMap(address => [
+            { target: address, iface: erc20, fn: 'symbol' },
+            { target: address, iface: erc20, fn: 'decimals' },
+        ]))
+        missing.forEach((address, i) => {
+            const symbol = decodeSymbol(results[i * 2])
+            const decimals = results[i * 2 + 1]
+            if (symbol === null || !decimals.success) {
+                failed.push({ address, symbol, error: symbol === null ? results[i * 2].error : decimals.error })
+                return
+            }
+            cache[address.toLowerCase()] = { address, symbol, decimals: Number(decimals.value) }
+        })
+        saveTokenCache(configDir, chainId, cache)
+    }
+
+    const known = addresses.filter(address => cache[address.toLowerCase()])
+    const results = await aggregate3(provider, known.map(address => (
+        { target: address, iface: erc20, fn: 'balanceOf', args: [safeAddress] }
+    )), { blockTag })
+
+    const balances = []
+    known.forEach((address, i) => {
+        const meta = cache[address.toLowerCase()]
+        if (!results[i].success) {
+            failed.push({ address, symbol: meta.symbol, error: results[i].error })
+            return
+        }
+        balances.push({ address, symbol: meta.symbol, decimals: meta.decimals, balance: results[i].value })
+    })
+
+    return { balances, failed }
+}
+
+// ============================================================================
+// HISTORICAL BLOCKS
+// ============================================================================
+
+// Last block with timestamp <= `timestamp` (seconds), by binary search
+async function findBlockByTimestamp(provider, timestamp) {
+    const latest = await provider.getBlock('latest')
+    if (timestamp >= latest.timestamp) return latest
+
+    const genesis = await provider.getBlock(0)
+    if (timestamp < genesis.timestamp) {
+        throw new Error(`${new Date(timestamp * 1000).toISOString()} is before the first block`)
+    }
+
+    let low = 0
+    let high = latest.number
+    while (low < high) {
+        const mid = Math.ceil((low + high) / 2)
+        const block = await provider.getBlock(mid)
+        if (block.timestamp <= timestamp) {
+            low = mid
+        } else {
+            high = mid - 1
+        }
+    }
+    return provider.getBlock(low)
+}
+
+// Resolve --block / --at to { number, timestamp }, or null for the latest block
+async function resolveBlock(provider, args) {
+    if (args.block === null && args.at === null) return null
+
+    if (args.block !== null) {
+        if (!/^\d+$/.test(args.block)) throw new Error(`Invalid --block "${args.block}"`)
+        const block = await provider.getBlock(Number(args.block))
+        if (!block) throw new Error(`Block ${args.block} not found`)
+        return { number: block.number, timestamp: block.timestamp }
+    }
+
+    const date = new Date(args.at)
+    if (Number.isNaN(date.getTime())) throw new Error(`Invalid --at date "${args.at}" (use ISO 8601)`)
+    if (date.getTime() > Date.now()) throw new Error(`--at ${args.at} is in the future`)
+    const block = await findBlockByTimestamp(provider, Math.floor(date.getTime() / 1000))
+    return { number: block.number, timestamp: block.timestamp }
+}
+
+// ============================================================================
+// TOKEN DISCOVERY
+// ============================================================================
+
+function loadDiscovery(configDir, chainId, safeAddress) {
+    const discoveryFile = path.join(configDir, DISCOVERY_FILE)
+    const state = fs.existsSync(discoveryFile) ? JSON.parse(fs.readFileSync(discoveryFile, 'utf8')) : {}
+    const entry = state[chainId]
+    // A different Safe in the same config dir starts over
+    if (!entry || entry.safe.toLowerCase() !== safeAddress.toLowerCase()) return null
+    return entry
+}
+
+function saveDiscovery(configDir, chainId, entry) {
+    const discoveryFile = path.join(configDir, DISCOVERY_FILE)
+    const state = fs.existsSync(discoveryFile) ? JSON.parse(fs.readFileSync(discoveryFile, 'utf8')) : {}
+    state[chainId] = entry
+    fs.writeFileSync(discoveryFile, JSON.stringify(state, null, 2))
+}
+
+// Safe deployment block: wallet.json, then a leftover init-state.json, then a
+// binary search for the first block where the Safe has code
+async function findDeploymentBlock(provider, config, configDir) {
+    if (config.safeBlockNumber) return Number(config.safeBlockNumber)
+
+    const statePath = path.join(configDir, 'init-state.json')
+    if (fs.existsSync(statePath)) {
+        const state = JSON.parse(fs.readFileSync(statePath, 'utf8'))
+        if (state.safeBlockNumber) return Number(state.safeBlockNumber)
+    }
+
+    let low = 0
+    let high = await provider.getBlockNumber()
+    while (low < high) {
+        const mid = Math.floor((low + high) / 2)
+        const code = await provider.getCode(config.safe, mid)
+        if (code === '0x') {
+            low = mid + 1
+        } else {
+            high = mid
+        }
+    }
+    return low
+}
+
+// Scan ERC-20 Transfer logs to the Safe from the saved cursor to the latest
+// block. The cursor is saved after every range, so an interrupted scan resumes
+// where it stopped. Returns { tokens, fromBlock, toBlock }.
+async function discoverTokens(provider, config, configDir, chainId, { quiet = false } = {}) {
+    const safeAddress = config.safe
+    const entry = loadDiscovery(configDir, chainId, safeAddress) || {
+        safe: safeAddress,
+        fromBlock: await findDeploymentBlock(provider, config, configDir),
+        nextBlock: null,
+        tokens: [],
+    }
+    if (entry.nextBlock === null) entry.nextBlock = entry.fromBlock
+
+    const tokens = new Set(entry.tokens)
+    const latest = await provider.getBlockNumber()
+    const startBlock = entry.nextBlock
+    const toTopic = ethers.zeroPadValue(safeAddress, 32)
+    let range = DISCOVERY_BLOCK_RANGE
+
+    while (entry.nextBlock <= latest) {
+        const toBlock = Math.min(entry.nextBlock + range - 1, latest)
+        let logs
+        try {
+            logs = await provider.getLogs({
+                fromBlock: entry.nextBlock,
+                toBlock,
+                topics: [TRANSFER_TOPIC, null, toTopic],
+            })
+        } catch (error) {
+            // RPCs cap the range or result size; shrink and retry
+            if (range <= DISCOVERY_MIN_BLOCK_RANGE) throw error
+            range = Math.max(Math.floor(range / 2), DISCOVERY_MIN_BLOCK_RANGE)
+            continue
+        }
+
+        // ERC-721 shares the Transfer signature but indexes tokenId (4 topics)
+        for (const log of logs) {
+            if (log.topics.length === 3) tokens.add(ethers.getAddress(log.address))
+        }
+
+        entry.nextBlock = toBlock + 1
+        entry.tokens = [...tokens]
+        saveDiscovery(configDir, chainId, entry)
+
+        if (!quiet && latest > startBlock) {
+            const pct = ((toBlock - startBlock + 1) / (latest - startBlock + 1) * 100).toFixed(0)
+            process.stdout.write(`\rScanning Transfer logs: block ${toBlock} (${pct}%)`)
+        }
+    }
+    if (!quiet && latest > startBlock) process.stdout.write('\n')
+
+    return { tokens: entry.tokens, fromBlock: entry.fromBlock, toBlock: latest }
+}
+
+// Flag unverified tokens that reuse a protected symbol (same rule as tokens.js)
+function lookalikeWarning(symbol, address) {
+    if (!isProtectedSymbol(symbol)) return null
+    return `WARNING: Token has symbol "${symbol}" but is NOT the verified ${symbol} (${findVerifiedToken(symbol)?.address}).\n` +
+        `Found: ${address}\n` +
+        `This could be a SCAM TOKEN.`
+}
+
+// ============================================================================
+// USD VALUATION
+// ============================================================================
+
+// Value one holding in USD: CoW native price (token and USDC both in wei per
+// atom) first, then a sell quote to USDC. Returns { usd, source } or null.
+async function priceHolding(entry, usdcNativePrice, safeAddress) {
+    const balance = BigInt(entry.balance)
+    if (balance === 0n) return { usd: 0, source: null }
+    const { wrappedNative, usdc } = activeNetwork()
+    const address = entry.address === NATIVE_ETH ? wrappedNative.address : entry.address
+    const amount = Number(ethers.formatUnits(balance, entry.decimals))
+
+    if (address.toLowerCase() === usdc.toLowerCase()) {
+        return { usd: amount, source: 'usdc' }
+    }
+
+    if (usdcNativePrice) {
+        try {
+            const nativePrice = await getNativePrice(address)
+            const usdPerToken = nativePrice * 10 ** entry.decimals / (usdcNativePrice * 10 ** USDC_DECIMALS)
+            return { usd: amount * usdPerToken, source: 'cow-native-price' }
+        } catch {
+            // fall back to a quote
+        }
+    }
+
+    try {
+        const { quote } = await getCowQuote({ address }, { address: usdc }, balance, safeAddress, 'sell')
+        // Value the full balance: scale the net output back up by the quoted fee
+        const sellAmount = BigInt(quote.sellAmount)
+        const gross = sellAmount > 0n
+            ? BigInt(quote.buyAmount) * (sellAmount + BigInt(quote.feeAmount)) / sellAmount
+            : 0n
+        return { usd: Number(ethers.formatUnits(gross, USDC_DECIMALS)), source: 'cow-quote' }
+    } catch {
+        return null
+    }
+}
+
+// Annotate entries in place with usd / priceSource / weight and return the totals
+async function valuePortfolio(entries, safeAddress) {
+    let usdcNativePrice = null
+    try {
+        usdcNativePrice = await getNativePrice(activeNetwork().usdc)
+    } catch {
+        // quotes only
+    }
+
+    let totalUsd = 0
+    const unpriced = []
+    for (const entry of entries) {
+        const price = await priceHolding(entry, usdcNativePrice, safeAddress)
+        if (price === null) {
+            entry.usd = null
+            entry.priceSource = null
+            unpriced.push(entry.symbol)
+            continue
+        }
+        entry.usd = price.usd
+        entry.priceSource = price.source
+        totalUsd += price.usd
+    }
+
+    for (const entry of entries) {
+        entry.weight = entry.usd === null ? null : (totalUsd > 0 ? entry.usd / totalUsd : 0)
+    }
+
+    return { totalUsd, unpriced }
+}
+
+function formatUsd(value) {
+    return `$${value.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+}
+
+// ============================================================================
+// OUTPUT
+// ============================================================================
+
+function balanceEntry(token, balance) {
+    const entry = {
+        symbol: token.symbol,
+        address: token.address,
+        decimals: token.decimals,
+        verified: token.verified,
+        balance: balance.toString(),
+        formatted: formatAmount(balance, token.decimals, token.symbol),
+    }
+    if (token.warning) entry.warning = token.warning
+    return entry
+}
+
+function printEntry(entry) {
+    let line = `${entry.symbol.padEnd(8)} ${entry.formatted}`
+    if (entry.usd !== undefined) {
+        line = line.padEnd(36)
+        line += entry.usd === null
+            ? '  unpriced'
+            : `  ${formatUsd(entry.usd).padStart(14)}  ${(entry.weight * 100).toFixed(1).padStart(5)}%`
+    }
+    console.log(`${line}${entry.verified ? '' : '  (unverified)'}`)
 }
 
 async function main() {
@@ -136,63 +513,141 @@ async function main() {
         process.exit(1)
     }
 
-    const provider = new ethers.JsonRpcProvider(args.rpc)
+    if (args.block !== null && args.at !== null) {
+        console.error('Error: use either --block or --at, not both')
+        process.exit(1)
+    }
+
+    let network, provider
+    try {
+        ({ network, provider } = await connectNetwork(config, args))
+    } catch (error) {
+        console.error(`Error: ${error.message}`)
+        process.exit(1)
+    }
     const safeAddress = config.safe
+    const wrapped = network.wrappedNative
 
-    console.log(`\nSafe: ${safeAddress}\n`)
-    const out = { safe: safeAddress, eth: null, tokens: [] }
+    let block
+    try {
+        block = await resolveBlock(provider, args)
+    } catch (error) {
+        console.error(`Error: ${error.message}`)
+        process.exit(1)
+    }
+    // All balance reads run at this tag (undefined = latest)
+    const blockTag = block?.number
 
-    // Always show ETH
-    const ethBalance = await provider.getBalance(safeAddress)
-    out.eth = { symbol: 'ETH', balance: ethBalance.toString(), formatted: formatAmount(ethBalance, 18, 'ETH') }
     if (!args.json) {
-        console.log(`ETH:    ${formatAmount(ethBalance, 18, 'ETH')}`)
+        console.log(`\nSafe: ${safeAddress}`)
+        if (block) console.log(`Block: ${block.number} (${new Date(block.timestamp * 1000).toISOString()})`)
+        console.log('')
     }
-    console.log(`ETH:    ${formatAmount(ethBalance, 18, 'ETH')}`)
+    const out = { safe: safeAddress, block, eth: null, tokens: [] }
+
+    // Always show the native currency and its wrapped token (ETH and WETH) as
+    // separate lines
+    const weth = new ethers.Contract(wrapped.address, ERC20_ABI, provider)
+    const [ethBalance, wethBalance] = await Promise.all([
+        provider.getBalance(safeAddress, blockTag),
+        weth.balanceOf(safeAddress, { blockTag }),
+    ])
+    out.eth = balanceEntry({ symbol: network.nativeCurrency, address: NATIVE_ETH, decimals: 18, verified: true }, ethBalance)
+    out.weth = balanceEntry({ symbol: wrapped.symbol, address: wrapped.address, decimals: 18, verified: true }, wethBalance)
 
     if (args.all) {
-        // Show all verified tokens
-        console.log('')
-        for (const [symbol, address] of Object.entries(VERIFIED_TOKENS)) {
-            if (symbol === 'ETH') continue
-            try {
-                const { balance, decimals } = await getTokenBalance(provider, safeAddress, address)
-                out.tokens.push({ symbol, balance: balance.toString(), formatted: formatAmount(balance, decimals, symbol) })
-                if (balance > 0n) {
-                    console.log(`${symbol.padEnd(8)} ${formatAmount(balance, decimals, symbol)}`)
-                }
-            } catch {
-                // Token might not exist or have issues
+        // Show all verified tokens (ETH and WETH are listed above), plus every
+        // token the Safe ever received when discovering
+        const chainId = network.chainId
+        const isVerified = address => Object.values(verifiedTokens()).some(v => v.toLowerCase() === address.toLowerCase())
+        const addresses = Object.values(verifiedTokens())
+            .filter(address => address !== NATIVE_ETH && address.toLowerCase() !== wrapped.address.toLowerCase())
+
+        if (args.discover) {
+            const discovery = await discoverTokens(provider, config, args.configDir, chainId, { quiet: args.json })
+            const known = new Set(addresses.map(address => address.toLowerCase()))
+            for (const address of discovery.tokens) {
+                if (address.toLowerCase() === wrapped.address.toLowerCase() || known.has(address.toLowerCase())) continue
+                known.add(address.toLowerCase())
+                addresses.push(address)
             }
+            out.discovery = discovery
+        }
+
+        const { balances, failed } = await scanBalances(provider, args.configDir, chainId, safeAddress, addresses, blockTag)
+
+        for (const token of balances) {
+            const verified = isVerified(token.address)
+            const warning = verified ? null : lookalikeWarning(token.symbol, token.address)
+            out.tokens.push(balanceEntry({ ...token, verified, warning }, token.balance))
         }
+        out.failed = failed
     } else if (args.token) {
-        // Show specific token
-        const symbol = args.token.toUpperCase().replace(/^\$/, '')
-        let address = VERIFIED_TOKENS[symbol]
-
-        if (!address) {
-            if (args.token.startsWith('0x') && args.token.length === 42) {
-                address = args.token
-            } else {
-                console.error(`\nToken "${args.token}" not found. Use address or one of:`)
-                console.error(Object.keys(VERIFIED_TOKENS).join(', '))
+        // Show specific token, resolved exactly as swap.js would
+        let token
+        try {
+            token = await resolveToken(args.token, provider)
+        } catch (error) {
+            console.error(`\n${error.message}`)
+            process.exit(1)
+        }
+
+        if (token.warning && !args.json) console.log(`${token.warning}\n`)
+
+        // The native and wrapped native token are already listed
+        if (token.address !== NATIVE_ETH && token.address.toLowerCase() !== wrapped.address.toLowerCase()) {
+            let balance
+            try {
+                const tokenContract = new ethers.Contract(token.address, ERC20_ABI, provider)
+                balance = await tokenContract.balanceOf(safeAddress, { blockTag })
+            } catch (error) {
+                console.error(`\nFailed to get token balance: ${error.message}`)
                 process.exit(1)
             }
+            out.tokens.push(balanceEntry(token, balance))
         }
+    }
 
-        try {
-            const { symbol: tokenSymbol, balance, decimals } = await getTokenBalance(provider, safeAddress, address)
-            out.tokens.push({ symbol: tokenSymbol, balance: balance.toString(), formatted: formatAmount(balance, decimals, tokenSymbol) })
-            if (!args.json) {
-                console.log(`${symbol.padEnd(8)} ${formatAmount(balance, decimals, symbol)}`)
-            }
-            console.log(`${tokenSymbol}:    ${formatAmount(balance, decimals, tokenSymbol)}`)
-        } catch (error) {
-            console.error(`\nFailed to get token balance: ${error.message}`)
-            process.exit(1)
+    if (args.usd) {
+        const { totalUsd, unpriced } = await valuePortfolio([out.eth, out.weth, ...out.tokens], safeAddress)
+        out.totalUsd = totalUsd
+        out.unpriced = unpriced
+        out.pricedAt = new Date().toISOString()
+    }
+
+    if (args.json) {
+        console.log(JSON.stringify(out, null, 2))
+        return
+    }
+
+    printEntry(out.eth)
+    printEntry(out.weth)
+    const held = out.tokens.filter(entry => !args.all || BigInt(entry.balance) > 0n)
+    if (held.length > 0) console.log('')
+    for (const entry of held) {
+        printEntry(entry)
+        if (!entry.verified) console.log(`         ${entry.address}`)
+        if (args.all && entry.warning) console.log(`         ${entry.warning.split('\n').join('\n         ')}`)
+    }
+
+    if (out.discovery) {
+        console.log(`\nDiscovered ${out.discovery.tokens.length} tokens from Transfer logs (blocks ${out.discovery.fromBlock}-${out.discovery.toBlock})`)
+    }
+
+    if (out.failed?.length > 0) {
+        console.log('')
+        for (const f of out.failed) {
+            console.log(`Could not read ${f.symbol || f.address}: ${f.error}`)
         }
     }
 
+    if (args.usd) {
+        console.log(`\n${'Total'.padEnd(36)}  ${formatUsd(out.totalUsd).padStart(14)}`)
+        if (block) console.log('USD values use current prices, not prices at the block')
+        if (out.unpriced.length > 0) {
+            console.log(`Unpriced (not in total): ${out.unpriced.join(', ')}`)
+        }
+    }
     console.log('')
 }
 
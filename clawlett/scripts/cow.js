@@ -0,0 +1,350 @@
+/**
+ * Shared CoW Protocol module
+ *
+ * Provides CoW API access (quotes, order submission, order book queries),
+ * order limit computation, and encoding helpers for the presign flow.
+ */
+
+import { ethers } from 'ethers'
+import { activeNetwork } from './networks.js'
+
+// bytes32 keccak hashes for order struct fields
+const KIND_SELL = '0xf3b277728b3fee749481eb3e0b3b48980dbbab78658fc419025cb16eee346775'
+const KIND_BUY = '0x6ed88e868af0a1983e3886d5f3e95a2fafbd6c3450bc229e27342283dc429ccc'
+const BALANCE_ERC20 = '0x5a28e9363bb942b639270062aa6bb295f434bcdfc42c97267bf003f272060dc9'
+
+// ABIs
+// ZodiacHelpers CoW entrypoints (called via delegatecall from the Safe)
+const COW_PRESIGN_ABI = [
+    'function cowPreSign(tuple(address sellToken, address buyToken, address receiver, uint256 sellAmount, uint256 buyAmount, uint32 validTo, bytes32 appData, uint256 feeAmount, bytes32 kind, bool partiallyFillable, bytes32 sellTokenBalance, bytes32 buyTokenBalance) order, bytes orderUid) external',
+]
+
+// GPv2Settlement: setPreSignature only accepts the order owner (the Safe) as
+// sender, so cancelling is a plain call from the Safe through Roles
+const COW_SETTLEMENT_ABI = [
+    'function preSignature(bytes orderUid) view returns (uint256)',
+    'function setPreSignature(bytes orderUid, bool signed)',
+]
+
+// ============================================================================
+// COW PROTOCOL API
+// ============================================================================
+
+// API, settlement and vault relayer of the selected network
+function cowApiBase() {
+    return activeNetwork().cowApi
+}
+
+function cowSettlement() {
+    return activeNetwork().cow.settlement
+}
+
+function cowVaultRelayer() {
+    return activeNetwork().cow.vaultRelayer
+}
+
+// kind 'sell' quotes a fixed input (amount = sell amount before fee),
+// kind 'buy' quotes a fixed output (amount = buy amount after fee).
+async function getCowQuote(sellToken, buyToken, amount, safeAddress, kind = 'sell') {
+    const amountField = kind === 'buy'
+        ? { buyAmountAfterFee: amount.toString() }
+        : { sellAmountBeforeFee: amount.toString() }
+
+    const response = await fetch(`${cowApiBase()}/api/v1/quote`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            sellToken: sellToken.address,
+            buyToken: buyToken.address,
+            from: safeAddress,
+            receiver: safeAddress,
+            ...amountField,
+            kind,
+            signingScheme: 'presign',
+            sellTokenBalance: 'erc20',
+            buyTokenBalance: 'erc20',
+        }),
+    })
+
+    const data = await response.json()
+
+    if (!response.ok) {
+        const errorMsg = data.description || data.errorType || JSON.stringify(data)
+        throw new Error(`CoW quote failed: ${errorMsg}`)
+    }
+
+    return data
+}
+
+// Price of one token atom in native-token atoms (wei), as used by the solvers
+async function getNativePrice(tokenAddress) {
+    const response = await fetch(`${cowApiBase()}/api/v1/token/${tokenAddress}/native_price`)
+    const data = await response.json()
+
+    if (!response.ok) {
+        const errorMsg = data.description || data.errorType || JSON.stringify(data)
+        throw new Error(`CoW native price failed: ${errorMsg}`)
+    }
+
+    return data.price
+}
+
+// slippage: { slippageBips, mode } from slippage.js limits (market orders only)
+async function buildAppData(slippage, orderClass = 'market') {
+    const doc = {
+        appCode: "Clawlett",
+        environment: "production",
+        metadata: {
+            orderClass: { orderClass },
+            partnerFee: {
+                bps: 50,
+                recipient: "0xCB52B32D872e496fccb84CeD21719EC9C560dFd4",
+            },
+        },
+        version: "1.14.0",
+    }
+    // Limit orders carry their own price, so there is no quote slippage to record
+    if (orderClass === 'market') {
+        doc.metadata.quote = {
+            slippageBips: slippage.slippageBips,
+            smartSlippage: slippage.mode === 'smart',
+        }
+    }
+    const fullAppData = JSON.stringify(doc)
+    const appDataHash = ethers.keccak256(ethers.toUtf8Bytes(fullAppData))
+
+    // Register with CoW so solvers can resolve the hash
+    await fetch(`${cowApiBase()}/api/v1/app_data/${appDataHash}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ fullAppData }),
+    }).catch(() => {}) // non-critical
+
+    return appDataHash
+}
+
+// `limits` comes from slippage.js computeOrderLimits, so the signed amounts are
+// exactly the ones shown to the user.
+async function submitCowOrder(quoteResponse, limits, safeAddress, timeoutSeconds) {
+    const q = quoteResponse.quote
+    // Default 30 minutes — matches CoW FE. Solvers need time to batch orders.
+    const validTo = Math.floor(Date.now() / 1000) + (timeoutSeconds || 1800)
+
+    // Build appData with slippage metadata (matches CoW FE)
+    const appData = await buildAppData(limits)
+
+    const order = {
+        sellToken: q.sellToken,
+        buyToken: q.buyToken,
+        receiver: q.receiver || safeAddress,
+        sellAmount: limits.sellAmount.toString(),
+        buyAmount: limits.buyAmount.toString(),
+        validTo,
+        appData,
+        feeAmount: "0",
+        kind: q.kind,
+        partiallyFillable: q.partiallyFillable || false,
+        sellTokenBalance: q.sellTokenBalance || 'erc20',
+        buyTokenBalance: q.buyTokenBalance || 'erc20',
+        signingScheme: 'presign',
+        signature: safeAddress,
+        from: safeAddress,
+    }
+
+    const orderUid = await postCowOrder(order)
+    return { orderUid, order }
+}
+
+// Limit orders are built from the user's price rather than the quote. The fee
+// is taken from surplus by the protocol, so the full sell amount is signed.
+async function submitLimitOrder(params, safeAddress) {
+    const appData = await buildAppData(null, 'limit')
+
+    const order = {
+        sellToken: params.sellToken,
+        buyToken: params.buyToken,
+        receiver: safeAddress,
+        sellAmount: params.sellAmount.toString(),
+        buyAmount: params.buyAmount.toString(),
+        validTo: params.validTo,
+        appData,
+        feeAmount: "0",
+        kind: params.kind,
+        partiallyFillable: params.partiallyFillable,
+        sellTokenBalance: 'erc20',
+        buyTokenBalance: 'erc20',
+        signingScheme: 'presign',
+        signature: safeAddress,
+        from: safeAddress,
+    }
+
+    const orderUid = await postCowOrder(order)
+    return { orderUid, order }
+}
+
+async function postCowOrder(order) {
+    const response = await fetch(`${cowApiBase()}/api/v1/orders`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(order),
+    })
+
+    const data = await response.json()
+
+    if (!response.ok) {
+        const errorMsg = data.description || data.errorType || JSON.stringify(data)
+        throw new Error(`CoW order submission failed: ${errorMsg}`)
+    }
+
+    // data is the orderUid string
+    return data
+}
+
+async function pollOrderStatus(orderUid, timeoutMs) {
+    const startTime = Date.now()
+    const pollInterval = 5000
+
+    while (Date.now() - startTime < timeoutMs) {
+        const response = await fetch(`${cowApiBase()}/api/v1/orders/${orderUid}`)
+
+        if (response.ok) {
+            const order = await response.json()
+            const status = order.status
+
+            if (status === 'fulfilled') {
+                return { status: 'fulfilled', order }
+            } else if (status === 'expired') {
+                return { status: 'expired', order }
+            } else if (status === 'cancelled') {
+                return { status: 'cancelled', order }
+            }
+
+            // presignaturePending or open - keep polling
+            const elapsed = Math.round((Date.now() - startTime) / 1000)
+            console.log(`   Status: ${status} (${elapsed}s elapsed)`)
+        }
+
+        await new Promise(resolve => setTimeout(resolve, pollInterval))
+    }
+
+    return { status: 'timeout' }
+}
+
+// ============================================================================
+// ORDER BOOK
+// ============================================================================
+
+// Returns null when the order book doesn't know the UID
+async function getOrder(orderUid) {
+    const response = await fetch(`${cowApiBase()}/api/v1/orders/${orderUid}`)
+    if (response.status === 404) return null
+    const data = await response.json()
+
+    if (!response.ok) {
+        const errorMsg = data.description || data.errorType || JSON.stringify(data)
+        throw new Error(`CoW order lookup failed: ${errorMsg}`)
+    }
+
+    return data
+}
+
+async function getAccountOrders(owner, { offset = 0, limit = 100 } = {}) {
+    const response = await fetch(`${cowApiBase()}/api/v1/account/${owner}/orders?offset=${offset}&limit=${limit}`)
+    const data = await response.json()
+
+    if (!response.ok) {
+        const errorMsg = data.description || data.errorType || JSON.stringify(data)
+        throw new Error(`CoW account orders failed: ${errorMsg}`)
+    }
+
+    return data
+}
+
+async function getOrderTrades(orderUid) {
+    const response = await fetch(`${cowApiBase()}/api/v1/trades?orderUid=${orderUid}`)
+    const data = await response.json()
+
+    if (!response.ok) {
+        const errorMsg = data.description || data.errorType || JSON.stringify(data)
+        throw new Error(`CoW trades lookup failed: ${errorMsg}`)
+    }
+
+    return data
+}
+
+// All settled trades of an owner (paged, newest first)
+async function getAccountTrades(owner, { offset = 0, limit = 100 } = {}) {
+    const response = await fetch(`${cowApiBase()}/api/v2/trades?owner=${owner}&offset=${offset}&limit=${limit}`)
+    const data = await response.json()
+
+    if (!response.ok) {
+        const errorMsg = data.description || data.errorType || JSON.stringify(data)
+        throw new Error(`CoW trades lookup failed: ${errorMsg}`)
+    }
+
+    return data
+}
+
+function orderExplorerUrl(orderUid) {
+    return `${activeNetwork().cowExplorer}/orders/${orderUid}`
+}
+
+// ============================================================================
+// ORDER ENCODING
+// ============================================================================
+
+function kindToBytes32(kind) {
+    switch (kind) {
+        case 'sell': return KIND_SELL
+        case 'buy': return KIND_BUY
+        default: throw new Error(`Unknown order kind: ${kind}`)
+    }
+}
+
+function balanceToBytes32(balance) {
+    switch (balance) {
+        case 'erc20': return BALANCE_ERC20
+        default: throw new Error(`Unknown balance type: ${balance}`)
+    }
+}
+
+// Build the on-chain order struct for cowPreSign (must match the submitted order exactly)
+function toOrderStruct(order, safeAddress) {
+    return {
+        sellToken: order.sellToken,
+        buyToken: order.buyToken,
+        receiver: order.receiver || safeAddress,
+        sellAmount: BigInt(order.sellAmount),
+        buyAmount: BigInt(order.buyAmount),
+        validTo: order.validTo,
+        appData: order.appData,
+        feeAmount: 0n,
+        kind: kindToBytes32(order.kind),
+        partiallyFillable: order.partiallyFillable || false,
+        sellTokenBalance: balanceToBytes32(order.sellTokenBalance || 'erc20'),
+        buyTokenBalance: balanceToBytes32(order.buyTokenBalance || 'erc20'),
+    }
+}
+
+export {
+    COW_PRESIGN_ABI,
+    COW_SETTLEMENT_ABI,
+    cowApiBase,
+    cowSettlement,
+    cowVaultRelayer,
+    getCowQuote,
+    getNativePrice,
+    buildAppData,
+    submitCowOrder,
+    submitLimitOrder,
+    postCowOrder,
+    pollOrderStatus,
+    getOrder,
+    getAccountOrders,
+    getOrderTrades,
+    getAccountTrades,
+    orderExplorerUrl,
+    kindToBytes32,
+    balanceToBytes32,
+    toOrderStruct,
+}
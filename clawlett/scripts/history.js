@@ -0,0 +1,466 @@
+#!/usr/bin/env node
+
+/**
+ * Trade history and realized PnL of the Safe
+ *
+ * Rebuilds every CoW trade settled for the Safe from the CoW trades API,
+ * with block timestamp, executed amounts, fees, effective price and partner
+ * fee, and computes FIFO realized PnL in a chosen quote currency.
+ *
+ * PnL rules:
+ *   - Buying a token with the quote currency opens a lot at that cost.
+ *   - Selling a token for the quote currency closes lots first-in first-out.
+ *   - Swaps between two non-quote tokens carry the cost basis over to the
+ *     bought token (no PnL is realized, since there is no quote price).
+ *   - Tokens sold without a matching lot (received outside CoW) are reported
+ *     as unmatched and left out of PnL.
+ *
+ * Usage:
+ *   node history.js                      # Trades + PnL in USDC
+ *   node history.js --quote WETH         # PnL in WETH
+ *   node history.js --csv trades.csv     # Export CSV
+ *   node history.js --json               # Export JSON
+ */
+
+import { ethers } from 'ethers'
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { resolveToken, resolveByAddress } from './tokens.js'
+import { getAccountTrades, getOrder } from './cow.js'
+import { activeNetwork, connectNetwork } from './networks.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+// CoW's marker for the native currency as buy token
+const COW_NATIVE_ETH = '0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE'
+
+const CSV_COLUMNS = [
+    'timestamp', 'block', 'txHash', 'orderUid',
+    'sellToken', 'sellSymbol', 'sellAmount',
+    'buyToken', 'buySymbol', 'buyAmount',
+    'networkFee', 'protocolFee', 'partnerFeeBps', 'price', 'realizedPnl',
+]
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function formatAmount(amount, decimals, symbol) {
+    if (decimals === null) return `${amount.toString()} (raw) ${symbol}`
+    const formatted = ethers.formatUnits(amount, decimals)
+    const num = parseFloat(formatted)
+    if (num === 0) return `0 ${symbol}`
+    if (num < 0.0001) return `${formatted} ${symbol}`
+    return `${num.toLocaleString(undefined, { maximumFractionDigits: 6 })} ${symbol}`
+}
+
+function formatDate(value) {
+    return new Date(value).toISOString().replace('T', ' ').slice(0, 16)
+}
+
+function loadConfig(configDir) {
+    const configPath = path.join(configDir, 'wallet.json')
+    if (!fs.existsSync(configPath)) {
+        throw new Error(`Config not found: ${configPath}\nRun initialize.js first.`)
+    }
+    return JSON.parse(fs.readFileSync(configPath, 'utf8'))
+}
+
+function normalizeToken(address) {
+    return address.toLowerCase() === COW_NATIVE_ETH.toLowerCase()
+        ? activeNetwork().wrappedNative.address
+        : ethers.getAddress(address)
+}
+
+// Resolve token metadata once per address; unknown tokens fall back to raw units
+function createTokenCache(provider) {
+    const cache = new Map()
+    return async (address) => {
+        const key = address.toLowerCase()
+        if (!cache.has(key)) {
+            try {
+                const token = await resolveByAddress(address, provider)
+                cache.set(key, { symbol: token.symbol, decimals: token.decimals })
+            } catch {
+                cache.set(key, { symbol: `${address.slice(0, 8)}...`, decimals: null })
+            }
+        }
+        return cache.get(key)
+    }
+}
+
+// Partner fee bps from the order's appData (one lookup per order)
+function createPartnerFeeCache() {
+    const cache = new Map()
+    return async (orderUid) => {
+        if (!cache.has(orderUid)) {
+            let bps = null
+            try {
+                const order = await getOrder(orderUid)
+                const partnerFee = JSON.parse(order?.fullAppData || '{}').metadata?.partnerFee
+                const fee = Array.isArray(partnerFee) ? partnerFee[0] : partnerFee
+                bps = fee?.bps ?? fee?.volumeBps ?? null
+            } catch {
+                // appData not resolvable
+            }
+            cache.set(orderUid, bps)
+        }
+        return cache.get(orderUid)
+    }
+}
+
+function toUnits(amount, decimals) {
+    return decimals === null ? null : Number(ethers.formatUnits(amount, decimals))
+}
+
+function csvEscape(value) {
+    const str = value === null || value === undefined ? '' : String(value)
+    return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str
+}
+
+function parseArgs() {
+    const args = process.argv.slice(2)
+    const result = {
+        quote: 'USDC',
+        csv: null,
+        configDir: process.env.WALLET_CONFIG_DIR || path.join(__dirname, '..', 'config'),
+        network: null,
+        rpc: null,
+        json: false,
+    }
+
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--quote':
+            case '-q':
+                result.quote = args[++i]
+                break
+            case '--csv':
+                result.csv = args[++i]
+                break
+            case '--config-dir':
+            case '-c':
+                result.configDir = args[++i]
+                break
+            case '--network':
+                result.network = args[++i]
+                break
+            case '--rpc':
+            case '-r':
+                result.rpc = args[++i]
+                break
+            case '--json':
+            case '-j':
+                result.json = true
+                break
+            case '--help':
+            case '-h':
+                printHelp()
+                process.exit(0)
+        }
+    }
+
+    return result
+}
+
+function printHelp() {
+    console.log(`
+Usage: node history.js [--quote <TOKEN>] [--csv <FILE>] [--json]
+
+Show every CoW trade of the Safe and FIFO realized PnL.
+
+Options:
+  --quote, -q      Quote currency for PnL (default: USDC)
+  --csv            Write trades to a CSV file
+  --config-dir, -c Config directory
+  --network        base, ethereum, arbitrum or gnosis (default: wallet.json's, else base)
+  --rpc, -r        RPC URL (default: $<NETWORK>_RPC_URL, else the network's public RPC)
+  --json, -j       Output machine-readable JSON
+
+Notes:
+  - Effective price is buy token per sell token, fees included.
+  - Swaps between two non-quote tokens carry the cost basis over; PnL is only
+    realized when a token is sold for the quote currency.
+
+Examples:
+  node history.js
+  node history.js --quote WETH
+  node history.js --csv trades.csv
+`)
+}
+
+// ============================================================================
+// TRADES
+// ============================================================================
+
+async function fetchTrades(safeAddress) {
+    const trades = []
+    const pageSize = 1000
+    for (let offset = 0; ; offset += pageSize) {
+        const page = await getAccountTrades(safeAddress, { offset, limit: pageSize })
+        trades.push(...page)
+        if (page.length < pageSize) break
+    }
+    // Oldest first for FIFO
+    return trades.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex)
+}
+
+async function describeTrades(rawTrades, provider, tokenInfo, partnerFeeBps) {
+    const blockTimes = new Map()
+    const trades = []
+
+    for (const t of rawTrades) {
+        if (!blockTimes.has(t.blockNumber)) {
+            const block = await provider.getBlock(t.blockNumber)
+            blockTimes.set(t.blockNumber, block ? block.timestamp : null)
+        }
+        const timestamp = blockTimes.get(t.blockNumber)
+
+        const sellToken = normalizeToken(t.sellToken)
+        const buyToken = normalizeToken(t.buyToken)
+        const sell = await tokenInfo(sellToken)
+        const buy = await tokenInfo(buyToken)
+
+        const sellAmount = BigInt(t.sellAmount)
+        const buyAmount = BigInt(t.buyAmount)
+        // sellAmount includes the network fee taken in the sell token
+        const networkFee = t.sellAmountBeforeFees ? sellAmount - BigInt(t.sellAmountBeforeFees) : 0n
+        const protocolFees = (t.executedProtocolFees || []).map(f => ({
+            token: normalizeToken(f.token),
+            amount: BigInt(f.amount),
+        }))
+
+        const sellUnits = toUnits(sellAmount, sell.decimals)
+        const buyUnits = toUnits(buyAmount, buy.decimals)
+
+        trades.push({
+            timestamp: timestamp ? new Date(timestamp * 1000).toISOString() : null,
+            block: t.blockNumber,
+            txHash: t.txHash,
+            orderUid: t.orderUid,
+            sellToken,
+            sellSymbol: sell.symbol,
+            sellDecimals: sell.decimals,
+            sellAmount,
+            buyToken,
+            buySymbol: buy.symbol,
+            buyDecimals: buy.decimals,
+            buyAmount,
+            networkFee,
+            protocolFees,
+            partnerFeeBps: await partnerFeeBps(t.orderUid),
+            price: sellUnits && buyUnits !== null ? buyUnits / sellUnits : null,
+            realizedPnl: null,
+        })
+    }
+
+    return trades
+}
+
+// ============================================================================
+// FIFO PNL
+// ============================================================================
+
+// Remove `amount` from the token's lots, oldest first.
+// Returns { basis, matched } (basis in quote units, matched in token atoms).
+function consumeLots(lots, amount) {
+    let remaining = amount
+    let basis = 0
+    while (remaining > 0n && lots.length > 0) {
+        const lot = lots[0]
+        const take = lot.amount < remaining ? lot.amount : remaining
+        const share = Number(take) / Number(lot.amount)
+        basis += lot.cost * share
+        lot.cost -= lot.cost * share
+        lot.amount -= take
+        remaining -= take
+        if (lot.amount === 0n) lots.shift()
+    }
+    return { basis, matched: amount - remaining }
+}
+
+// Annotates trades with realizedPnl and returns the summary
+function computePnl(trades, quoteAddress) {
+    const lotsByToken = new Map()
+    const lots = token => {
+        const key = token.toLowerCase()
+        if (!lotsByToken.has(key)) lotsByToken.set(key, [])
+        return lotsByToken.get(key)
+    }
+    const isQuote = token => token.toLowerCase() === quoteAddress.toLowerCase()
+
+    let realized = 0
+    const unmatched = new Map()
+
+    for (const trade of trades) {
+        const sellIsQuote = isQuote(trade.sellToken)
+        const buyIsQuote = isQuote(trade.buyToken)
+        if (sellIsQuote && buyIsQuote) continue
+
+        if (sellIsQuote) {
+            // Buy with quote currency: open a lot
+            lots(trade.buyToken).push({ amount: trade.buyAmount, cost: toUnits(trade.sellAmount, trade.sellDecimals) })
+            continue
+        }
+
+        const { basis, matched } = consumeLots(lots(trade.sellToken), trade.sellAmount)
+        if (matched < trade.sellAmount) {
+            const key = trade.sellToken.toLowerCase()
+            const prev = unmatched.get(key) || { token: trade.sellToken, symbol: trade.sellSymbol, decimals: trade.sellDecimals, amount: 0n }
+            prev.amount += trade.sellAmount - matched
+            unmatched.set(key, prev)
+        }
+        if (matched === 0n) continue
+        const matchedShare = Number(matched) / Number(trade.sellAmount)
+
+        if (buyIsQuote) {
+            // Sell for quote currency: realize PnL on the matched part
+            const proceeds = toUnits(trade.buyAmount, trade.buyDecimals) * matchedShare
+            trade.realizedPnl = proceeds - basis
+            realized += trade.realizedPnl
+        } else {
+            // Token to token: carry the basis over to the bought token
+            const carried = trade.buyAmount * matched / trade.sellAmount
+            if (carried > 0n) lots(trade.buyToken).push({ amount: carried, cost: basis })
+        }
+    }
+
+    const openPositions = [...lotsByToken.values()].filter(tokenLots => tokenLots.length > 0).length
+
+    return { realized, unmatched: [...unmatched.values()], openPositions }
+}
+
+// ============================================================================
+// OUTPUT
+// ============================================================================
+
+function serializeTrade(trade) {
+    return {
+        timestamp: trade.timestamp,
+        block: trade.block,
+        txHash: trade.txHash,
+        orderUid: trade.orderUid,
+        sellToken: trade.sellToken,
+        sellSymbol: trade.sellSymbol,
+        sellAmount: trade.sellDecimals === null ? trade.sellAmount.toString() : ethers.formatUnits(trade.sellAmount, trade.sellDecimals),
+        buyToken: trade.buyToken,
+        buySymbol: trade.buySymbol,
+        buyAmount: trade.buyDecimals === null ? trade.buyAmount.toString() : ethers.formatUnits(trade.buyAmount, trade.buyDecimals),
+        networkFee: trade.sellDecimals === null ? trade.networkFee.toString() : ethers.formatUnits(trade.networkFee, trade.sellDecimals),
+        protocolFee: trade.protocolFees.map(f => `${f.amount.toString()}@${f.token}`).join(' '),
+        partnerFeeBps: trade.partnerFeeBps,
+        price: trade.price,
+        realizedPnl: trade.realizedPnl,
+    }
+}
+
+function writeCsv(file, rows) {
+    const lines = [CSV_COLUMNS.join(',')]
+    for (const row of rows) {
+        lines.push(CSV_COLUMNS.map(column => csvEscape(row[column])).join(','))
+    }
+    fs.writeFileSync(file, lines.join('\n') + '\n')
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+async function main() {
+    const args = parseArgs()
+
+    let config
+    try {
+        config = loadConfig(args.configDir)
+    } catch (error) {
+        console.error(`Error: ${error.message}`)
+        process.exit(1)
+    }
+
+    let network, provider
+    try {
+        ({ network, provider } = await connectNetwork(config, args))
+    } catch (error) {
+        console.error(`Error: ${error.message}`)
+        process.exit(1)
+    }
+    const safeAddress = config.safe
+
+    let quote
+    try {
+        quote = await resolveToken(args.quote, provider)
+    } catch (error) {
+        console.error(`Error: ${error.message}`)
+        process.exit(1)
+    }
+    // PnL in the native currency is tracked in its wrapped token (CoW trades
+    // never hold native ETH)
+    const quoteAddress = quote.address === ethers.ZeroAddress ? network.wrappedNative.address : quote.address
+    if (quote.warning && !args.json) console.log(`\n${quote.warning}`)
+
+    if (!args.json) console.log(`\nSafe: ${safeAddress}\n\nFetching trades...`)
+
+    const rawTrades = await fetchTrades(safeAddress)
+    const trades = await describeTrades(rawTrades, provider, createTokenCache(provider), createPartnerFeeCache())
+    const pnl = computePnl(trades, quoteAddress)
+    const rows = trades.map(serializeTrade)
+
+    if (args.csv) {
+        writeCsv(args.csv, rows)
+        if (!args.json) console.log(`Wrote ${rows.length} trades to ${args.csv}`)
+    }
+
+    if (args.json) {
+        console.log(JSON.stringify({
+            safe: safeAddress,
+            quote: { symbol: quote.symbol, address: quoteAddress },
+            trades: rows,
+            realizedPnl: pnl.realized,
+            unmatched: pnl.unmatched.map(u => ({
+                token: u.token,
+                symbol: u.symbol,
+                amount: u.decimals === null ? u.amount.toString() : ethers.formatUnits(u.amount, u.decimals),
+            })),
+        }, null, 2))
+        return
+    }
+
+    console.log('')
+    if (trades.length === 0) {
+        console.log('No trades found.\n')
+        return
+    }
+
+    for (const t of trades) {
+        const when = t.timestamp ? formatDate(t.timestamp) : `block ${t.block}`
+        console.log(`${when}  ${formatAmount(t.sellAmount, t.sellDecimals, t.sellSymbol)} → ${formatAmount(t.buyAmount, t.buyDecimals, t.buySymbol)}`)
+        const details = []
+        if (t.price !== null) details.push(`price ${t.price.toPrecision(6)} ${t.buySymbol}/${t.sellSymbol}`)
+        if (t.networkFee > 0n) details.push(`fee ${formatAmount(t.networkFee, t.sellDecimals, t.sellSymbol)}`)
+        if (t.partnerFeeBps !== null) details.push(`partner fee ${t.partnerFeeBps} bps`)
+        if (t.realizedPnl !== null) details.push(`PnL ${t.realizedPnl >= 0 ? '+' : ''}${t.realizedPnl.toFixed(2)} ${quote.symbol}`)
+        console.log(`   ${details.join(', ')}`)
+        console.log(`   tx ${t.txHash}`)
+    }
+
+    console.log('')
+    console.log('='.repeat(55))
+    console.log(`  Trades:        ${trades.length}`)
+    console.log(`  Realized PnL:  ${pnl.realized >= 0 ? '+' : ''}${pnl.realized.toFixed(2)} ${quote.symbol} (FIFO)`)
+    console.log(`  Open positions: ${pnl.openPositions}`)
+    console.log('='.repeat(55))
+    if (pnl.unmatched.length > 0) {
+        console.log('\nSold without a matching buy (not in PnL):')
+        for (const u of pnl.unmatched) {
+            console.log(`   ${formatAmount(u.amount, u.decimals, u.symbol)}`)
+        }
+    }
+    console.log('')
+}
+
+main().catch(error => {
+    console.error(`\nError: ${error.message}`)
+    process.exit(1)
+})
@@ -20,28 +20,18 @@ import { ethers } from 'ethers'
 import fs from 'fs'
 import path from 'path'
 import { fileURLToPath } from 'url'
+import { MULTISEND_UNWRAPPER, MULTISEND_SELECTOR, encodeMultiSend } from './multisend.js'
+import { PASSPHRASE_ENV, agentKeyExists, agentKeyInfo, getPassphrase, loadAgentWallet, saveAgentKeystore, saveAgentKeyPlaintext } from './agent-key.js'
+import { connectRemoteSigner } from './signer.js'
+import { scopedHelperOps, cancelPermissionOps, encodePermissionCall, setAllowanceCall } from './roles.js'
+import { DEFAULT_LIMIT_PERIOD, resolveSpendingLimit, describeLimit } from './spending-limits.js'
+import { activeNetwork, connectNetwork, describeNetwork, requireZodiacHelpers } from './networks.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
 
-const DEFAULT_RPC_URL = 'https://mainnet.base.org'
-const CHAIN_ID = 8453
 const API_BASE_URL = process.env.WALLET_API_URL || 'https://trenches.bid'
 
-// Contract addresses
-const CONTRACTS = {
-    SafeProxyFactory: '0xa6B71E26C5e0845f74c812102Ca7114b6a896AB2',
-    SafeSingletonL2: '0x3E5c63644E683549055b9Be8653de26E0B4CD36E',
-    CompatibilityFallbackHandler: '0xf48f2B2d2a534e402487b3ee7C18c33Aec0Fe5e4',
-    MultiSend: '0xA238CBeb142c10Ef7Ad8442C6D1f9E89e07e7761',
-    RolesSingleton: '0x9646fDAD06d3e24444381f44362a3B0eB343D337',
-    ModuleProxyFactory: '0x000000000000aDdB49795b0f9bA5BC298cDda236',
-    AeroUniversalRouter: '0x6Df1c91424F79E40E33B1A48F0687B666bE71075',
-    ZodiacHelpers: '0x9699a24346464F1810a2822CEEE89f715c65F629',
-    IdentityRegistry: '0x8004A169FB4a3325136EB29fA0ceB6D2e539a432',
-    CNS: '0x299319e0BC8d67e11AD8b17D4d5002033874De3a',
-}
-
 // ABIs
 const SAFE_FACTORY_ABI = [
     'function createProxyWithNonce(address singleton, bytes initializer, uint256 saltNonce) returns (address)',
@@ -68,13 +58,10 @@ const ROLES_ABI = [
     'function assignRoles(address module, bytes32[] roleKeys, bool[] memberOf)',
     'function scopeTarget(bytes32 roleKey, address targetAddress)',
     'function allowTarget(bytes32 roleKey, address targetAddress, uint8 options)',
+    'function setTransactionUnwrapper(address to, bytes4 selector, address adapter)',
     'function owner() view returns (address)',
 ]
 
-const MULTISEND_ABI = [
-    'function multiSend(bytes transactions) payable',
-]
-
 const IDENTITY_REGISTRY_ABI = [
     'function register(string agentURI) returns (uint256 agentId)',
     'function transferFrom(address from, address to, uint256 tokenId)',
@@ -106,14 +93,6 @@ const CNS_ABI = [
 // Role key for wallet operations
 const ROLE_KEY = ethers.keccak256(ethers.toUtf8Bytes('WalletSwapper'))
 
-// Execution options for Roles
-const ExecutionOptions = {
-    None: 0,
-    Send: 1,
-    DelegateCall: 2,
-    Both: 3,
-}
-
 // Initialization steps
 const STEPS = {
     AGENT_CREATED: 'agent_created',
@@ -130,7 +109,13 @@ function parseArgs() {
         owner: null,
         name: null,
         configDir: process.env.WALLET_CONFIG_DIR || path.join(__dirname, '..', 'config'),
-        rpc: process.env.BASE_RPC_URL || DEFAULT_RPC_URL,
+        network: null,
+        rpc: null,
+        plaintextKey: false,
+        signerUrl: null,
+        signerAddress: null,
+        limits: [],
+        limitPeriod: DEFAULT_LIMIT_PERIOD,
     }
 
     for (let i = 0; i < args.length; i++) {
@@ -147,10 +132,28 @@ function parseArgs() {
             case '-c':
                 result.configDir = args[++i]
                 break
+            case '--network':
+                result.network = args[++i]
+                break
             case '--rpc':
             case '-r':
                 result.rpc = args[++i]
                 break
+            case '--plaintext-key':
+                result.plaintextKey = true
+                break
+            case '--signer-url':
+                result.signerUrl = args[++i]
+                break
+            case '--signer-address':
+                result.signerAddress = args[++i]
+                break
+            case '--limit':
+                result.limits.push(args[++i])
+                break
+            case '--limit-period':
+                result.limitPeriod = args[++i]
+                break
             case '--help':
             case '-h':
                 printHelp()
@@ -169,7 +172,18 @@ Arguments:
   --owner, -o      Owner wallet address (will be sole Safe owner after setup)
   --name, -n       Unique agent name for CNS (Clawlett Name Service)
   --config-dir, -c Config directory (default: ../config)
-  --rpc, -r        RPC URL (default: ${DEFAULT_RPC_URL})
+  --network        Network to set up on (default: base). Needs ZodiacHelpers, so far
+                   deployed on base only. Each network needs its own --config-dir.
+  --rpc, -r        RPC URL (default: $<NETWORK>_RPC_URL, else the network's public RPC)
+  --plaintext-key  Store a new agent key unencrypted (not recommended)
+  --signer-url     Use a remote JSON-RPC signer for the agent instead of agent.pk
+  --signer-address Agent account on the remote signer (default: its first account)
+  --limit <SPEC>   Spending limit on what the agent can sell, TOKEN:AMOUNT[:PERIOD]
+                   (repeatable), e.g. WETH:1 or USDC:1eth (1 ETH-equivalent of USDC)
+  --limit-period   Default period for --limit (default: ${DEFAULT_LIMIT_PERIOD})
+
+The agent key is stored in config/agent.pk as an encrypted keystore. The passphrase
+is read from ${PASSPHRASE_ENV}, a file descriptor, or an interactive prompt.
 
 This script is idempotent - run it multiple times to continue from where it left off.
 `)
@@ -198,7 +212,7 @@ function clearState(configDir) {
 // Backend registration functions
 async function checkExistingAgent(wallet) {
     try {
-        const url = `${API_BASE_URL}/api/skill/agent?wallet=${wallet}&chainId=${CHAIN_ID}`
+        const url = `${API_BASE_URL}/api/skill/agent?wallet=${wallet}&chainId=${activeNetwork().chainId}`
         const response = await fetch(url)
         if (response.ok) {
             const data = await response.json()
@@ -215,7 +229,7 @@ async function checkExistingAgent(wallet) {
 }
 
 async function getRegistrationChallenge(wallet) {
-    const url = `${API_BASE_URL}/api/skill/agent?wallet=${wallet}&chainId=${CHAIN_ID}`
+    const url = `${API_BASE_URL}/api/skill/agent?wallet=${wallet}&chainId=${activeNetwork().chainId}`
     const response = await fetch(url)
     const data = await response.json()
 
@@ -312,7 +326,7 @@ async function getCnsSignature(cookies, name) {
             'Content-Type': 'application/json',
             'Cookie': cookies,
         },
-        body: JSON.stringify({ name, chainId: String(CHAIN_ID) }),
+        body: JSON.stringify({ name, chainId: String(activeNetwork().chainId) }),
     })
 
     const data = await res.json()
@@ -328,23 +342,6 @@ function saveConfig(configDir, config) {
     fs.writeFileSync(configPath, JSON.stringify(config, null, 2))
 }
 
-// MultiSend encoding helpers
-function encodeMultiSendTx(operation, to, value, data) {
-    const dataBytes = ethers.getBytes(data)
-    return ethers.solidityPacked(
-        ['uint8', 'address', 'uint256', 'uint256', 'bytes'],
-        [operation, to, value, dataBytes.length, dataBytes]
-    )
-}
-
-function encodeMultiSend(transactions) {
-    const encoded = ethers.concat(
-        transactions.map(tx => encodeMultiSendTx(tx.operation || 0, tx.to, tx.value || 0n, tx.data))
-    )
-    const multiSendInterface = new ethers.Interface(MULTISEND_ABI)
-    return multiSendInterface.encodeFunctionData('multiSend', [encoded])
-}
-
 // Execute Safe transaction as owner
 async function execSafeTransaction(safe, to, value, data, operation, signer) {
     const safeTxGas = 0
@@ -380,13 +377,6 @@ async function main() {
 
     const owner = ethers.getAddress(args.owner)
     const agentName = args.name.toUpperCase()
-    const provider = new ethers.JsonRpcProvider(args.rpc)
-
-    console.log('\n========================================')
-    console.log('     Claw Wallet Initialization')
-    console.log('========================================\n')
-    console.log(`Owner: ${owner}`)
-    console.log(`Chain: Base (${CHAIN_ID})`)
 
     // Ensure config directory exists
     if (!fs.existsSync(args.configDir)) {
@@ -396,30 +386,69 @@ async function main() {
     // Load state for resume capability
     let state = loadState(args.configDir)
 
+    // A resumed setup, or a config dir that already holds a wallet, stays on
+    // its network
+    const walletPath = path.join(args.configDir, 'wallet.json')
+    const existing = state.network
+        ? { network: state.network }
+        : fs.existsSync(walletPath) ? JSON.parse(fs.readFileSync(walletPath, 'utf8')) : null
+    let network, provider
+    try {
+        ({ network, provider } = await connectNetwork(existing, args))
+        requireZodiacHelpers(network)
+    } catch (error) {
+        console.error(`Error: ${error.message}`)
+        process.exit(1)
+    }
+    const contracts = network.contracts
+    state = { ...state, network: network.name }
+
+    console.log('\n========================================')
+    console.log('     Claw Wallet Initialization')
+    console.log('========================================\n')
+    console.log(`Owner: ${owner}`)
+    console.log(`Chain: ${describeNetwork(network)}`)
+
     // Step 1: Agent keypair
     console.log('\n--- Step 1: Agent Keypair ---')
-    const agentPkPath = path.join(args.configDir, 'agent.pk')
     let agentWallet
-
-    if (fs.existsSync(agentPkPath)) {
-        let pk = fs.readFileSync(agentPkPath, 'utf8').trim()
-        if (!pk.startsWith('0x')) pk = '0x' + pk
-        agentWallet = new ethers.Wallet(pk, provider)
+    let signerConfig
+
+    if (args.signerUrl) {
+        agentWallet = await connectRemoteSigner(args.signerUrl, args.signerAddress, provider)
+        signerConfig = { type: 'remote', url: args.signerUrl, address: agentWallet.address }
+        console.log(`Agent (remote signer): ${agentWallet.address}`)
+        if (!state.step) {
+            state = { step: STEPS.AGENT_CREATED, network: network.name }
+            saveState(args.configDir, state)
+        }
+    } else if (agentKeyExists(args.configDir)) {
+        agentWallet = await loadAgentWallet(args.configDir, provider)
         console.log(`Agent exists: ${agentWallet.address}`)
     } else {
         agentWallet = ethers.Wallet.createRandom().connect(provider)
-        fs.writeFileSync(agentPkPath, agentWallet.privateKey.slice(2), { mode: 0o600 })
+        if (args.plaintextKey) {
+            saveAgentKeyPlaintext(args.configDir, agentWallet)
+        } else {
+            const passphrase = await getPassphrase({ confirm: true })
+            if (passphrase.length < 8) {
+                console.error('Error: passphrase must be at least 8 characters')
+                process.exit(1)
+            }
+            console.log('Encrypting agent key (scrypt)...')
+            await saveAgentKeystore(args.configDir, agentWallet, passphrase)
+        }
         console.log(`Agent created: ${agentWallet.address}`)
-        state = { step: STEPS.AGENT_CREATED }
+        state = { step: STEPS.AGENT_CREATED, network: network.name }
         saveState(args.configDir, state)
     }
 
     const agentBalance = await provider.getBalance(agentWallet.address)
-    console.log(`Balance: ${ethers.formatEther(agentBalance)} ETH`)
+    console.log(`Balance: ${ethers.formatEther(agentBalance)} ${network.nativeCurrency}`)
 
-    if (agentBalance < ethers.parseEther('0.000005')) {
+    if (agentBalance < ethers.parseEther(network.setupGas) / 4n) {
         console.log(`\n⚠️  Agent needs gas for deployment.`)
-        console.log(`   Send at least 0.00002 ETH to: ${agentWallet.address}`)
+        console.log(`   Send at least ${network.setupGas} ${network.nativeCurrency} to: ${agentWallet.address}`)
         console.log(`   Then run this script again.\n`)
         process.exit(0)
     }
@@ -437,7 +466,7 @@ async function main() {
         console.log('\n--- Step 2: Deploy Safe ---')
         console.log('   Deploying Safe with agent as initial owner...')
 
-        const safeFactory = new ethers.Contract(CONTRACTS.SafeProxyFactory, SAFE_FACTORY_ABI, agentWallet)
+        const safeFactory = new ethers.Contract(contracts.SafeProxyFactory, SAFE_FACTORY_ABI, agentWallet)
         const safeInterface = new ethers.Interface(SAFE_ABI)
 
         // Agent is initial owner (will transfer to human later)
@@ -446,14 +475,14 @@ async function main() {
             1,
             ethers.ZeroAddress,
             '0x',
-            CONTRACTS.CompatibilityFallbackHandler,
+            contracts.CompatibilityFallbackHandler,
             ethers.ZeroAddress,
             0,
             ethers.ZeroAddress,
         ])
 
         const safeTx = await safeFactory.createProxyWithNonce(
-            CONTRACTS.SafeSingletonL2,
+            contracts.SafeSingletonL2,
             safeInitializer,
             saltNonce
         )
@@ -493,7 +522,7 @@ async function main() {
     // Step 3: Deploy Roles
     if (!rolesAddress || state.step === STEPS.SAFE_DEPLOYED) {
         console.log('\n--- Step 3: Deploy Zodiac Roles ---')
-        const moduleFactory = new ethers.Contract(CONTRACTS.ModuleProxyFactory, MODULE_FACTORY_ABI, agentWallet)
+        const moduleFactory = new ethers.Contract(contracts.ModuleProxyFactory, MODULE_FACTORY_ABI, agentWallet)
         const rolesInterface = new ethers.Interface(ROLES_ABI)
 
         const rolesInitializer = rolesInterface.encodeFunctionData('setUp', [
@@ -504,7 +533,7 @@ async function main() {
         ])
 
         const rolesTx = await moduleFactory.deployModule(
-            CONTRACTS.RolesSingleton,
+            contracts.RolesSingleton,
             rolesInitializer,
             saltNonce + 1n
         )
@@ -537,6 +566,18 @@ async function main() {
 
         const transactions = []
 
+        // Resolve spending limits once; a resumed run reuses them
+        if (!state.spendingLimits) {
+            const spendingLimits = []
+            for (const spec of args.limits) {
+                spendingLimits.push(await resolveSpendingLimit(spec, {
+                    provider, roleKey: ROLE_KEY, defaultPeriod: args.limitPeriod,
+                }))
+            }
+            state = { ...state, spendingLimits }
+            saveState(args.configDir, state)
+        }
+
         // Enable module on Safe (if not already)
         if (!isModuleEnabled) {
             console.log('   - enableModule(roles)')
@@ -546,30 +587,34 @@ async function main() {
             })
         }
 
-        // Scope and allow Aerodrome Universal Router
-        console.log('   - scopeTarget(AeroUniversalRouter)')
-        transactions.push({
-            to: rolesAddress,
-            data: rolesInterface.encodeFunctionData('scopeTarget', [ROLE_KEY, CONTRACTS.AeroUniversalRouter]),
-        })
+        // Scope ZodiacHelpers to the functions the agent scripts call (by
+        // delegatecall), with parameter conditions where they apply
+        for (const op of scopedHelperOps(contracts.ZodiacHelpers, state.spendingLimits)) {
+            const { to, data, label } = encodePermissionCall(rolesAddress, ROLE_KEY, op)
+            console.log(`   - ${label}`)
+            transactions.push({ to, data })
+        }
 
-        console.log('   - allowTarget(AeroUniversalRouter, Send)')
-        transactions.push({
-            to: rolesAddress,
-            data: rolesInterface.encodeFunctionData('allowTarget', [ROLE_KEY, CONTRACTS.AeroUniversalRouter, ExecutionOptions.Send]),
-        })
+        // Cancelling orders: setPreSignature(uid, false) on the CoW settlement
+        for (const op of cancelPermissionOps(network.cow.settlement)) {
+            const { to, data, label } = encodePermissionCall(rolesAddress, ROLE_KEY, op)
+            console.log(`   - ${label}`)
+            transactions.push({ to, data })
+        }
 
-        // Scope and allow ZodiacHelpers (with DelegateCall)
-        console.log('   - scopeTarget(ZodiacHelpers)')
-        transactions.push({
-            to: rolesAddress,
-            data: rolesInterface.encodeFunctionData('scopeTarget', [ROLE_KEY, CONTRACTS.ZodiacHelpers]),
-        })
+        // Spending limits: allowances consumed by cowPreSign sell amounts
+        for (const limit of state.spendingLimits) {
+            const { to, data } = setAllowanceCall(rolesAddress, limit)
+            console.log(`   - setAllowance(${limit.symbol}: ${describeLimit(limit)})`)
+            transactions.push({ to, data })
+        }
 
-        console.log('   - allowTarget(ZodiacHelpers, Both)')
+        // Let Roles unwrap MultiSend batches so the agent can bundle
+        // wrap + presign atomically (each inner call is still checked)
+        console.log('   - setTransactionUnwrapper(MultiSend)')
         transactions.push({
             to: rolesAddress,
-            data: rolesInterface.encodeFunctionData('allowTarget', [ROLE_KEY, CONTRACTS.ZodiacHelpers, ExecutionOptions.Both]),
+            data: rolesInterface.encodeFunctionData('setTransactionUnwrapper', [contracts.MultiSend, MULTISEND_SELECTOR, MULTISEND_UNWRAPPER]),
         })
 
         // Assign role to agent
@@ -589,7 +634,7 @@ async function main() {
         console.log(`\n   Executing ${transactions.length} operations in single MultiSend...`)
         const multiSendData = encodeMultiSend(transactions)
 
-        const receipt = await execSafeTransaction(safe, CONTRACTS.MultiSend, 0n, multiSendData, 1, agentWallet)
+        const receipt = await execSafeTransaction(safe, contracts.MultiSend, 0n, multiSendData, 1, agentWallet)
         console.log(`   Transaction: ${receipt.hash}`)
         console.log('   Confirmed (3 blocks)')
         console.log('   Configuration complete!')
@@ -598,7 +643,10 @@ async function main() {
         saveState(args.configDir, state)
     } else {
         console.log('\n--- Step 4: Configuration ---')
-        console.log('   Already configured!')
+        console.log('   Roles module enabled (full permission audit: node verify.js)')
+        if (args.limits.length > 0 && !state.spendingLimits) {
+            console.log('   Roles already configured; set spending limits with: node limits.js --set <SPEC>')
+        }
     }
 
     // Step 5: Register with backend
@@ -617,9 +665,9 @@ async function main() {
                     owner,
                     safe: safeAddress,
                     roles: rolesAddress,
-                    approvalHelper: CONTRACTS.ZodiacHelpers,
+                    approvalHelper: contracts.ZodiacHelpers,
                     roleKey: ROLE_KEY,
-                    chainId: CHAIN_ID,
+                    chainId: network.chainId,
                     evt_tx_hash: state.safeTxHash || '',
                     evt_block_number: state.safeBlockNumber?.toString() || block.number.toString(),
                     evt_block_time: state.safeBlockTime || new Date(Number(block.timestamp) * 1000).toISOString(),
@@ -642,9 +690,12 @@ async function main() {
 
     // Step 6: Register CNS name (via Safe — backend signs with account=safe)
     let cnsTokenId = state.cnsTokenId
-    if (!cnsTokenId) {
+    if (!contracts.CNS) {
+        console.log('\n--- Step 6: CNS Name ---')
+        console.log(`   CNS is not deployed on ${network.label}, skipped`)
+    } else if (!cnsTokenId) {
         console.log('\n--- Step 6: Register CNS Name ---')
-        const cns = new ethers.Contract(CONTRACTS.CNS, CNS_ABI, provider)
+        const cns = new ethers.Contract(contracts.CNS, CNS_ABI, provider)
 
         // Check if Safe already owns a CNS token (from interrupted previous run)
         const safeCnsBalance = await cns.balanceOf(safeAddress)
@@ -665,7 +716,7 @@ async function main() {
 
             const fee = await cns.fee()
             console.log(`   Name: ${agentName}`)
-            console.log(`   Fee: ${ethers.formatEther(fee)} ETH`)
+            console.log(`   Fee: ${ethers.formatEther(fee)} ${network.nativeCurrency}`)
 
             try {
                 console.log('   Authenticating with backend...')
@@ -692,7 +743,7 @@ async function main() {
                 ])
 
                 const receipt = await execSafeTransaction(
-                    safe, CONTRACTS.CNS, fee, registerData, 0, agentWallet
+                    safe, contracts.CNS, fee, registerData, 0, agentWallet
                 )
                 console.log(`   Transaction: ${receipt.hash}`)
 
@@ -743,7 +794,7 @@ async function main() {
         })
 
         const multiSendData = encodeMultiSend(transactions)
-        const receipt = await execSafeTransaction(safe, CONTRACTS.MultiSend, 0n, multiSendData, 1, agentWallet)
+        const receipt = await execSafeTransaction(safe, contracts.MultiSend, 0n, multiSendData, 1, agentWallet)
         console.log(`   Transaction: ${receipt.hash}`)
         console.log('   Confirmed (3 blocks)')
         console.log('   Ownership transferred!')
@@ -761,11 +812,14 @@ async function main() {
     // Step 8: Register on ERC-8004 Identity Registry
     // Agent mints the identity NFT, then transfers it to the Safe
     let erc8004AgentId = state.erc8004AgentId
-    if (state.step !== STEPS.ERC8004_REGISTERED && state.step !== STEPS.COMPLETE) {
+    if (!contracts.IdentityRegistry) {
+        console.log('\n--- Step 8: ERC-8004 Identity ---')
+        console.log(`   The ERC-8004 Identity Registry is not deployed on ${network.label}, skipped`)
+    } else if (state.step !== STEPS.ERC8004_REGISTERED && state.step !== STEPS.COMPLETE) {
         console.log('\n--- Step 8: Register on ERC-8004 ---')
 
         const identityRegistry = new ethers.Contract(
-            CONTRACTS.IdentityRegistry,
+            contracts.IdentityRegistry,
             IDENTITY_REGISTRY_ABI,
             agentWallet
         )
@@ -775,7 +829,7 @@ async function main() {
             const agentRegistration = {
                 type: 'https://eips.ethereum.org/EIPS/eip-8004#registration-v1',
                 name: 'Clawlett',
-                description: `Autonomous MEV-protected token swap agent on Base. Safe: ${safeAddress}`,
+                description: `Autonomous MEV-protected token swap agent on ${network.label}. Safe: ${safeAddress}`,
                 image: '',
                 services: [
                     {
@@ -851,8 +905,11 @@ async function main() {
     }
 
     // Save final config
+    const { version } = JSON.parse(fs.readFileSync(path.join(__dirname, 'package.json'), 'utf8'))
     const config = {
-        chainId: CHAIN_ID,
+        version,
+        network: network.name,
+        chainId: network.chainId,
         owner,
         agent: agentWallet.address,
         safe: safeAddress,
@@ -861,7 +918,14 @@ async function main() {
         name: agentName,
         cnsTokenId: cnsTokenId || null,
         erc8004AgentId: erc8004AgentId || null,
-        contracts: CONTRACTS,
+        // Only what is deployed on this network
+        contracts: {
+            ...Object.fromEntries(Object.entries(contracts).filter(([, address]) => address)),
+            CowSettlement: network.cow.settlement,
+        },
+        spendingLimits: state.spendingLimits || [],
+        safeBlockNumber: state.safeBlockNumber || null,
+        signer: signerConfig || { type: agentKeyInfo(args.configDir).encrypted ? 'keystore' : 'keyfile' },
         createdAt: new Date().toISOString(),
         cookies: registration?.cookies,
     }
@@ -879,6 +943,7 @@ async function main() {
     console.log(`\nFund your Safe to start trading:`)
     console.log(`   ${safeAddress}`)
     console.log(`\nUsage:`)
+    console.log(`   node verify.js`)
     console.log(`   node balance.js --all`)
     console.log(`   node swap.js --from ETH --to USDC --amount 0.1`)
     console.log('')
@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+
+/**
+ * Agent key storage status and migration
+ *
+ * Encrypts a plaintext config/agent.pk in place as a JSON keystore (scrypt)
+ * and switches a wallet.json "keyfile" signer to "keystore". The address is
+ * unchanged, so no on-chain update is needed.
+ *
+ * Usage:
+ *   node keystore.js              # Show how the agent key is stored
+ *   node keystore.js --encrypt    # Encrypt a plaintext agent.pk in place
+ */
+
+import { ethers } from 'ethers'
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import {
+    PASSPHRASE_ENV,
+    PASSPHRASE_FD_ENV,
+    agentKeyPath,
+    agentKeyExists,
+    agentKeyInfo,
+    getPassphrase,
+    loadAgentWallet,
+    saveAgentKeystore,
+} from './agent-key.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function parseArgs() {
+    const args = process.argv.slice(2)
+    const result = {
+        encrypt: false,
+        configDir: process.env.WALLET_CONFIG_DIR || path.join(__dirname, '..', 'config'),
+        json: false,
+    }
+
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--encrypt':
+            case '-e':
+                result.encrypt = true
+                break
+            case '--config-dir':
+            case '-c':
+                result.configDir = args[++i]
+                break
+            case '--json':
+            case '-j':
+                result.json = true
+                break
+            case '--help':
+            case '-h':
+                printHelp()
+                process.exit(0)
+        }
+    }
+
+    return result
+}
+
+function printHelp() {
+    console.log(`
+Usage: node keystore.js [--encrypt]
+
+Show how the agent key is stored, or encrypt a plaintext key in place.
+
+Options:
+  --encrypt, -e    Encrypt config/agent.pk as a JSON keystore (scrypt)
+  --config-dir, -c Config directory
+  --json, -j       Output machine-readable JSON
+
+Passphrase (first match wins):
+  ${PASSPHRASE_ENV}      Passphrase in the environment
+  ${PASSPHRASE_FD_ENV}   File descriptor to read the passphrase from
+  Interactive prompt when run in a terminal
+
+Examples:
+  node keystore.js
+  node keystore.js --encrypt
+  ${PASSPHRASE_FD_ENV}=3 node keystore.js --encrypt 3< passphrase.txt
+`)
+}
+
+// wallet.json written with --plaintext-key names the keyfile backend, which
+// refuses an encrypted agent.pk; point it at the keystore backend instead
+function useKeystoreSigner(configDir) {
+    const configPath = path.join(configDir, 'wallet.json')
+    if (!fs.existsSync(configPath)) return false
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'))
+    if (config.signer?.type !== 'keyfile') return false
+    config.signer = { ...config.signer, type: 'keystore' }
+    fs.writeFileSync(configPath, JSON.stringify(config, null, 2))
+    return true
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+async function main() {
+    const args = parseArgs()
+
+    if (!agentKeyExists(args.configDir)) {
+        console.error(`Error: no agent key at ${agentKeyPath(args.configDir)}. Run initialize.js first.`)
+        process.exit(1)
+    }
+
+    const info = agentKeyInfo(args.configDir)
+
+    if (!args.encrypt) {
+        if (args.json) {
+            console.log(JSON.stringify({ path: agentKeyPath(args.configDir), ...info }, null, 2))
+            return
+        }
+        console.log(`\nAgent:   ${info.address}`)
+        console.log(`Storage: ${info.encrypted ? 'encrypted keystore (scrypt)' : 'PLAINTEXT'}`)
+        if (!info.encrypted) console.log('\nEncrypt it with: node keystore.js --encrypt')
+        console.log('')
+        return
+    }
+
+    if (info.encrypted) {
+        console.error('Error: agent key is already encrypted')
+        process.exit(1)
+    }
+
+    const wallet = await loadAgentWallet(args.configDir, null, { warnPlaintext: false })
+    const passphrase = await getPassphrase({ confirm: true })
+    if (passphrase.length < 8) {
+        console.error('Error: passphrase must be at least 8 characters')
+        process.exit(1)
+    }
+
+    if (!args.json) console.log('\nEncrypting agent key (scrypt, this takes a few seconds)...')
+    await saveAgentKeystore(args.configDir, wallet, passphrase)
+
+    // Make sure the new file decrypts to the same key before reporting success
+    const contents = fs.readFileSync(agentKeyPath(args.configDir), 'utf8')
+    const check = await ethers.Wallet.fromEncryptedJson(contents, passphrase)
+    if (check.address !== wallet.address) {
+        console.error('Error: keystore verification failed')
+        process.exit(1)
+    }
+    const signerUpdated = useKeystoreSigner(args.configDir)
+
+    if (args.json) {
+        console.log(JSON.stringify({ path: agentKeyPath(args.configDir), encrypted: true, address: wallet.address, signerUpdated }, null, 2))
+        return
+    }
+    console.log(`Encrypted ${agentKeyPath(args.configDir)} (agent ${wallet.address})`)
+    if (signerUpdated) console.log('wallet.json signer.type = keystore')
+    console.log('\nBackups taken before this point still contain the plaintext key.')
+    console.log(`Scripts now need the passphrase: set ${PASSPHRASE_ENV} or ${PASSPHRASE_FD_ENV}, or run them in a terminal.\n`)
+}
+
+main().catch(error => {
+    console.error(`\nError: ${error.message}`)
+    process.exit(1)
+})
@@ -0,0 +1,326 @@
+#!/usr/bin/env node
+
+/**
+ * Emergency kill switch for the owner
+ *
+ * Builds the owner batch that freezes the agent at once: the agent loses its
+ * role, the role loses every target (ZodiacHelpers, CowSettlement, AeroUniversalRouter) and,
+ * with --disable-module, the Safe disables the Roles module altogether. The
+ * batch is written as a Safe Transaction Builder file, together with the
+ * EIP-712 SafeTx hash of the equivalent MultiSend transaction for owners who
+ * sign outside the Safe UI. --check confirms afterwards that the agent can no
+ * longer execute anything through Roles.
+ *
+ * Usage:
+ *   node killswitch.js                       # Build the freeze batch
+ *   node killswitch.js --disable-module      # ...and disable the Roles module
+ *   node killswitch.js --check               # Confirm the agent is frozen
+ */
+
+import { ethers } from 'ethers'
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import {
+    SENTINEL_MODULES,
+    revokeRoleCalls,
+    revokeTargetCalls,
+    getRoleStatus,
+    probeRoleExecution,
+    getAllModules,
+    settlementAddress,
+    ZODIAC_HELPERS_ABI,
+} from './roles.js'
+import { COW_SETTLEMENT_ABI } from './cow.js'
+import {
+    buildTransactionBuilderBatch,
+    buildMultiSendTransaction,
+    buildSafeTx,
+    safeTxTypedData,
+    writeBatchFile,
+    describeBatch,
+} from './safe-tx.js'
+import { connectNetwork } from './networks.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+const BATCH_FILE = 'killswitch-batch.json'
+
+const SAFE_ABI = [
+    'function nonce() view returns (uint256)',
+    'function isModuleEnabled(address module) view returns (bool)',
+    'function getModulesPaginated(address start, uint256 pageSize) view returns (address[] array, address next)',
+    'function disableModule(address prevModule, address module)',
+]
+
+// Targets the agent role is granted by initialize.js (the router only on
+// setups before 0.3.0), with the call used to probe them. ZodiacHelpers and
+// the CoW settlement are function-scoped, so they are probed with a
+// permitted function. The settlement is only granted alongside ZodiacHelpers.
+const ROLE_TARGETS = [
+    { name: 'ZodiacHelpers', operation: 1, data: new ethers.Interface(ZODIAC_HELPERS_ABI).encodeFunctionData('wrapETH', [0n]) },
+    {
+        name: 'CowSettlement',
+        operation: 0,
+        data: new ethers.Interface(COW_SETTLEMENT_ABI).encodeFunctionData('setPreSignature', [new Uint8Array(56), false]),
+        address: config => config.contracts?.ZodiacHelpers && settlementAddress(config),
+    },
+    { name: 'AeroUniversalRouter', operation: 0, data: '0x' },
+]
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function parseArgs() {
+    const args = process.argv.slice(2)
+    const result = {
+        check: false,
+        disableModule: false,
+        nonce: null,
+        out: null,
+        configDir: process.env.WALLET_CONFIG_DIR || path.join(__dirname, '..', 'config'),
+        network: null,
+        rpc: null,
+        json: false,
+    }
+
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--check':
+                result.check = true
+                break
+            case '--disable-module':
+                result.disableModule = true
+                break
+            case '--nonce':
+                result.nonce = BigInt(args[++i])
+                break
+            case '--out':
+            case '-o':
+                result.out = args[++i]
+                break
+            case '--config-dir':
+            case '-c':
+                result.configDir = args[++i]
+                break
+            case '--network':
+                result.network = args[++i]
+                break
+            case '--rpc':
+            case '-r':
+                result.rpc = args[++i]
+                break
+            case '--json':
+            case '-j':
+                result.json = true
+                break
+            case '--help':
+            case '-h':
+                printHelp()
+                process.exit(0)
+        }
+    }
+
+    return result
+}
+
+function printHelp() {
+    console.log(`
+Usage: node killswitch.js [--disable-module] [--check]
+
+Freeze the agent. Builds the owner batch that revokes the agent's role and
+every target of the role; the Safe owner signs and executes it.
+
+Options:
+  --disable-module  Also disable the Roles module on the Safe
+  --check           Confirm the agent can no longer execute through Roles
+                    (exits with status 1 while it still can)
+  --nonce <N>       Safe nonce for the SafeTx hash (default: current nonce)
+  --out, -o <FILE>  Where to write the Transaction Builder JSON
+                    (default: config/${BATCH_FILE})
+  --config-dir, -c  Config directory
+  --network         base, ethereum, arbitrum or gnosis (default: wallet.json's, else base)
+  --rpc, -r         RPC URL (default: $<NETWORK>_RPC_URL, else the network's public RPC)
+  --json, -j        Output machine-readable JSON
+
+Signing:
+  - Safe{Wallet}: Apps → Transaction Builder → drop the batch file → Sign
+  - Elsewhere: sign the SafeTx hash printed for the MultiSend transaction.
+    The Transaction Builder may route the batch through a different MultiSend
+    contract, so its hash can differ; use one or the other.
+
+Examples:
+  node killswitch.js
+  node killswitch.js --disable-module --out freeze.json
+  node killswitch.js --check
+`)
+}
+
+function loadConfig(configDir) {
+    const configPath = path.join(configDir, 'wallet.json')
+    if (!fs.existsSync(configPath)) {
+        throw new Error(`Config not found: ${configPath}\nRun initialize.js first.`)
+    }
+    return JSON.parse(fs.readFileSync(configPath, 'utf8'))
+}
+
+function roleTargets(config) {
+    return ROLE_TARGETS
+        .map(t => ({ ...t, address: t.address ? t.address(config) : config.contracts?.[t.name] }))
+        .filter(t => t.address)
+}
+
+// disableModule needs the module pointing at Roles in the Safe's linked list
+async function findPrevModule(safe, module) {
+    const modules = await getAllModules(safe)
+    const index = modules.findIndex(m => m.toLowerCase() === module.toLowerCase())
+    if (index < 0) return null
+    return index === 0 ? SENTINEL_MODULES : modules[index - 1]
+}
+
+// ============================================================================
+// ACTIONS
+// ============================================================================
+
+async function buildFreeze(args, config, provider) {
+    const safe = new ethers.Contract(config.safe, SAFE_ABI, provider)
+    const targets = roleTargets(config)
+
+    const calls = [
+        ...revokeRoleCalls(config.roles, config.agent, config.roleKey),
+        ...revokeTargetCalls(config.roles, config.roleKey, targets),
+    ]
+
+    const notes = []
+    if (args.disableModule) {
+        const prevModule = await findPrevModule(safe, config.roles)
+        if (prevModule) {
+            calls.push({
+                to: config.safe,
+                data: safe.interface.encodeFunctionData('disableModule', [prevModule, config.roles]),
+                label: 'disableModule(Roles)',
+            })
+        } else {
+            notes.push('Roles module is not enabled on the Safe; nothing to disable.')
+        }
+    }
+
+    const nonce = args.nonce ?? await safe.nonce()
+    const multiSend = buildMultiSendTransaction(calls, config.contracts?.MultiSend)
+    const safeTx = buildSafeTx(multiSend, nonce)
+    const { payload, hash } = safeTxTypedData(config.chainId, config.safe, safeTx)
+
+    const batchFile = path.resolve(args.out || path.join(args.configDir, BATCH_FILE))
+    writeBatchFile(batchFile, buildTransactionBuilderBatch({
+        chainId: config.chainId,
+        safeAddress: config.safe,
+        name: 'Kill switch: freeze agent',
+        description: `Revoke the role of agent ${config.agent} and all role targets` +
+            (args.disableModule ? ', disable the Roles module' : ''),
+        transactions: calls,
+    }))
+
+    if (args.json) {
+        console.log(JSON.stringify({
+            safe: config.safe,
+            roles: config.roles,
+            agent: config.agent,
+            batchFile,
+            transactions: calls.map(({ to, data, label }) => ({ to, value: '0', data, label })),
+            safeTx,
+            safeTxHash: hash,
+            typedData: payload,
+            notes,
+        }, null, 2))
+        return
+    }
+
+    console.log('\n========================================')
+    console.log('         KILL SWITCH')
+    console.log('========================================')
+    console.log(`\nSafe:   ${config.safe}`)
+    console.log(`Roles:  ${config.roles}`)
+    console.log(`Agent:  ${config.agent}`)
+
+    console.log(`\nOwner batch (executed by the Safe):`)
+    console.log(describeBatch(calls))
+    notes.forEach(note => console.log(`\nNote: ${note}`))
+
+    console.log(`\nTransaction Builder file: ${batchFile}`)
+    console.log('   Safe{Wallet} → Apps → Transaction Builder → drop the file → Create batch → Sign')
+
+    console.log('\nOr sign this SafeTx directly:')
+    console.log(`   To:        ${safeTx.to} (MultiSend)`)
+    console.log(`   Operation: 1 (delegatecall)`)
+    console.log(`   Nonce:     ${safeTx.nonce}`)
+    console.log(`   Data:      ${safeTx.data}`)
+    console.log(`   SafeTx hash: ${hash}`)
+
+    console.log('\nAfter execution confirm with: node killswitch.js --check\n')
+}
+
+async function checkFrozen(args, config, provider) {
+    const safe = new ethers.Contract(config.safe, SAFE_ABI, provider)
+    const targets = roleTargets(config)
+
+    const [status, moduleEnabled, probes] = await Promise.all([
+        getRoleStatus(provider, config.roles, config.roleKey, config.agent),
+        safe.isModuleEnabled(config.roles),
+        Promise.all(targets.map(t =>
+            probeRoleExecution(provider, config.roles, config.roleKey, config.agent, t.address, t.operation, t.data)
+        )),
+    ])
+
+    const results = targets.map((t, i) => ({ target: t.name, address: t.address, ...probes[i] }))
+    const frozen = results.every(r => r.allowed === false)
+
+    if (args.json) {
+        console.log(JSON.stringify({
+            agent: config.agent,
+            frozen,
+            roleMember: status.member,
+            defaultRole: status.defaultRole,
+            moduleEnabled,
+            targets: results,
+        }, null, 2))
+    } else {
+        console.log(`\nAgent:          ${config.agent}`)
+        console.log(`Role member:    ${status.member ? 'YES' : 'no'}`)
+        console.log(`Default role:   ${status.defaultRole === ethers.ZeroHash ? 'none' : status.defaultRole}`)
+        console.log(`Roles module:   ${moduleEnabled ? 'enabled' : 'disabled'}`)
+        console.log('\nExecution through Roles:')
+        for (const r of results) {
+            const state = r.allowed === true ? 'ALLOWED' : r.allowed === false ? 'blocked' : 'UNKNOWN'
+            console.log(`   ${r.target.padEnd(20)} ${state}${r.reason ? ` (${r.reason})` : ''}`)
+        }
+        console.log(frozen
+            ? '\nAgent is frozen: it can no longer execute through Roles.\n'
+            : '\nAgent is NOT frozen. Execute the kill switch batch: node killswitch.js\n')
+    }
+
+    if (!frozen) process.exit(1)
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+async function main() {
+    const args = parseArgs()
+    const config = loadConfig(args.configDir)
+
+    if (!config.roles || !config.roleKey) {
+        throw new Error('Roles address not found in config. Re-run initialize.js.')
+    }
+
+    const { provider } = await connectNetwork(config, args)
+    if (args.check) return checkFrozen(args, config, provider)
+    return buildFreeze(args, config, provider)
+}
+
+main().catch(error => {
+    console.error(`\nError: ${error.message}`)
+    process.exit(1)
+})
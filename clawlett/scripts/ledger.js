@@ -0,0 +1,98 @@
+/**
+ * Local order ledger
+ *
+ * Journals every CoW order placed by swap.js to order-ledger.json in the
+ * config dir (quote, order struct, UID, presign transactions, status
+ * transitions, executed amounts). A run that dies between submission,
+ * presign and settlement can be picked up with `swap.js --resume <uid>`.
+ */
+
+import fs from 'fs'
+import path from 'path'
+
+const LEDGER_FILE = 'order-ledger.json'
+
+// Final CoW order states; nothing left to resume once an entry reaches one
+const TERMINAL_STATUSES = ['fulfilled', 'expired', 'cancelled']
+
+function ledgerPath(configDir) {
+    return path.join(configDir, LEDGER_FILE)
+}
+
+function loadLedger(configDir) {
+    const ledgerFile = ledgerPath(configDir)
+    if (fs.existsSync(ledgerFile)) {
+        return JSON.parse(fs.readFileSync(ledgerFile, 'utf8'))
+    }
+    return { orders: {} }
+}
+
+// Write to a temp file and rename so a crash mid-write never corrupts the journal
+function saveLedger(configDir, ledger) {
+    const ledgerFile = ledgerPath(configDir)
+    const tmpFile = `${ledgerFile}.tmp`
+    const json = JSON.stringify(ledger, (key, value) => typeof value === 'bigint' ? value.toString() : value, 2)
+    fs.writeFileSync(tmpFile, json)
+    fs.renameSync(tmpFile, ledgerFile)
+}
+
+function getEntry(configDir, orderUid) {
+    return loadLedger(configDir).orders[orderUid] || null
+}
+
+function recordOrder(configDir, orderUid, entry) {
+    const ledger = loadLedger(configDir)
+    const now = new Date().toISOString()
+    ledger.orders[orderUid] = {
+        uid: orderUid,
+        createdAt: now,
+        updatedAt: now,
+        status: 'submitted',
+        txs: [],
+        history: [{ status: 'submitted', at: now }],
+        executed: null,
+        ...entry,
+    }
+    saveLedger(configDir, ledger)
+    return ledger.orders[orderUid]
+}
+
+// Record a status transition (no-op for entries this ledger doesn't know about)
+function setStatus(configDir, orderUid, status, patch = {}) {
+    const ledger = loadLedger(configDir)
+    const entry = ledger.orders[orderUid]
+    if (!entry) return null
+    const now = new Date().toISOString()
+    if (entry.status !== status) {
+        entry.history.push({ status, at: now })
+    }
+    Object.assign(entry, patch, { status, updatedAt: now })
+    saveLedger(configDir, ledger)
+    return entry
+}
+
+// Record or update an on-chain transaction for a step ('wrap', 'presign', ...)
+function recordTx(configDir, orderUid, step, hash, status) {
+    const ledger = loadLedger(configDir)
+    const entry = ledger.orders[orderUid]
+    if (!entry) return null
+    const existing = entry.txs.find(tx => tx.hash === hash)
+    if (existing) {
+        existing.status = status
+    } else {
+        entry.txs.push({ step, hash, status, at: new Date().toISOString() })
+    }
+    entry.updatedAt = new Date().toISOString()
+    saveLedger(configDir, ledger)
+    return entry
+}
+
+export {
+    LEDGER_FILE,
+    TERMINAL_STATUSES,
+    loadLedger,
+    getEntry,
+    recordOrder,
+    setStatus,
+    recordTx,
+}
@@ -0,0 +1,373 @@
+#!/usr/bin/env node
+
+/**
+ * Spending limits for the owner
+ *
+ * Caps what the agent can sell per token and period ("max 1 ETH-equivalent
+ * of USDC per day"), enforced by Zodiac Roles allowances: the owner batch
+ * sets one allowance per limited token and re-scopes cowPreSign so every
+ * presigned order consumes the allowance of its sell token. After the owner
+ * has executed the batch, --verify checks it on-chain and records the limits
+ * in wallet.json, where swap.js picks them up.
+ *
+ * Usage:
+ *   node limits.js                                   # Limits and what is left
+ *   node limits.js --set WETH:1 --set USDC:1eth      # Owner batch: set limits (default per day)
+ *   node limits.js --set USDC:500:12h --remove AERO
+ *   node limits.js --verify                          # After the owner batch
+ */
+
+import { ethers } from 'ethers'
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import {
+    presignPermissionOp,
+    encodePermissionCall,
+    setAllowanceCall,
+    clearAllowanceCall,
+    readAllowance,
+    expectedRolePolicy,
+    syncRolesEvents,
+    replayRolesEvents,
+} from './roles.js'
+import { buildTransactionBuilderBatch, writeBatchFile, describeBatch } from './safe-tx.js'
+import {
+    DEFAULT_LIMIT_PERIOD,
+    parsePeriod,
+    resolveSpendingLimit,
+    describeLimit,
+    formatRefill,
+} from './spending-limits.js'
+import { connectNetwork, requireZodiacHelpers } from './networks.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+const BATCH_FILE = 'limits-batch.json'
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function parseArgs() {
+    const args = process.argv.slice(2)
+    const result = {
+        set: [],
+        remove: [],
+        clear: false,
+        verify: false,
+        period: DEFAULT_LIMIT_PERIOD,
+        out: null,
+        configDir: process.env.WALLET_CONFIG_DIR || path.join(__dirname, '..', 'config'),
+        network: null,
+        rpc: null,
+        json: false,
+    }
+
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--set':
+                result.set.push(args[++i])
+                break
+            case '--remove':
+                result.remove.push(args[++i])
+                break
+            case '--clear':
+                result.clear = true
+                break
+            case '--verify':
+                result.verify = true
+                break
+            case '--period':
+                result.period = args[++i]
+                break
+            case '--out':
+            case '-o':
+                result.out = args[++i]
+                break
+            case '--config-dir':
+            case '-c':
+                result.configDir = args[++i]
+                break
+            case '--network':
+                result.network = args[++i]
+                break
+            case '--rpc':
+            case '-r':
+                result.rpc = args[++i]
+                break
+            case '--json':
+            case '-j':
+                result.json = true
+                break
+            case '--help':
+            case '-h':
+                printHelp()
+                process.exit(0)
+        }
+    }
+
+    return result
+}
+
+function printHelp() {
+    console.log(`
+Usage: node limits.js [--set TOKEN:AMOUNT[:PERIOD]]... [--remove TOKEN]... [--clear] [--verify]
+
+Per-token limits on what the agent can sell, enforced on-chain by Zodiac
+Roles allowances. Changing limits needs the Safe owner.
+
+Actions:
+  (none)            Show the limits and what the agent can still sell
+  --set <SPEC>      Add or change a limit (repeatable). SPEC is TOKEN:AMOUNT[:PERIOD]
+                    with AMOUNT in token units, or in ETH with an "eth" suffix
+                    (converted at the current CoW price). ETH limits apply to WETH.
+  --remove <TOKEN>  Remove the limit of a token (repeatable)
+  --clear           Remove every limit
+  --verify          After the owner executed the batch: check it on-chain and
+                    record the limits in wallet.json
+
+Options:
+  --period <P>      Default refill period for --set, e.g. 12h, 1d, 1w (default: ${DEFAULT_LIMIT_PERIOD})
+  --out, -o <FILE>  Where to write the Transaction Builder JSON
+                    (default: config/${BATCH_FILE})
+  --config-dir, -c  Config directory
+  --network         base, ethereum, arbitrum or gnosis (default: wallet.json's, else base)
+  --rpc, -r         RPC URL (default: $<NETWORK>_RPC_URL, else the network's public RPC)
+  --json, -j        Output machine-readable JSON
+
+Notes:
+  - Each presigned order uses up its sellAmount, also if it is later cancelled
+    or expires unfilled. Allowances refill to the limit every period
+    (periods start at multiples of the period since 1970-01-01 00:00 UTC,
+    so daily limits reset at 00:00 UTC).
+  - Tokens without a limit can still be sold without one.
+
+Examples:
+  node limits.js --set WETH:1                  # max 1 WETH (or ETH) per day
+  node limits.js --set USDC:1eth --set cbBTC:1eth
+  node limits.js --set USDC:500:12h --remove AERO
+  node limits.js --verify
+`)
+}
+
+function loadConfig(configDir) {
+    const configPath = path.join(configDir, 'wallet.json')
+    if (!fs.existsSync(configPath)) {
+        throw new Error(`Config not found: ${configPath}\nRun initialize.js first.`)
+    }
+    return JSON.parse(fs.readFileSync(configPath, 'utf8'))
+}
+
+function saveConfig(configDir, config) {
+    const configPath = path.join(configDir, 'wallet.json')
+    fs.writeFileSync(configPath, JSON.stringify(config, null, 2))
+}
+
+function matchesToken(limit, token) {
+    return limit.token.toLowerCase() === token.toLowerCase() ||
+        limit.symbol.toLowerCase() === token.toLowerCase() ||
+        (token.toUpperCase() === 'ETH' && limit.symbol === 'WETH')
+}
+
+function formatRemaining(remaining, limit) {
+    return `${ethers.formatUnits(remaining, limit.decimals)} ${limit.symbol}`
+}
+
+// The allowance and cowPreSign conditions the limits need, checked against
+// the chain: [{ name, ok }]
+async function checkLimits(provider, config, configDir, limits, removed, quiet) {
+    const checks = []
+
+    for (const limit of limits) {
+        const allowance = await readAllowance(provider, config.roles, limit.allowanceKey)
+        checks.push({
+            name: `${limit.symbol} allowance (${describeLimit(limit)})`,
+            ok: allowance.maxRefill === BigInt(limit.amount) &&
+                allowance.refill === BigInt(limit.amount) &&
+                allowance.period === BigInt(limit.period),
+        })
+    }
+    for (const limit of removed) {
+        const allowance = await readAllowance(provider, config.roles, limit.allowanceKey)
+        // Roles stores maxRefill 0 as type(uint128).max, so it can't tell a cleared allowance
+        checks.push({
+            name: `${limit.symbol} allowance cleared`,
+            ok: allowance.refill === 0n && allowance.period === 0n && allowance.balance === 0n,
+        })
+    }
+
+    const { events } = await syncRolesEvents(provider, config, configDir, { quiet })
+    const actual = replayRolesEvents(events).targets[config.roleKey]?.[ethers.getAddress(config.contracts.ZodiacHelpers)]
+    const expected = expectedRolePolicy({ ...config, spendingLimits: limits }).targets[0]
+    const [selector, fn] = Object.entries(expected.functions).find(([, f]) => f.name === 'cowPreSign')
+    const got = actual?.functions[selector]
+    checks.push({
+        name: `cowPreSign conditions (${limits.length > 0 ? limits.map(l => l.symbol).join(', ') + ' limited' : 'no limits'})`,
+        ok: !!got && got.options === fn.options && JSON.stringify(got.conditions) === JSON.stringify(fn.conditions),
+    })
+
+    return checks
+}
+
+// ============================================================================
+// ACTIONS
+// ============================================================================
+
+async function showLimits(args, config, provider) {
+    const limits = config.spendingLimits || []
+    const rows = []
+    for (const limit of limits) {
+        const allowance = await readAllowance(provider, config.roles, limit.allowanceKey)
+        rows.push({ limit, remaining: allowance.balance, nextRefill: allowance.nextRefill })
+    }
+
+    if (args.json) {
+        console.log(JSON.stringify({
+            limits: rows.map(({ limit, remaining, nextRefill }) => ({
+                ...limit,
+                remaining: remaining.toString(),
+                nextRefill: nextRefill === null ? null : Number(nextRefill),
+            })),
+            pending: config.pendingSpendingLimits || null,
+        }, null, 2))
+        return
+    }
+
+    if (rows.length === 0) {
+        console.log('\nNo spending limits. The agent can sell any amount it holds.')
+    } else {
+        console.log('\nSpending limits (enforced by Roles):')
+        for (const { limit, remaining, nextRefill } of rows) {
+            const refill = nextRefill === null ? '' : `, refills ${formatRefill(nextRefill)}`
+            console.log(`   ${limit.symbol.padEnd(8)} ${describeLimit(limit)}`)
+            console.log(`   ${''.padEnd(8)} left: ${formatRemaining(remaining, limit)}${refill}`)
+        }
+    }
+    if (config.pendingSpendingLimits) {
+        console.log('\nPending change (owner batch not verified yet):')
+        for (const limit of config.pendingSpendingLimits) console.log(`   ${limit.symbol.padEnd(8)} ${describeLimit(limit)}`)
+        if (config.pendingSpendingLimits.length === 0) console.log('   remove all limits')
+        console.log('   After execution: node limits.js --verify')
+    }
+    console.log('')
+}
+
+async function prepareLimits(args, config, provider) {
+    const current = config.spendingLimits || []
+    let limits = args.clear ? [] : [...current]
+
+    for (const token of args.remove) {
+        if (!limits.some(l => matchesToken(l, token))) throw new Error(`No limit for ${token}`)
+        limits = limits.filter(l => !matchesToken(l, token))
+    }
+
+    parsePeriod(args.period)
+    for (const spec of args.set) {
+        const limit = await resolveSpendingLimit(spec, { provider, roleKey: config.roleKey, defaultPeriod: args.period })
+        limits = [...limits.filter(l => l.token !== limit.token), limit]
+    }
+
+    const changed = limits.filter(l => {
+        const before = current.find(c => c.token === l.token)
+        return !before || before.amount !== l.amount || before.period !== l.period
+    })
+    const removed = current.filter(c => !limits.some(l => l.token === c.token))
+
+    const calls = [
+        ...changed.map(limit => setAllowanceCall(config.roles, limit)),
+        ...removed.map(limit => clearAllowanceCall(config.roles, limit)),
+        encodePermissionCall(config.roles, config.roleKey, presignPermissionOp(config.contracts.ZodiacHelpers, limits)),
+    ]
+
+    const batchFile = path.resolve(args.out || path.join(args.configDir, BATCH_FILE))
+    writeBatchFile(batchFile, buildTransactionBuilderBatch({
+        chainId: config.chainId,
+        safeAddress: config.safe,
+        name: 'Agent spending limits',
+        description: limits.length > 0
+            ? `Limit agent sells: ${limits.map(describeLimit).join('; ')}`
+            : 'Remove agent spending limits',
+        transactions: calls,
+    }))
+
+    config.pendingSpendingLimits = limits
+    saveConfig(args.configDir, config)
+
+    if (args.json) {
+        console.log(JSON.stringify({
+            limits,
+            removed: removed.map(l => l.token),
+            transactions: calls.map(({ to, data, label }) => ({ to, value: '0', data, label })),
+            batchFile,
+        }, null, 2))
+        return
+    }
+
+    console.log('\nNew spending limits:')
+    if (limits.length === 0) console.log('   none (the agent can sell any amount)')
+    for (const limit of limits) console.log(`   ${limit.symbol.padEnd(8)} ${describeLimit(limit)}`)
+    for (const limit of removed) console.log(`   ${limit.symbol.padEnd(8)} removed`)
+    if (limits.some(l => l.ethEquivalent)) {
+        console.log('\nETH amounts are converted at the current CoW price and do not follow later price moves.')
+    }
+
+    console.log(`\nOwner batch (executed by the Safe, to Roles ${config.roles}):`)
+    console.log(describeBatch(calls))
+    console.log(`\nTransaction Builder file: ${batchFile}`)
+    console.log('   Safe{Wallet} → Apps → Transaction Builder → drop the file → Create batch → Sign')
+    console.log('\nAfter execution: node limits.js --verify\n')
+}
+
+async function verifyLimits(args, config, provider) {
+    if (!config.pendingSpendingLimits) {
+        throw new Error('No pending limit change. Prepare one with: node limits.js --set TOKEN:AMOUNT')
+    }
+    const limits = config.pendingSpendingLimits
+    const removed = (config.spendingLimits || []).filter(c => !limits.some(l => l.token === c.token))
+    const checks = await checkLimits(provider, config, args.configDir, limits, removed, args.json)
+    const ok = checks.every(c => c.ok)
+
+    if (ok) {
+        config.spendingLimits = limits
+        delete config.pendingSpendingLimits
+        saveConfig(args.configDir, config)
+    }
+
+    if (args.json) {
+        console.log(JSON.stringify({ verified: ok, checks, limits: ok ? limits : null }, null, 2))
+    } else {
+        console.log('\nSpending limits on-chain:')
+        for (const c of checks) console.log(`   ${c.ok ? 'OK     ' : 'MISSING'} ${c.name}`)
+        console.log(ok
+            ? '\nLimits recorded in wallet.json. swap.js now checks them before placing orders.\n'
+            : '\nOwner batch not (fully) executed yet. Execute it, then verify again.\n')
+    }
+
+    if (!ok) process.exit(1)
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+async function main() {
+    const args = parseArgs()
+    const config = loadConfig(args.configDir)
+
+    if (!config.roles || !config.roleKey || !config.contracts?.ZodiacHelpers) {
+        throw new Error('Roles address not found in config. Re-run initialize.js.')
+    }
+
+    const { provider } = await connectNetwork(config, args)
+    requireZodiacHelpers()
+    if (args.verify) return verifyLimits(args, config, provider)
+    if (args.set.length > 0 || args.remove.length > 0 || args.clear) return prepareLimits(args, config, provider)
+    return showLimits(args, config, provider)
+}
+
+main().catch(error => {
+    console.error(`\nError: ${error.message}`)
+    process.exit(1)
+})
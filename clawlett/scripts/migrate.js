@@ -0,0 +1,415 @@
+#!/usr/bin/env node
+
+/**
+ * Migration runner
+ *
+ * Applies the on-chain side of a version upgrade from the definitions in
+ * migrations.json (from/to version, code changes, contract address changes
+ * and the Roles calls they need). The current Roles configuration is read
+ * from the chain, so only the calls that are still missing end up in the
+ * owner batch, written as Safe Transaction Builder JSON. After the owner has
+ * executed it, --verify checks the new permissions and updates
+ * wallet.json (contracts + version).
+ *
+ * Usage:
+ *   node migrate.js                # Plan the migration to this code version
+ *   node migrate.js --verify       # After the owner batch: verify and update wallet.json
+ *   node migrate.js --to 0.2.0
+ */
+
+import { ethers } from 'ethers'
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import {
+    encodePermissionCall,
+    permissionEvent,
+    presignPermissionOp,
+    sameTargetPermissions,
+    syncRolesEvents,
+    replayRolesEvents,
+} from './roles.js'
+import { MULTISEND_ADDRESS, MULTISEND_SELECTOR, MULTISEND_UNWRAPPER } from './multisend.js'
+import { cowSettlement } from './cow.js'
+import { buildTransactionBuilderBatch, writeBatchFile, describeBatch } from './safe-tx.js'
+import { connectNetwork, requireZodiacHelpers } from './networks.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+const MIGRATIONS_FILE = path.join(__dirname, 'migrations.json')
+const BATCH_FILE = 'migration-batch.json'
+
+// Contracts older wallet.json files may not list
+const DEFAULT_ADDRESSES = {
+    MultiSend: () => MULTISEND_ADDRESS,
+    CowSettlement: () => cowSettlement(),
+}
+
+// Transaction unwrappers a migration can set by contract name alone
+const UNWRAPPERS = {
+    MultiSend: { selector: MULTISEND_SELECTOR, adapter: MULTISEND_UNWRAPPER },
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function parseArgs() {
+    const args = process.argv.slice(2)
+    const result = {
+        verify: false,
+        to: null,
+        out: null,
+        configDir: process.env.WALLET_CONFIG_DIR || path.join(__dirname, '..', 'config'),
+        network: null,
+        rpc: null,
+        json: false,
+    }
+
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--verify':
+                result.verify = true
+                break
+            case '--to':
+                result.to = args[++i]
+                break
+            case '--out':
+            case '-o':
+                result.out = args[++i]
+                break
+            case '--config-dir':
+            case '-c':
+                result.configDir = args[++i]
+                break
+            case '--network':
+                result.network = args[++i]
+                break
+            case '--rpc':
+            case '-r':
+                result.rpc = args[++i]
+                break
+            case '--json':
+            case '-j':
+                result.json = true
+                break
+            case '--help':
+            case '-h':
+                printHelp()
+                process.exit(0)
+        }
+    }
+
+    return result
+}
+
+function printHelp() {
+    console.log(`
+Usage: node migrate.js [--verify] [--to <VERSION>]
+
+Bring the on-chain Roles permissions in line with this code version.
+
+Options:
+  --verify          After the owner executed the batch: check the permissions
+                    on-chain, then update wallet.json contracts and version
+  --to <VERSION>    Target version (default: version in package.json)
+  --out, -o <FILE>  Where to write the Transaction Builder JSON
+                    (default: config/${BATCH_FILE})
+  --config-dir, -c  Config directory
+  --network         base, ethereum, arbitrum or gnosis (default: wallet.json's, else base)
+  --rpc, -r         RPC URL (default: $<NETWORK>_RPC_URL, else the network's public RPC)
+  --json, -j        Output machine-readable JSON
+
+Steps:
+  1. git checkout <new tag>   (code changes, see MIGRATION_GUIDE.md)
+  2. node migrate.js          (plan + owner batch)
+  3. Owner executes the batch in the Safe Transaction Builder
+  4. node migrate.js --verify
+`)
+}
+
+function loadConfig(configDir) {
+    const configPath = path.join(configDir, 'wallet.json')
+    if (!fs.existsSync(configPath)) {
+        throw new Error(`Config not found: ${configPath}\nRun initialize.js first.`)
+    }
+    return JSON.parse(fs.readFileSync(configPath, 'utf8'))
+}
+
+function saveConfig(configDir, config) {
+    const configPath = path.join(configDir, 'wallet.json')
+    fs.writeFileSync(configPath, JSON.stringify(config, null, 2))
+}
+
+function packageVersion() {
+    return JSON.parse(fs.readFileSync(path.join(__dirname, 'package.json'), 'utf8')).version
+}
+
+function compareVersions(a, b) {
+    const pa = a.split('.').map(Number)
+    const pb = b.split('.').map(Number)
+    for (let i = 0; i < 3; i++) {
+        if ((pa[i] || 0) !== (pb[i] || 0)) return (pa[i] || 0) - (pb[i] || 0)
+    }
+    return 0
+}
+
+// A migration changing a contract address does not apply to an install
+// whose wallet.json has neither the old nor the new address
+function contractMismatches(config, migration) {
+    return Object.entries(migration.contracts || {})
+        .filter(([name, change]) => {
+            const configured = config.contracts?.[name]
+            return configured && ![change.from, change.to].some(a => a.toLowerCase() === configured.toLowerCase())
+        })
+        .map(([name, change]) => `wallet.json ${name} is ${config.contracts[name]}, migration ${migration.from} → ${migration.to} expects ${change.from}`)
+}
+
+// Migrations after the recorded version, up to the target. Without a
+// recorded version every matching migration up to the target is checked
+// against the chain; already applied ones plan no calls.
+function selectMigrations(config, migrations, currentVersion, targetVersion) {
+    const candidates = migrations
+        .filter(m => compareVersions(m.to, targetVersion) <= 0)
+        .filter(m => !currentVersion || compareVersions(m.to, currentVersion) > 0)
+        .sort((a, b) => compareVersions(a.to, b.to))
+    if (currentVersion) return { selected: candidates, skipped: [] }
+    return {
+        selected: candidates.filter(m => contractMismatches(config, m).length === 0),
+        skipped: candidates.filter(m => contractMismatches(config, m).length > 0),
+    }
+}
+
+// Resolve contract names in a migration's Roles calls to addresses: the
+// migration's own address change, else the address in wallet.json. The
+// cowPreSign permission keeps the Safe's spending limits.
+function resolveOps(config, migration) {
+    return (migration.roles || []).map(op => {
+        if (op.call === 'setTransactionUnwrapper') {
+            const defaults = UNWRAPPERS[op.target] || {}
+            const address = op.address || config.contracts?.[op.target] || DEFAULT_ADDRESSES[op.target]?.()
+            const adapter = op.adapter || defaults.adapter
+            if (!address || !adapter) {
+                throw new Error(`Migration ${migration.from} → ${migration.to}: no address for ${op.call} ${op.target}`)
+            }
+            return {
+                ...op,
+                address: ethers.getAddress(address),
+                selector: op.selector || defaults.selector,
+                adapter: ethers.getAddress(adapter),
+                name: op.target,
+            }
+        }
+        const contract = migration.contracts?.[op.target]
+        const address = op.address ||
+            (contract ? (op.previous ? contract.from : contract.to) : config.contracts?.[op.target]) ||
+            DEFAULT_ADDRESSES[op.target]?.()
+        if (!address) {
+            throw new Error(`Migration ${migration.from} → ${migration.to}: no address for ${op.call} ${op.target}`)
+        }
+        if (op.function === 'cowPreSign' && config.spendingLimits?.length > 0) {
+            return presignPermissionOp(address, config.spendingLimits)
+        }
+        return {
+            ...op,
+            address: ethers.getAddress(address),
+            name: `${op.target}${op.previous ? ' (old)' : ''}`,
+        }
+    })
+}
+
+// Compare current permissions with the result of applying every planned
+// call; only targets and unwrappers that would change are part of the batch
+function planMigration(config, events, migrations) {
+    const ops = migrations.flatMap(m => resolveOps(config, m))
+    const targetOps = ops.filter(op => op.call !== 'setTransactionUnwrapper')
+    const unwrapperOps = ops.filter(op => op.call === 'setTransactionUnwrapper')
+    const before = replayRolesEvents(events)
+    const after = replayRolesEvents([
+        ...events,
+        ...ops.map(op => permissionEvent(config.roleKey, op)),
+    ])
+    const current = before.targets[config.roleKey] || {}
+    const desired = after.targets[config.roleKey] || {}
+    const unwrapperOf = (state, op) =>
+        state.unwrappers.find(u => u.to === op.address && u.selector === op.selector)?.adapter || null
+
+    const pendingTargets = new Set(
+        [...new Set(targetOps.map(op => op.address))].filter(address => !sameTargetPermissions(current[address], desired[address]))
+    )
+    const pendingUnwrappers = new Set(
+        unwrapperOps.filter(op => unwrapperOf(before, op) !== unwrapperOf(after, op)).map(op => `${op.address}:${op.selector}`)
+    )
+    const pendingOps = ops.filter(op => op.call === 'setTransactionUnwrapper'
+        ? pendingUnwrappers.has(`${op.address}:${op.selector}`)
+        : pendingTargets.has(op.address))
+
+    const contracts = {}
+    const warnings = []
+    for (const migration of migrations) {
+        for (const [name, change] of Object.entries(migration.contracts || {})) {
+            contracts[name] = ethers.getAddress(change.to)
+        }
+        warnings.push(...contractMismatches(config, migration))
+    }
+
+    return {
+        ops,
+        pendingOps,
+        calls: pendingOps.map(op => encodePermissionCall(config.roles, config.roleKey, op)),
+        targets: [
+            ...[...new Set(targetOps.map(op => op.address))].map(address => ({
+                address,
+                name: targetOps.find(op => op.address === address).name,
+                current: current[address] || null,
+                desired: desired[address] || null,
+                applied: !pendingTargets.has(address),
+            })),
+            ...unwrapperOps.map(op => ({
+                address: op.address,
+                name: `${op.name} unwrapper`,
+                current: unwrapperOf(before, op),
+                desired: unwrapperOf(after, op),
+                applied: !pendingUnwrappers.has(`${op.address}:${op.selector}`),
+            })),
+        ],
+        contracts,
+        warnings,
+    }
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+async function main() {
+    const args = parseArgs()
+    const config = loadConfig(args.configDir)
+
+    if (!config.roles || !config.roleKey) {
+        throw new Error('Roles address not found in config. Re-run initialize.js.')
+    }
+
+    const { migrations } = JSON.parse(fs.readFileSync(MIGRATIONS_FILE, 'utf8'))
+    const targetVersion = args.to || packageVersion()
+    const currentVersion = config.version || null
+    const { selected, skipped } = selectMigrations(config, migrations, currentVersion, targetVersion)
+    const skippedNotes = skipped.map(m => `Skipped ${m.from} → ${m.to}: ${contractMismatches(config, m).join('; ')}`)
+
+    if (selected.length === 0) {
+        if (args.json) {
+            console.log(JSON.stringify({ currentVersion, targetVersion, migrations: [], skipped: skippedNotes, upToDate: true }, null, 2))
+            return
+        }
+        skippedNotes.forEach(note => console.log(`\n${note}`))
+        console.log(`\nNo migrations between ${currentVersion || 'this install'} and ${targetVersion}. Up to date.\n`)
+        return
+    }
+
+    const { provider } = await connectNetwork(config, args)
+    requireZodiacHelpers()
+    const { events } = await syncRolesEvents(provider, config, args.configDir, { quiet: args.json })
+    const plan = planMigration(config, events, selected)
+
+    // ------------------------------------------------------------------------
+    // Verify after execution
+    // ------------------------------------------------------------------------
+    if (args.verify) {
+        const ok = plan.pendingOps.length === 0
+        if (ok) {
+            config.contracts = { ...config.contracts, ...plan.contracts }
+            config.version = targetVersion
+            saveConfig(args.configDir, config)
+        }
+
+        if (args.json) {
+            console.log(JSON.stringify({
+                currentVersion,
+                targetVersion,
+                verified: ok,
+                targets: plan.targets.map(({ address, name, applied }) => ({ address, name, applied })),
+                contracts: ok ? plan.contracts : null,
+            }, null, 2))
+            if (!ok) process.exit(1)
+            return
+        }
+
+        console.log(`\nMigration ${currentVersion || '(unrecorded)'} → ${targetVersion}`)
+        for (const t of plan.targets) {
+            console.log(`   ${t.applied ? 'OK     ' : 'MISSING'} ${t.name} ${t.address}`)
+        }
+        if (!ok) {
+            console.log(`\n${plan.pendingOps.length} Roles call(s) not applied yet. Execute the owner batch (node migrate.js), then verify again.\n`)
+            process.exit(1)
+        }
+        for (const [name, address] of Object.entries(plan.contracts)) {
+            console.log(`\nwallet.json contracts.${name} = ${address}`)
+        }
+        console.log(`wallet.json version = ${targetVersion}`)
+        console.log('\nMigration complete. Full audit: node verify.js\n')
+        return
+    }
+
+    // ------------------------------------------------------------------------
+    // Plan
+    // ------------------------------------------------------------------------
+    let batchFile = null
+    if (plan.calls.length > 0) {
+        batchFile = path.resolve(args.out || path.join(args.configDir, BATCH_FILE))
+        writeBatchFile(batchFile, buildTransactionBuilderBatch({
+            chainId: config.chainId,
+            safeAddress: config.safe,
+            name: `Clawlett migration to ${targetVersion}`,
+            description: selected.map(m => `${m.from} → ${m.to}: ${m.summary}`).join('\n'),
+            transactions: plan.calls,
+        }))
+    }
+
+    if (args.json) {
+        console.log(JSON.stringify({
+            currentVersion,
+            targetVersion,
+            migrations: selected.map(({ from, to, summary, code }) => ({ from, to, summary, code })),
+            targets: plan.targets.map(({ address, name, applied }) => ({ address, name, applied })),
+            transactions: plan.calls.map(({ to, data, label }) => ({ to, value: '0', data, label })),
+            batchFile,
+            contracts: plan.contracts,
+            skipped: skippedNotes,
+            warnings: plan.warnings,
+        }, null, 2))
+        return
+    }
+
+    console.log(`\nMigration ${currentVersion || '(unrecorded)'} → ${targetVersion}`)
+    for (const m of selected) {
+        console.log(`\n${m.from} → ${m.to}: ${m.summary}`)
+        for (const change of m.code || []) console.log(`   - ${change}`)
+        for (const [name, change] of Object.entries(m.contracts || {})) {
+            console.log(`   - ${name}: ${change.from} → ${change.to}`)
+        }
+    }
+    skippedNotes.forEach(note => console.log(`\n${note}`))
+    plan.warnings.forEach(w => console.log(`\nWarning: ${w}`))
+
+    console.log('\nOn-chain permissions:')
+    for (const t of plan.targets) {
+        console.log(`   ${t.applied ? 'done   ' : 'pending'} ${t.name} ${t.address}`)
+    }
+
+    if (plan.calls.length === 0) {
+        console.log('\nNo owner transaction needed. Record the migration with: node migrate.js --verify\n')
+        return
+    }
+
+    console.log(`\nOwner batch (executed by the Safe, to Roles ${config.roles}):`)
+    console.log(describeBatch(plan.calls))
+    console.log(`\nTransaction Builder file: ${batchFile}`)
+    console.log('   Safe{Wallet} → Apps → Transaction Builder → drop the file → Create batch → Sign')
+    console.log('\nAfter execution: node migrate.js --verify\n')
+}
+
+main().catch(error => {
+    console.error(`\nError: ${error.message}`)
+    process.exit(1)
+})
@@ -0,0 +1,60 @@
+/**
+ * Shared Multicall3 module
+ *
+ * Batches view calls into Multicall3 aggregate3 so a portfolio scan costs a
+ * handful of RPC requests instead of several per token. Every call is made
+ * with allowFailure, so one broken token never sinks the whole batch.
+ */
+
+import { ethers } from 'ethers'
+
+// Multicall3 (same address on every EVM chain)
+const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11'
+
+const MULTICALL3_ABI = [
+    'function aggregate3(tuple(address target, bool allowFailure, bytes callData)[] calls) payable returns (tuple(bool success, bytes returnData)[] returnData)',
+    'function getEthBalance(address addr) view returns (uint256 balance)',
+]
+
+// Keep each eth_call well below public RPC gas / payload limits
+const DEFAULT_BATCH_SIZE = 200
+
+// calls: [{ target, iface, fn, args }]
+// Returns one { success, value, error } per call, in order.
+async function aggregate3(provider, calls, { blockTag, batchSize = DEFAULT_BATCH_SIZE } = {}) {
+    const multicall = new ethers.Contract(MULTICALL3_ADDRESS, MULTICALL3_ABI, provider)
+    const results = []
+
+    for (let i = 0; i < calls.length; i += batchSize) {
+        const batch = calls.slice(i, i + batchSize)
+        const encoded = batch.map(call => ({
+            target: call.target,
+            allowFailure: true,
+            callData: call.iface.encodeFunctionData(call.fn, call.args || []),
+        }))
+
+        const response = await multicall.aggregate3.staticCall(encoded, blockTag !== undefined ? { blockTag } : {})
+
+        response.forEach((result, j) => {
+            const call = batch[j]
+            if (!result.success) {
+                results.push({ success: false, value: null, error: `${call.fn}() reverted` })
+                return
+            }
+            try {
+                const decoded = call.iface.decodeFunctionResult(call.fn, result.returnData)
+                results.push({ success: true, value: decoded.length === 1 ? decoded[0] : decoded, error: null })
+            } catch {
+                results.push({ success: false, value: null, error: `${call.fn}() returned undecodable data`, returnData: result.returnData })
+            }
+        })
+    }
+
+    return results
+}
+
+export {
+    MULTICALL3_ADDRESS,
+    MULTICALL3_ABI,
+    aggregate3,
+}
@@ -0,0 +1,87 @@
+/**
+ * Shared MultiSend module
+ *
+ * Encodes batches for the Safe MultiSend contract, used by initialize.js for
+ * owner setup batches and by the agent scripts to execute several
+ * ZodiacHelpers calls atomically through Zodiac Roles.
+ */
+
+import { ethers } from 'ethers'
+
+// Safe MultiSend v1.3.0 (supports delegatecall inner transactions)
+const MULTISEND_ADDRESS = '0xA238CBeb142c10Ef7Ad8442C6D1f9E89e07e7761'
+
+// Zodiac MultiSendUnwrapper: lets Roles check each inner transaction of a batch
+const MULTISEND_UNWRAPPER = '0x93B7fCbc63ED8a3a24B59e1C3e6649D50B7427c0'
+
+const MULTISEND_ABI = [
+    'function multiSend(bytes transactions) payable',
+]
+
+const MULTISEND_SELECTOR = new ethers.Interface(MULTISEND_ABI).getFunction('multiSend').selector
+
+// Roles v2 permission errors. TargetAddressNotAllowed, FunctionNotAllowed etc.
+// are statuses of ConditionViolation; a batch rejected for any of them (e.g. no
+// MultiSend unwrapper on the role) can still go out step by step.
+const rolesErrorsInterface = new ethers.Interface([
+    'error NoMembership()',
+    'error ConditionViolation(uint8 status, bytes32 info)',
+])
+
+function isRolesPermissionError(error) {
+    const data = error?.data ?? error?.info?.error?.data ?? error?.error?.data
+    const reverted = typeof data === 'string' ? data : data?.data
+    if (!reverted || reverted === '0x') return false
+    try {
+        const parsed = rolesErrorsInterface.parseError(reverted)
+        return parsed?.name === 'NoMembership' || parsed?.name === 'ConditionViolation'
+    } catch {
+        return false
+    }
+}
+
+// MultiSend encoding helpers
+function encodeMultiSendTx(operation, to, value, data) {
+    const dataBytes = ethers.getBytes(data)
+    return ethers.solidityPacked(
+        ['uint8', 'address', 'uint256', 'uint256', 'bytes'],
+        [operation, to, value, dataBytes.length, dataBytes]
+    )
+}
+
+function encodeMultiSend(transactions) {
+    const encoded = ethers.concat(
+        transactions.map(tx => encodeMultiSendTx(tx.operation || 0, tx.to, tx.value || 0n, tx.data))
+    )
+    const multiSendInterface = new ethers.Interface(MULTISEND_ABI)
+    return multiSendInterface.encodeFunctionData('multiSend', [encoded])
+}
+
+// Group ZodiacHelpers delegatecall steps into Roles executions: one MultiSend
+// batch when the role permits it (checked by simulation), otherwise one call
+// per step. Only a Roles permission error falls back to separate calls; an RPC
+// failure or a step reverting inside the batch is rethrown so nothing is sent.
+// Each execution is { to, data, steps }.
+async function planRoleExecutions(roles, roleKey, multiSendAddress, steps) {
+    const single = steps.map(step => ({ to: step.to, data: step.data, steps: [step] }))
+    if (steps.length < 2) return single
+
+    const data = encodeMultiSend(steps.map(step => ({ operation: 1, ...step })))
+    try {
+        await roles.execTransactionWithRole.staticCall(multiSendAddress, 0n, data, 1, roleKey, true)
+        return [{ to: multiSendAddress, data, steps }]
+    } catch (error) {
+        if (!isRolesPermissionError(error)) throw error
+        return single
+    }
+}
+
+export {
+    MULTISEND_ADDRESS,
+    MULTISEND_UNWRAPPER,
+    MULTISEND_ABI,
+    MULTISEND_SELECTOR,
+    encodeMultiSendTx,
+    encodeMultiSend,
+    planRoleExecutions,
+}
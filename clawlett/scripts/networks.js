@@ -0,0 +1,304 @@
+/**
+ * Network registry
+ *
+ * Everything chain-specific lives here: chain ID, default RPC, CoW API and
+ * explorer, CoW settlement and vault relayer, the wrapped native token, the
+ * USD reference token, Safe / Roles / helper contracts and the verified token
+ * list. Scripts pick a network with --network or from wallet.json (which
+ * records it at setup) and refuse a config or RPC from a different chain.
+ *
+ * Shared modules (cow.js, tokens.js, ...) read the network selected for the
+ * process through activeNetwork(); each script selects it once, in
+ * connectNetwork(), before it makes any call.
+ *
+ * Contracts that are not deployed on a network are null. Everything the
+ * agent role does goes through ZodiacHelpers, so setup, swaps, wraps,
+ * cancels and permission changes need it (requireZodiacHelpers); read-only
+ * scripts work on every network. CNS and the ERC-8004 IdentityRegistry are
+ * optional.
+ */
+
+import { ethers } from 'ethers'
+
+const NATIVE = '0x0000000000000000000000000000000000000000'
+
+// Safe v1.3.0 and Zodiac deployments at the same address on every network
+const CANONICAL_CONTRACTS = {
+    SafeProxyFactory: '0xa6B71E26C5e0845f74c812102Ca7114b6a896AB2',
+    SafeSingletonL2: '0x3E5c63644E683549055b9Be8653de26E0B4CD36E',
+    CompatibilityFallbackHandler: '0xf48f2B2d2a534e402487b3ee7C18c33Aec0Fe5e4',
+    MultiSend: '0xA238CBeb142c10Ef7Ad8442C6D1f9E89e07e7761',
+    RolesSingleton: '0x9646fDAD06d3e24444381f44362a3B0eB343D337',
+    ModuleProxyFactory: '0x000000000000aDdB49795b0f9bA5BC298cDda236',
+}
+
+// CoW Protocol settlement and vault relayer (same on every CoW network)
+const COW_CONTRACTS = {
+    settlement: '0x9008D19f58AAbD9eD0D60971565AA8510560ab41',
+    vaultRelayer: '0xC92E8bdf79f0507f65a392b0ab4667716BFE0110',
+}
+
+const NETWORKS = {
+    base: {
+        name: 'base',
+        label: 'Base',
+        chainId: 8453,
+        rpcUrl: 'https://mainnet.base.org',
+        rpcEnv: 'BASE_RPC_URL',
+        cowApi: 'https://api.cow.fi/base',
+        cowExplorer: 'https://explorer.cow.fi/base',
+        dexScreener: 'base',
+        cow: COW_CONTRACTS,
+        nativeCurrency: 'ETH',
+        wrappedNative: { symbol: 'WETH', address: '0x4200000000000000000000000000000000000006' },
+        usdc: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913',
+        // Agent gas asked for before deploying the Safe and Roles
+        setupGas: '0.00002',
+        contracts: {
+            ...CANONICAL_CONTRACTS,
+            AeroUniversalRouter: '0x6Df1c91424F79E40E33B1A48F0687B666bE71075',
+            ZodiacHelpers: '0x9699a24346464F1810a2822CEEE89f715c65F629',
+            IdentityRegistry: '0x8004A169FB4a3325136EB29fA0ceB6D2e539a432',
+            CNS: '0x299319e0BC8d67e11AD8b17D4d5002033874De3a',
+        },
+        tokens: {
+            'ETH': NATIVE,
+            'WETH': '0x4200000000000000000000000000000000000006',
+            'USDC': '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913',
+            'USDT': '0xfde4C96c8593536E31F229EA8f37b2ADa2699bb2',
+            'DAI': '0x50c5725949A6F0c72E6C4a641F24049A917DB0Cb',
+            'USDS': '0x820C137fa70C8691f0e44Dc420a5e53c168921Dc',
+            'AERO': '0x940181a94A35A4569E4529A3CDfB74e38FD98631',
+            'cbBTC': '0xcbB7C0000aB88B473b1f5aFd9ef808440eed33Bf',
+            'VIRTUAL': '0x0b3e328455c4059EEb9e3f84b5543F74E24e7E1b',
+            'DEGEN': '0x4ed4E862860beD51a9570b96d89aF5E1B0Efefed',
+            'BRETT': '0x532f27101965dd16442E59d40670FaF5eBB142E4',
+            'TOSHI': '0xAC1Bd2486aAf3B5C0fc3Fd868558b082a531B2B4',
+            'WELL': '0xA88594D404727625A9437C3f886C7643872296AE',
+            'BID': '0xa1832f7f4e534ae557f9b5ab76de54b1873e498b',
+        },
+        protectedSymbols: ['ETH', 'WETH', 'USDC', 'USDT', 'DAI', 'USDS', 'AERO', 'cbBTC', 'BID'],
+        // Spenders from earlier Aerodrome integrations, audited by allowances.js
+        legacySpenders: [
+            { name: 'Aerodrome Universal Router (legacy)', address: '0x6Cb442acF35158D5eDa88fe602221b67B400Be3e' },
+            { name: 'Aerodrome Router', address: '0xcF77a3Ba9A5CA399B7c97c74d54e5b1Beb874E43' },
+        ],
+    },
+    ethereum: {
+        name: 'ethereum',
+        label: 'Ethereum',
+        chainId: 1,
+        rpcUrl: 'https://ethereum-rpc.publicnode.com',
+        rpcEnv: 'ETHEREUM_RPC_URL',
+        cowApi: 'https://api.cow.fi/mainnet',
+        cowExplorer: 'https://explorer.cow.fi',
+        dexScreener: 'ethereum',
+        cow: COW_CONTRACTS,
+        nativeCurrency: 'ETH',
+        wrappedNative: { symbol: 'WETH', address: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2' },
+        usdc: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48',
+        setupGas: '0.02',
+        contracts: {
+            ...CANONICAL_CONTRACTS,
+            ZodiacHelpers: null,
+            IdentityRegistry: null,
+            CNS: null,
+        },
+        tokens: {
+            'ETH': NATIVE,
+            'WETH': '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2',
+            'USDC': '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48',
+            'USDT': '0xdAC17F958D2ee523a2206206994597C13D831ec7',
+            'DAI': '0x6B175474E89094C44Da98b954EedeAC495271d0F',
+            'USDS': '0xdC035D45d973E3EC169d2276DDab16f1e407384F',
+            'WBTC': '0x2260FAC5E5542a773Aa44fBCfeDf7C193bc2C599',
+            'cbBTC': '0xcbB7C0000aB88B473b1f5aFd9ef808440eed33Bf',
+            'wstETH': '0x7f39C581F595B53c5cb19bD0b3f8dA6c935E2Ca0',
+            'COW': '0xDEf1CA1fb7FBcDC777520aa7f396b4E015F497aB',
+            'UNI': '0x1f9840a85d5aF5bf1D1762F925BDADdC4201F984',
+            'LINK': '0x514910771AF9Ca656af840dff83E8264EcF986CA',
+        },
+        protectedSymbols: ['ETH', 'WETH', 'USDC', 'USDT', 'DAI', 'USDS', 'WBTC', 'cbBTC', 'wstETH'],
+    },
+    arbitrum: {
+        name: 'arbitrum',
+        label: 'Arbitrum One',
+        chainId: 42161,
+        rpcUrl: 'https://arb1.arbitrum.io/rpc',
+        rpcEnv: 'ARBITRUM_RPC_URL',
+        cowApi: 'https://api.cow.fi/arbitrum_one',
+        cowExplorer: 'https://explorer.cow.fi/arb1',
+        dexScreener: 'arbitrum',
+        cow: COW_CONTRACTS,
+        nativeCurrency: 'ETH',
+        wrappedNative: { symbol: 'WETH', address: '0x82aF49447D8a07e3bd95BD0d56f35241523fBab1' },
+        usdc: '0xaf88d065e77c8cC2239327C5EDb3A432268e5831',
+        setupGas: '0.0002',
+        contracts: {
+            ...CANONICAL_CONTRACTS,
+            ZodiacHelpers: null,
+            IdentityRegistry: null,
+            CNS: null,
+        },
+        tokens: {
+            'ETH': NATIVE,
+            'WETH': '0x82aF49447D8a07e3bd95BD0d56f35241523fBab1',
+            'USDC': '0xaf88d065e77c8cC2239327C5EDb3A432268e5831',
+            'USDT': '0xFd086bC7CD5C481DCC9C85ebE478A1C0b69FCbb9',
+            'DAI': '0xDA10009cBd5D07dd0CeCc66161FC93D7c9000da1',
+            'WBTC': '0x2f2a2543B76A4166549F7aaB2e75Bef0aefC5B0f',
+            'wstETH': '0x5979D7b546E38E414F7E9822514be443A4800529',
+            'ARB': '0x912CE59144191C1204E64559FE8253a0e49E6548',
+            'GMX': '0xfc5A1A6EB076a2C7aD06eD22C90d7E710E35ad0a',
+            'LINK': '0xf97f4df75117a78c1A5a0DBb814Af92458539FB4',
+        },
+        protectedSymbols: ['ETH', 'WETH', 'USDC', 'USDT', 'DAI', 'WBTC', 'wstETH', 'ARB'],
+    },
+    gnosis: {
+        name: 'gnosis',
+        label: 'Gnosis Chain',
+        chainId: 100,
+        rpcUrl: 'https://rpc.gnosischain.com',
+        rpcEnv: 'GNOSIS_RPC_URL',
+        cowApi: 'https://api.cow.fi/xdai',
+        cowExplorer: 'https://explorer.cow.fi/gc',
+        dexScreener: 'gnosischain',
+        cow: COW_CONTRACTS,
+        nativeCurrency: 'XDAI',
+        wrappedNative: { symbol: 'WXDAI', address: '0xe91D153E0b41518A2Ce8Dd3D7944Fa863463a97d' },
+        usdc: '0xDDAfbb505ad214D7b80b1f830fcCc89B60fb7A83',
+        setupGas: '0.02',
+        contracts: {
+            ...CANONICAL_CONTRACTS,
+            ZodiacHelpers: null,
+            IdentityRegistry: null,
+            CNS: null,
+        },
+        tokens: {
+            'XDAI': NATIVE,
+            'WXDAI': '0xe91D153E0b41518A2Ce8Dd3D7944Fa863463a97d',
+            'WETH': '0x6A023CCd1ff6F2045C3309768eAd9E68F978f6e1',
+            'USDC': '0xDDAfbb505ad214D7b80b1f830fcCc89B60fb7A83',
+            'USDT': '0x4ECaBa5870353805a9F068101A40E0f32ed605C6',
+            'GNO': '0x9C58BAcC331c9aa871AFD802DB6379a98e80CEdb',
+            'COW': '0x177127622c4A00F3d409B75571e12cB3c8973d3c',
+            'wstETH': '0x6C76971f98945AE98dD7d4DFcA8711ebea946eA6',
+            'sDAI': '0xaf204776c7245bF4147c2612BF6e5972Ee483701',
+        },
+        protectedSymbols: ['XDAI', 'WXDAI', 'WETH', 'USDC', 'USDT', 'GNO', 'wstETH', 'sDAI'],
+        // ETH is bridged here; asking for it means WETH
+        aliases: { 'ETH': 'WETH', 'ETHER': 'WETH', 'ETHEREUM': 'WETH' },
+    },
+}
+
+const DEFAULT_NETWORK = 'base'
+
+let selected = NETWORKS[DEFAULT_NETWORK]
+
+// ============================================================================
+// LOOKUP
+// ============================================================================
+
+function getNetwork(name) {
+    const network = NETWORKS[String(name).toLowerCase()]
+    if (!network) {
+        throw new Error(`Unknown network "${name}". Supported: ${Object.keys(NETWORKS).join(', ')}`)
+    }
+    return network
+}
+
+function networkByChainId(chainId) {
+    const network = Object.values(NETWORKS).find(n => n.chainId === Number(chainId))
+    if (!network) throw new Error(`Unsupported chain ID ${chainId}`)
+    return network
+}
+
+function describeNetwork(network) {
+    return `${network.label} (chain ${network.chainId})`
+}
+
+// The network wallet.json was set up for: its network name, or the chain ID
+// for configs written before networks were recorded
+function configNetwork(config) {
+    if (!config) return null
+    if (config.network) {
+        const network = getNetwork(config.network)
+        if (config.chainId !== undefined && Number(config.chainId) !== network.chainId) {
+            throw new Error(`wallet.json says network ${config.network} but chainId ${config.chainId}`)
+        }
+        return network
+    }
+    return config.chainId !== undefined ? networkByChainId(config.chainId) : null
+}
+
+// --network must match the config; without either, Base
+function resolveNetwork(config, name = null) {
+    const requested = name ? getNetwork(name) : null
+    const configured = configNetwork(config)
+    if (requested && configured && requested !== configured) {
+        throw new Error(
+            `wallet.json is for ${describeNetwork(configured)}, not ${describeNetwork(requested)}.\n` +
+            `Use a separate --config-dir per network.`
+        )
+    }
+    return requested || configured || NETWORKS[DEFAULT_NETWORK]
+}
+
+function defaultRpcUrl(network) {
+    return process.env[network.rpcEnv] || network.rpcUrl
+}
+
+// Throws on networks where the agent role has nothing to call yet
+function requireZodiacHelpers(network = selected) {
+    if (!network.contracts.ZodiacHelpers) {
+        const supported = Object.values(NETWORKS).filter(n => n.contracts.ZodiacHelpers).map(n => n.name)
+        throw new Error(
+            `ZodiacHelpers is not deployed on ${network.label} yet, so the agent role cannot act there ` +
+            `(supported: ${supported.join(', ')}). Read-only scripts still work.`
+        )
+    }
+}
+
+// ============================================================================
+// SELECTION
+// ============================================================================
+
+function useNetwork(network) {
+    selected = network
+}
+
+function activeNetwork() {
+    return selected
+}
+
+// Select the network for this process and connect to it. Refuses a config
+// from another chain, and an RPC that serves a different chain than the one
+// selected. Returns { network, provider }.
+async function connectNetwork(config, { network: name = null, rpc = null } = {}) {
+    const network = resolveNetwork(config, name)
+    useNetwork(network)
+
+    const url = rpc || defaultRpcUrl(network)
+    const provider = new ethers.JsonRpcProvider(url, network.chainId, { staticNetwork: true })
+    const chainId = Number(await provider.send('eth_chainId', []))
+    if (chainId !== network.chainId) {
+        provider.destroy()
+        throw new Error(`RPC ${url} serves chain ${chainId}, not ${describeNetwork(network)}`)
+    }
+    return { network, provider }
+}
+
+export {
+    NETWORKS,
+    DEFAULT_NETWORK,
+    getNetwork,
+    networkByChainId,
+    describeNetwork,
+    configNetwork,
+    resolveNetwork,
+    defaultRpcUrl,
+    requireZodiacHelpers,
+    useNetwork,
+    activeNetwork,
+    connectNetwork,
+}
@@ -0,0 +1,428 @@
+#!/usr/bin/env node
+
+/**
+ * Manage the Safe's CoW Protocol orders
+ *
+ * Lists orders from the CoW order book, shows status and fill details of a
+ * single order, and cancels presigned orders on-chain by revoking the
+ * presignature: the Safe calls setPreSignature(uid, false) on the CoW
+ * settlement (through Zodiac Roles).
+ *
+ * Usage:
+ *   node orders.js                          # Recent orders
+ *   node orders.js --status open            # Open orders only
+ *   node orders.js --uid 0x...              # Status + fills of one order
+ *   node orders.js --cancel 0x...           # Preview cancellation
+ *   node orders.js --cancel 0x... --execute # Cancel on-chain
+ */
+
+import { ethers } from 'ethers'
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { resolveByAddress } from './tokens.js'
+import {
+    COW_SETTLEMENT_ABI,
+    getOrder,
+    getAccountOrders,
+    getOrderTrades,
+    orderExplorerUrl,
+} from './cow.js'
+import { setStatus } from './ledger.js'
+import { probeRoleExecution, settlementAddress } from './roles.js'
+import { createAgentSigner } from './signer.js'
+import { connectNetwork, requireZodiacHelpers } from './networks.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+const ROLES_ABI = [
+    'function execTransactionWithRole(address to, uint256 value, bytes data, uint8 operation, bytes32 roleKey, bool shouldRevert) returns (bool)',
+]
+
+// CoW statuses grouped for --status filtering (presignaturePending counts as open)
+const STATUS_FILTERS = {
+    open: ['open', 'presignaturePending'],
+    fulfilled: ['fulfilled'],
+    expired: ['expired'],
+    cancelled: ['cancelled'],
+}
+
+const CANCELLABLE_STATUSES = ['open', 'presignaturePending']
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function formatAmount(amount, decimals, symbol) {
+    if (decimals === null) return `${amount.toString()} (raw) ${symbol}`
+    const formatted = ethers.formatUnits(amount, decimals)
+    const num = parseFloat(formatted)
+    if (num === 0) return `0 ${symbol}`
+    if (num < 0.0001) return `${formatted} ${symbol}`
+    return `${num.toLocaleString(undefined, { maximumFractionDigits: 6 })} ${symbol}`
+}
+
+function formatDate(value) {
+    return new Date(value).toISOString().replace('T', ' ').slice(0, 16)
+}
+
+// Fill percentage measured on the order's fixed side
+function fillPercent(order) {
+    const [executed, total] = order.kind === 'buy'
+        ? [BigInt(order.executedBuyAmount || 0), BigInt(order.buyAmount)]
+        : [BigInt(order.executedSellAmount || 0), BigInt(order.sellAmount)]
+    if (total === 0n) return 0
+    return Number(executed * 10000n / total) / 100
+}
+
+// Resolve token metadata once per address; unknown tokens fall back to raw units
+function createTokenCache(provider) {
+    const cache = new Map()
+    return async (address) => {
+        const key = address.toLowerCase()
+        if (!cache.has(key)) {
+            try {
+                const token = await resolveByAddress(address, provider)
+                cache.set(key, { symbol: token.symbol, decimals: token.decimals, verified: token.verified })
+            } catch {
+                cache.set(key, { symbol: `${address.slice(0, 8)}...`, decimals: null, verified: false })
+            }
+        }
+        return cache.get(key)
+    }
+}
+
+async function describeOrder(order, tokenInfo) {
+    const sell = await tokenInfo(order.sellToken)
+    const buy = await tokenInfo(order.buyToken)
+    const executedSell = BigInt(order.executedSellAmount || 0)
+    const executedBuy = BigInt(order.executedBuyAmount || 0)
+
+    return {
+        uid: order.uid,
+        status: order.status,
+        kind: order.kind,
+        class: order.class,
+        partiallyFillable: order.partiallyFillable,
+        createdAt: order.creationDate,
+        validTo: new Date(order.validTo * 1000).toISOString(),
+        sellToken: { address: order.sellToken, symbol: sell.symbol, verified: sell.verified },
+        buyToken: { address: order.buyToken, symbol: buy.symbol, verified: buy.verified },
+        sellAmount: order.sellAmount,
+        buyAmount: order.buyAmount,
+        executedSellAmount: executedSell.toString(),
+        executedBuyAmount: executedBuy.toString(),
+        filledPercent: fillPercent(order),
+        sellFormatted: formatAmount(BigInt(order.sellAmount), sell.decimals, sell.symbol),
+        buyFormatted: formatAmount(BigInt(order.buyAmount), buy.decimals, buy.symbol),
+        executedSellFormatted: formatAmount(executedSell, sell.decimals, sell.symbol),
+        executedBuyFormatted: formatAmount(executedBuy, buy.decimals, buy.symbol),
+        explorer: orderExplorerUrl(order.uid),
+    }
+}
+
+function loadConfig(configDir) {
+    const configPath = path.join(configDir, 'wallet.json')
+    if (!fs.existsSync(configPath)) {
+        throw new Error(`Config not found: ${configPath}\nRun initialize.js first.`)
+    }
+    return JSON.parse(fs.readFileSync(configPath, 'utf8'))
+}
+
+function parseArgs() {
+    const args = process.argv.slice(2)
+    const result = {
+        uid: null,
+        cancel: null,
+        status: 'all',
+        limit: 20,
+        execute: false,
+        configDir: process.env.WALLET_CONFIG_DIR || path.join(__dirname, '..', 'config'),
+        network: null,
+        rpc: null,
+        json: false,
+    }
+
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--uid':
+            case '-u':
+                result.uid = args[++i]
+                break
+            case '--cancel':
+                result.cancel = args[++i]
+                break
+            case '--status':
+            case '-s':
+                result.status = args[++i]
+                break
+            case '--limit':
+            case '-l':
+                result.limit = parseInt(args[++i])
+                break
+            case '--execute':
+            case '-x':
+                result.execute = true
+                break
+            case '--config-dir':
+            case '-c':
+                result.configDir = args[++i]
+                break
+            case '--network':
+                result.network = args[++i]
+                break
+            case '--rpc':
+            case '-r':
+                result.rpc = args[++i]
+                break
+            case '--json':
+            case '-j':
+                result.json = true
+                break
+            case '--help':
+            case '-h':
+                printHelp()
+                process.exit(0)
+        }
+    }
+
+    return result
+}
+
+function printHelp() {
+    console.log(`
+Usage: node orders.js [options]
+
+List, inspect and cancel the Safe's CoW Protocol orders.
+
+Options:
+  --status, -s     Filter list: open, fulfilled, expired, cancelled, all (default: all)
+  --limit, -l      Number of orders to list (default: 20)
+  --uid, -u        Show status and fill details of one order
+  --cancel         Cancel an open order (revokes its presignature on-chain)
+  --execute, -x    Send the cancel transaction (default: preview only)
+  --config-dir, -c Config directory
+  --network        base, ethereum, arbitrum or gnosis (default: wallet.json's, else base)
+  --rpc, -r        RPC URL (default: $<NETWORK>_RPC_URL, else the network's public RPC)
+  --json, -j       Output machine-readable JSON
+
+Examples:
+  node orders.js --status open
+  node orders.js --uid 0xabc...
+  node orders.js --cancel 0xabc... --execute
+`)
+}
+
+// ============================================================================
+// COMMANDS
+// ============================================================================
+
+async function listOrders(args, safeAddress, tokenInfo) {
+    const statuses = args.status === 'all' ? null : STATUS_FILTERS[args.status]
+    if (args.status !== 'all' && !statuses) {
+        console.error(`Error: unknown --status "${args.status}". Use one of: ${Object.keys(STATUS_FILTERS).join(', ')}, all`)
+        process.exit(1)
+    }
+
+    // The API has no status filter, so page until enough matching orders are found
+    const matches = []
+    const pageSize = 100
+    const maxPages = 10
+    for (let offset = 0; matches.length < args.limit && offset < pageSize * maxPages; offset += pageSize) {
+        const page = await getAccountOrders(safeAddress, { offset, limit: pageSize })
+        matches.push(...page.filter(o => !statuses || statuses.includes(o.status)))
+        if (page.length < pageSize) break
+    }
+
+    const orders = []
+    for (const order of matches.slice(0, args.limit)) {
+        orders.push(await describeOrder(order, tokenInfo))
+    }
+
+    if (args.json) {
+        console.log(JSON.stringify({ safe: safeAddress, status: args.status, orders }, null, 2))
+        return
+    }
+
+    console.log(`\nSafe: ${safeAddress}\n`)
+    if (orders.length === 0) {
+        console.log(`No ${args.status === 'all' ? '' : args.status + ' '}orders found.\n`)
+        return
+    }
+
+    for (const o of orders) {
+        const arrow = o.kind === 'buy'
+            ? `≤${o.sellFormatted} → ${o.buyFormatted}`
+            : `${o.sellFormatted} → ≥${o.buyFormatted}`
+        console.log(`[${o.status}] ${formatDate(o.createdAt)}  ${arrow}`)
+        console.log(`   ${o.class || 'market'} ${o.kind}, ${o.filledPercent}% filled, valid to ${formatDate(o.validTo)}`)
+        console.log(`   ${o.uid}`)
+    }
+    console.log('')
+}
+
+async function showOrder(args, safeAddress, tokenInfo) {
+    const order = await getOrder(args.uid)
+    if (!order) {
+        console.error(`Error: order ${args.uid} not found in the CoW order book`)
+        process.exit(1)
+    }
+    const details = await describeOrder(order, tokenInfo)
+    const trades = await getOrderTrades(args.uid).catch(() => [])
+    details.trades = trades.map(t => ({
+        blockNumber: t.blockNumber,
+        txHash: t.txHash,
+        sellAmount: t.sellAmount,
+        buyAmount: t.buyAmount,
+    }))
+
+    if (args.json) {
+        console.log(JSON.stringify(details, null, 2))
+        return
+    }
+
+    if (order.owner.toLowerCase() !== safeAddress.toLowerCase()) {
+        console.log(`\nNote: order owner ${order.owner} is not this Safe`)
+    }
+
+    console.log(`\nOrder:     ${details.uid}`)
+    console.log(`Status:    ${details.status}`)
+    console.log(`Type:      ${details.class || 'market'} ${details.kind}${details.partiallyFillable ? ' (partially fillable)' : ''}`)
+    console.log(`Created:   ${formatDate(details.createdAt)}`)
+    console.log(`Valid to:  ${formatDate(details.validTo)}`)
+    console.log(`Sell:      ${details.sellFormatted}${details.kind === 'buy' ? ' (max)' : ''}`)
+    console.log(`Buy:       ${details.buyFormatted}${details.kind === 'sell' ? ' (min)' : ''}`)
+    console.log(`Filled:    ${details.filledPercent}%`)
+    console.log(`  Sold:     ${details.executedSellFormatted}`)
+    console.log(`  Bought:   ${details.executedBuyFormatted}`)
+    for (const t of details.trades) {
+        console.log(`  Trade:    block ${t.blockNumber}, tx ${t.txHash}`)
+    }
+    console.log(`Explorer:  ${details.explorer}\n`)
+}
+
+async function cancelOrder(args, config, provider, tokenInfo) {
+    const safeAddress = config.safe
+    const order = await getOrder(args.cancel)
+    if (!order) {
+        console.error(`Error: order ${args.cancel} not found in the CoW order book`)
+        process.exit(1)
+    }
+
+    if (order.owner.toLowerCase() !== safeAddress.toLowerCase()) {
+        console.error(`Error: order owner ${order.owner} is not this Safe (${safeAddress})`)
+        process.exit(1)
+    }
+    if (!CANCELLABLE_STATUSES.includes(order.status)) {
+        console.error(`Error: order is ${order.status} and cannot be cancelled`)
+        process.exit(1)
+    }
+
+    const details = await describeOrder(order, tokenInfo)
+    console.log(`\nOrder:    ${details.uid}`)
+    console.log(`Status:   ${details.status} (${details.filledPercent}% filled)`)
+    console.log(`Sell:     ${details.sellFormatted}`)
+    console.log(`Buy:      ${details.buyFormatted}`)
+
+    // setPreSignature(uid, false) on the settlement, called by the Safe (the
+    // order owner); the role only permits signed == false there. Safes set
+    // up before 0.3.0 lack that permission until the owner migrates.
+    const settlement = settlementAddress(config)
+    const cancelData = new ethers.Interface(COW_SETTLEMENT_ABI).encodeFunctionData('setPreSignature', [args.cancel, false])
+    const probe = await probeRoleExecution(provider, config.roles, config.roleKey, config.agent, settlement, 0, cancelData)
+    if (probe.allowed === false) {
+        console.error(`\nError: the agent role cannot cancel orders (${probe.reason}).`)
+        if (probe.reason.startsWith('permission denied')) {
+            console.error('The CoW settlement setPreSignature permission is missing. Have the owner run: node migrate.js')
+        }
+        process.exit(1)
+    }
+
+    if (!args.execute) {
+        console.log('\nPREVIEW ONLY - Add --execute to revoke the presignature on-chain')
+        console.log(`\nTo execute: node orders.js --cancel ${args.cancel} --execute`)
+        return
+    }
+
+    let wallet
+    try {
+        wallet = await createAgentSigner(config, args.configDir, provider)
+    } catch (error) {
+        console.error(`Error: ${error.message}`)
+        process.exit(1)
+    }
+    const roles = new ethers.Contract(config.roles, ROLES_ABI, wallet)
+
+    console.log('\nRevoking presignature...')
+    const tx = await roles.execTransactionWithRole(
+        settlement,
+        0n,
+        cancelData,
+        0, // call
+        config.roleKey,
+        true
+    )
+    console.log(`   Transaction: ${tx.hash}`)
+    const receipt = await tx.wait()
+    if (receipt.status !== 1) {
+        console.error('   Cancel transaction failed!')
+        process.exit(1)
+    }
+
+    const preSignature = await new ethers.Contract(settlement, COW_SETTLEMENT_ABI, provider).preSignature(args.cancel)
+    if (preSignature !== 0n) {
+        console.error('   Presignature is still set on the settlement contract!')
+        process.exit(1)
+    }
+
+    setStatus(args.configDir, args.cancel, 'cancelled')
+
+    console.log('\nORDER CANCELLED')
+    console.log('   The CoW API will report the order as cancelled shortly.')
+    console.log(`   Explorer: ${orderExplorerUrl(args.cancel)}\n`)
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+async function main() {
+    const args = parseArgs()
+
+    if (!Number.isInteger(args.limit) || args.limit <= 0) {
+        console.error('Error: --limit must be a positive integer')
+        process.exit(1)
+    }
+
+    let config
+    try {
+        config = loadConfig(args.configDir)
+    } catch (error) {
+        console.error(`Error: ${error.message}`)
+        process.exit(1)
+    }
+
+    let provider
+    try {
+        ({ provider } = await connectNetwork(config, args))
+        if (args.cancel) requireZodiacHelpers()
+    } catch (error) {
+        console.error(`Error: ${error.message}`)
+        process.exit(1)
+    }
+    const tokenInfo = createTokenCache(provider)
+
+    if (args.cancel) {
+        await cancelOrder(args, config, provider, tokenInfo)
+    } else if (args.uid) {
+        await showOrder(args, config.safe, tokenInfo)
+    } else {
+        await listOrders(args, config.safe, tokenInfo)
+    }
+}
+
+main().catch(error => {
+    console.error(`\nError: ${error.message}`)
+    process.exit(1)
+})
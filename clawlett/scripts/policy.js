@@ -0,0 +1,325 @@
+/**
+ * Local trading policy
+ *
+ * Rules the owner (or a risk team) sets in config/policy.json, checked by
+ * swap.js before it signs an order, and by swap.js --resume before it
+ * presigns a journaled one. Unlike the on-chain spending limits these are
+ * enforced by the agent's own scripts, so they also cover things Roles
+ * cannot see: USD values, liquidity, portfolio share and time between
+ * trades.
+ *
+ * policy.json (every rule is optional):
+ *   {
+ *     "allowTokens": ["ETH", "USDC", "0x..."],  // only these may be traded
+ *     "denyTokens": ["0x..."],                  // never trade these
+ *     "allowUnverified": false,                 // ban tokens outside the verified list
+ *     "maxTradeUsd": 1000,                      // USD value sold per trade
+ *     "maxPortfolioShare": 0.25,                // share of the Safe's value sold per trade
+ *     "minLiquidityUsd": 50000,                 // DexScreener liquidity of unverified tokens
+ *     "maxSlippage": 0.02,                      // cap on market order slippage (0-0.5)
+ *     "cooldown": "15m"                         // minimum time between trades
+ *   }
+ *
+ * Token entries are verified symbols of the wallet's network (ETH and WETH
+ * are the same) or contract addresses. A broken policy file stops trading rather than being
+ * ignored. Violations are returned as { rule, message, limit, actual } so
+ * the agent can explain exactly which rule blocked a trade.
+ */
+
+import { ethers } from 'ethers'
+import fs from 'fs'
+import path from 'path'
+import { ERC20_ABI, verifiedTokens, findVerifiedToken, getTokenLiquidity } from './tokens.js'
+import { getNativePrice } from './cow.js'
+import { aggregate3, MULTICALL3_ADDRESS, MULTICALL3_ABI } from './multicall.js'
+import { loadLedger } from './ledger.js'
+import { parsePeriod } from './spending-limits.js'
+import { activeNetwork } from './networks.js'
+
+const POLICY_FILE = 'policy.json'
+
+const NATIVE_ETH = '0x0000000000000000000000000000000000000000'
+const USDC_DECIMALS = 6
+
+const POLICY_RULES = [
+    'allowTokens',
+    'denyTokens',
+    'allowUnverified',
+    'maxTradeUsd',
+    'maxPortfolioShare',
+    'minLiquidityUsd',
+    'maxSlippage',
+    'cooldown',
+]
+
+// ============================================================================
+// LOADING
+// ============================================================================
+
+function wrappedNativeAddress() {
+    return activeNetwork().wrappedNative.address.toLowerCase()
+}
+
+// Verified symbol or address → lowercase address (ETH counts as WETH, which
+// is what CoW trades)
+function policyTokenAddress(entry) {
+    const value = String(entry).trim()
+    if (ethers.isAddress(value)) {
+        const address = value.toLowerCase()
+        return address === NATIVE_ETH ? wrappedNativeAddress() : address
+    }
+    const verified = findVerifiedToken(value.replace(/^\$/, ''))
+    if (!verified) {
+        throw new Error(`"${value}" is not a verified token symbol on ${activeNetwork().label}; use its contract address`)
+    }
+    return verified.address === NATIVE_ETH ? wrappedNativeAddress() : verified.address.toLowerCase()
+}
+
+function positiveNumber(policy, rule, max = Infinity) {
+    const value = policy[rule]
+    if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0 || value > max) {
+        throw new Error(`${rule} must be a number above 0${max === Infinity ? '' : ` and at most ${max}`}`)
+    }
+    return value
+}
+
+// Returns the parsed policy, or null when there is no policy file
+function loadPolicy(configDir) {
+    const policyPath = path.join(configDir, POLICY_FILE)
+    if (!fs.existsSync(policyPath)) return null
+
+    let raw
+    try {
+        raw = JSON.parse(fs.readFileSync(policyPath, 'utf8'))
+    } catch (error) {
+        throw new Error(`Invalid ${POLICY_FILE}: ${error.message}`)
+    }
+
+    try {
+        const unknown = Object.keys(raw).filter(key => !POLICY_RULES.includes(key))
+        if (unknown.length > 0) {
+            throw new Error(`unknown rule${unknown.length > 1 ? 's' : ''} ${unknown.join(', ')} (known: ${POLICY_RULES.join(', ')})`)
+        }
+
+        const policy = { file: policyPath }
+        for (const rule of ['allowTokens', 'denyTokens']) {
+            if (raw[rule] === undefined) continue
+            if (!Array.isArray(raw[rule])) throw new Error(`${rule} must be a list of symbols or addresses`)
+            policy[rule] = raw[rule].map(entry => ({ entry: String(entry), address: policyTokenAddress(entry) }))
+        }
+        if (raw.allowUnverified !== undefined) {
+            if (typeof raw.allowUnverified !== 'boolean') throw new Error('allowUnverified must be true or false')
+            policy.allowUnverified = raw.allowUnverified
+        }
+        if (raw.maxTradeUsd !== undefined) policy.maxTradeUsd = positiveNumber(raw, 'maxTradeUsd')
+        if (raw.maxPortfolioShare !== undefined) policy.maxPortfolioShare = positiveNumber(raw, 'maxPortfolioShare', 1)
+        if (raw.minLiquidityUsd !== undefined) policy.minLiquidityUsd = positiveNumber(raw, 'minLiquidityUsd')
+        if (raw.maxSlippage !== undefined) policy.maxSlippage = positiveNumber(raw, 'maxSlippage', 0.5)
+        if (raw.cooldown !== undefined) {
+            policy.cooldown = String(raw.cooldown)
+            policy.cooldownSeconds = parsePeriod(raw.cooldown)
+        }
+        return policy
+    } catch (error) {
+        throw new Error(`Invalid ${POLICY_FILE}: ${error.message}`)
+    }
+}
+
+// ============================================================================
+// VALUATION
+// ============================================================================
+
+// USD value of `amount` atoms of a token from CoW native prices (wei per
+// atom), or null when CoW has no price
+async function usdValue(tokenAddress, amount, decimals, usdcNativePrice) {
+    const address = tokenAddress.toLowerCase() === NATIVE_ETH ? wrappedNativeAddress() : tokenAddress
+    if (address.toLowerCase() === activeNetwork().usdc.toLowerCase()) {
+        return Number(ethers.formatUnits(amount, decimals))
+    }
+    try {
+        const nativePrice = await getNativePrice(address)
+        return Number(amount) * nativePrice / (usdcNativePrice * 10 ** USDC_DECIMALS)
+    } catch {
+        return null
+    }
+}
+
+// USD value of the Safe: ETH, the verified tokens and every token it has
+// traded through swap.js. Tokens CoW cannot price are left out.
+async function portfolioValueUsd(provider, configDir, safeAddress, usdcNativePrice) {
+    const tokens = new Set(Object.values(verifiedTokens()).filter(a => a !== NATIVE_ETH).map(a => a.toLowerCase()))
+    for (const entry of Object.values(loadLedger(configDir).orders)) {
+        if (entry.sellToken?.address) tokens.add(entry.sellToken.address.toLowerCase())
+        if (entry.buyToken?.address) tokens.add(entry.buyToken.address.toLowerCase())
+    }
+    const addresses = [...tokens]
+
+    const erc20 = new ethers.Interface(ERC20_ABI)
+    const multicall = new ethers.Interface(MULTICALL3_ABI)
+    const results = await aggregate3(provider, [
+        { target: MULTICALL3_ADDRESS, iface: multicall, fn: 'getEthBalance', args: [safeAddress] },
+        ...addresses.map(address => ({ target: address, iface: erc20, fn: 'balanceOf', args: [safeAddress] })),
+        ...addresses.map(address => ({ target: address, iface: erc20, fn: 'decimals' })),
+    ])
+
+    // The native currency is CoW's price unit: one wei is worth one wei
+    let total = results[0].success ? Number(results[0].value) / (usdcNativePrice * 10 ** USDC_DECIMALS) : 0
+    for (let i = 0; i < addresses.length; i++) {
+        const balance = results[1 + i]
+        const decimals = results[1 + addresses.length + i]
+        if (!balance.success || !decimals.success || balance.value === 0n) continue
+        total += await usdValue(addresses[i], balance.value, Number(decimals.value), usdcNativePrice) ?? 0
+    }
+    return total
+}
+
+// ============================================================================
+// CHECKS
+// ============================================================================
+
+function violation(rule, message, limit = null, actual = null) {
+    return { rule, message, limit, actual }
+}
+
+function formatUsd(value) {
+    return `$${value.toLocaleString(undefined, { maximumFractionDigits: 2 })}`
+}
+
+function tokenListed(list, token) {
+    return list.find(t => t.address === token.address.toLowerCase() ||
+        (token.address.toLowerCase() === NATIVE_ETH && t.address === wrappedNativeAddress()))
+}
+
+// Before quoting: which tokens may be traded, and how soon after the last trade
+async function checkTokens(policy, configDir, tokens, now = Date.now()) {
+    if (!policy) return []
+    const violations = []
+
+    for (const token of tokens) {
+        const denied = policy.denyTokens && tokenListed(policy.denyTokens, token)
+        if (denied) {
+            violations.push(violation('denyTokens', `${token.symbol} (${token.address}) is on the deny list`, denied.entry, token.address))
+        }
+        if (policy.allowTokens && !tokenListed(policy.allowTokens, token)) {
+            violations.push(violation('allowTokens', `${token.symbol} (${token.address}) is not on the allow list`,
+                policy.allowTokens.map(t => t.entry), token.address))
+        }
+        if (!token.verified && policy.allowUnverified === false) {
+            violations.push(violation('allowUnverified', `${token.symbol} (${token.address}) is not a verified token`, false, true))
+        }
+        if (!token.verified && policy.minLiquidityUsd !== undefined) {
+            const liquidity = token.liquidity ?? await getTokenLiquidity(token.address).catch(() => null)
+            if (liquidity === null || liquidity === undefined) {
+                violations.push(violation('minLiquidityUsd', `Liquidity of ${token.symbol} is unknown`, policy.minLiquidityUsd, null))
+            } else if (Number(liquidity) < policy.minLiquidityUsd) {
+                violations.push(violation('minLiquidityUsd',
+                    `${token.symbol} liquidity is ${formatUsd(Number(liquidity))}, policy requires ${formatUsd(policy.minLiquidityUsd)}`,
+                    policy.minLiquidityUsd, Number(liquidity)))
+            }
+        }
+    }
+
+    if (policy.cooldownSeconds !== undefined) {
+        const last = lastTradeTime(configDir)
+        if (last !== undefined) {
+            const elapsed = Math.floor((now - last) / 1000)
+            if (elapsed < policy.cooldownSeconds) {
+                const next = new Date(last + policy.cooldownSeconds * 1000).toISOString().replace(/\.\d+Z$/, 'Z')
+                violations.push(violation('cooldown',
+                    `Last trade was ${elapsed}s ago, policy requires ${policy.cooldown} between trades (next trade at ${next})`,
+                    policy.cooldownSeconds, elapsed))
+            }
+        }
+    }
+
+    return violations
+}
+
+// Statuses of orders that were presigned on-chain (timeout: presigned, still
+// open when swap.js stopped waiting)
+const TRADED_STATUSES = ['presigned', 'timeout', 'fulfilled']
+
+// When the newest order that actually traded was presigned. Orders that failed
+// before presign don't count, nor cancelled or expired ones that never filled.
+function lastTradeTime(configDir) {
+    return Object.values(loadLedger(configDir).orders)
+        .filter(entry => TRADED_STATUSES.includes(entry.status) || BigInt(entry.executed?.sellAmount || 0) > 0n)
+        .map(entry => Date.parse(entry.history?.find(h => h.status === 'presigned')?.at || entry.createdAt))
+        .filter(Number.isFinite)
+        .sort((a, b) => b - a)[0]
+}
+
+// Clamp the swap.js slippage policy to maxSlippage. A fixed --slippage above
+// it is a violation; the smart-slippage cap is lowered quietly.
+function checkSlippage(policy, slippagePolicy) {
+    if (!policy || policy.maxSlippage === undefined) return { slippagePolicy, violations: [] }
+    const maxBips = Math.round(policy.maxSlippage * 10000)
+    if (slippagePolicy.mode === 'fixed' && slippagePolicy.bips > maxBips) {
+        return {
+            slippagePolicy,
+            violations: [violation('maxSlippage',
+                `Slippage ${slippagePolicy.bips / 100}% exceeds the policy maximum of ${maxBips / 100}%`,
+                policy.maxSlippage, slippagePolicy.bips / 10000)],
+        }
+    }
+    return { slippagePolicy: { ...slippagePolicy, capBips: Math.min(slippagePolicy.capBips, maxBips) }, violations: [] }
+}
+
+// Before executing: the value of what the order sells. Returns
+// { violations, tradeUsd, portfolioUsd }.
+async function checkTradeSize(policy, { provider, configDir, safeAddress, sellToken, sellAmount }) {
+    const result = { violations: [], tradeUsd: null, portfolioUsd: null }
+    if (!policy || (policy.maxTradeUsd === undefined && policy.maxPortfolioShare === undefined)) return result
+
+    let usdcNativePrice
+    try {
+        usdcNativePrice = await getNativePrice(activeNetwork().usdc)
+    } catch {
+        result.violations.push(violation('maxTradeUsd', 'Cannot value the trade: no CoW price for USDC'))
+        return result
+    }
+
+    result.tradeUsd = await usdValue(sellToken.address, sellAmount, sellToken.decimals, usdcNativePrice)
+    if (result.tradeUsd === null) {
+        const rule = policy.maxTradeUsd !== undefined ? 'maxTradeUsd' : 'maxPortfolioShare'
+        result.violations.push(violation(rule, `Cannot value the trade: no CoW price for ${sellToken.symbol}`))
+        return result
+    }
+
+    if (policy.maxTradeUsd !== undefined && result.tradeUsd > policy.maxTradeUsd) {
+        result.violations.push(violation('maxTradeUsd',
+            `Trade sells ${formatUsd(result.tradeUsd)}, policy allows ${formatUsd(policy.maxTradeUsd)} per trade`,
+            policy.maxTradeUsd, result.tradeUsd))
+    }
+
+    if (policy.maxPortfolioShare !== undefined) {
+        result.portfolioUsd = await portfolioValueUsd(provider, configDir, safeAddress, usdcNativePrice)
+        const share = result.portfolioUsd > 0 ? result.tradeUsd / result.portfolioUsd : 1
+        if (share > policy.maxPortfolioShare) {
+            result.violations.push(violation('maxPortfolioShare',
+                `Trade sells ${(share * 100).toFixed(1)}% of the portfolio (${formatUsd(result.tradeUsd)} of ${formatUsd(result.portfolioUsd)}), ` +
+                `policy allows ${(policy.maxPortfolioShare * 100).toFixed(1)}%`,
+                policy.maxPortfolioShare, share))
+        }
+    }
+
+    return result
+}
+
+function formatViolations(policy, violations) {
+    return [
+        `POLICY VIOLATION (${policy.file}):`,
+        ...violations.map(v => `   [${v.rule}] ${v.message}`),
+        `Details: ${JSON.stringify(violations.map(({ rule, limit, actual }) => ({ rule, limit, actual })))}`,
+    ].join('\n')
+}
+
+export {
+    POLICY_FILE,
+    POLICY_RULES,
+    loadPolicy,
+    checkTokens,
+    checkSlippage,
+    checkTradeSize,
+    formatViolations,
+}
@@ -0,0 +1,848 @@
+/**
+ * Zodiac Roles v2 helpers
+ *
+ * Encodes owner-side Roles admin calls and reads back what the agent is
+ * actually allowed to do. Roles v2 keeps role membership in internal
+ * storage, so membership is probed by simulating execTransactionWithRole
+ * from the account: the call reverts with NoMembership() for non-members and
+ * with anything else (or succeeds) for members. The full role configuration
+ * (members, targets, functions, unwrappers) is rebuilt by replaying the
+ * Roles events, cached in config/roles-events.json so later runs only scan
+ * new blocks. Allowances (the agent's spending limits) are public and read
+ * directly.
+ */
+
+import { ethers } from 'ethers'
+import fs from 'fs'
+import path from 'path'
+import { MULTISEND_ADDRESS, MULTISEND_SELECTOR, MULTISEND_UNWRAPPER } from './multisend.js'
+import { COW_SETTLEMENT_ABI, cowSettlement } from './cow.js'
+
+const ROLES_ABI = [
+    'function assignRoles(address module, bytes32[] roleKeys, bool[] memberOf)',
+    'function setDefaultRole(address module, bytes32 roleKey)',
+    'function defaultRoles(address module) view returns (bytes32)',
+    'function scopeTarget(bytes32 roleKey, address targetAddress)',
+    'function allowTarget(bytes32 roleKey, address targetAddress, uint8 options)',
+    'function revokeTarget(bytes32 roleKey, address targetAddress)',
+    'function allowFunction(bytes32 roleKey, address targetAddress, bytes4 selector, uint8 options)',
+    'function scopeFunction(bytes32 roleKey, address targetAddress, bytes4 selector, tuple(uint8 parent, uint8 paramType, uint8 operator, bytes compValue)[] conditions, uint8 options)',
+    'function revokeFunction(bytes32 roleKey, address targetAddress, bytes4 selector)',
+    'function setTransactionUnwrapper(address to, bytes4 selector, address adapter)',
+    'function setAllowance(bytes32 key, uint128 balance, uint128 maxRefill, uint128 refill, uint64 period, uint64 timestamp)',
+    'function allowances(bytes32 key) view returns (uint128 refill, uint128 maxRefill, uint64 period, uint128 balance, uint64 timestamp)',
+    'function owner() view returns (address)',
+    'function avatar() view returns (address)',
+    'function target() view returns (address)',
+    'function execTransactionWithRole(address to, uint256 value, bytes data, uint8 operation, bytes32 roleKey, bool shouldRevert) returns (bool)',
+    'error NoMembership()',
+    'error ConditionViolation(uint8 status, bytes32 info)',
+    'function getModulesPaginated(address start, uint256 pageSize) view returns (address[] array, address next)',
+]
+
+const ROLES_EVENTS_ABI = [
+    'event AssignRoles(address module, bytes32[] roleKeys, bool[] memberOf)',
+    'event SetDefaultRole(address module, bytes32 defaultRoleKey)',
+    'event SetUnwrapAdapter(address to, bytes4 selector, address adapter)',
+    'event AllowTarget(bytes32 roleKey, address targetAddress, uint8 options)',
+    'event ScopeTarget(bytes32 roleKey, address targetAddress)',
+    'event RevokeTarget(bytes32 roleKey, address targetAddress)',
+    'event AllowFunction(bytes32 roleKey, address targetAddress, bytes4 selector, uint8 options)',
+    'event ScopeFunction(bytes32 roleKey, address targetAddress, bytes4 selector, tuple(uint8 parent, uint8 paramType, uint8 operator, bytes compValue)[] conditions, uint8 options)',
+    'event RevokeFunction(bytes32 roleKey, address targetAddress, bytes4 selector)',
+    'event SetAllowance(bytes32 allowanceKey, uint128 balance, uint128 maxRefill, uint128 refill, uint64 period, uint64 timestamp)',
+]
+
+// Functions the agent calls on ZodiacHelpers (always by delegatecall)
+const ZODIAC_HELPERS_ABI = [
+    'function cowPreSign(tuple(address sellToken, address buyToken, address receiver, uint256 sellAmount, uint256 buyAmount, uint32 validTo, bytes32 appData, uint256 feeAmount, bytes32 kind, bool partiallyFillable, bytes32 sellTokenBalance, bytes32 buyTokenBalance) order, bytes orderUid)',
+    'function approveForCow(address token, uint256 amount)',
+    'function approveForRouter(address token, uint256 amount)',
+    'function wrapETH(uint256 amount)',
+    'function unwrapWETH(uint256 amount)',
+]
+
+const rolesInterface = new ethers.Interface(ROLES_ABI)
+const eventsInterface = new ethers.Interface(ROLES_EVENTS_ABI)
+const helpersInterface = new ethers.Interface(ZODIAC_HELPERS_ABI)
+const settlementInterface = new ethers.Interface(COW_SETTLEMENT_ABI)
+
+const ExecutionOptions = {
+    None: 0,
+    Send: 1,
+    DelegateCall: 2,
+    Both: 3,
+}
+
+const EXECUTION_OPTION_NAMES = ['None', 'Send', 'DelegateCall', 'Both']
+
+// How much of a target a role may call
+const Clearance = {
+    None: 'None',
+    Target: 'Target',
+    Function: 'Function',
+}
+
+// Roles v2 condition encoding (ConditionFlat)
+const ParameterType = {
+    None: 0,
+    Static: 1,
+    Dynamic: 2,
+    Tuple: 3,
+    Array: 4,
+    Calldata: 5,
+}
+
+const Operator = {
+    Pass: 0,
+    And: 1,
+    Or: 2,
+    Nor: 3,
+    Matches: 5,
+    EqualToAvatar: 15,
+    EqualTo: 16,
+    WithinAllowance: 28,
+}
+
+// Positions in the cowPreSign order tuple
+const ORDER_FIELDS = {
+    sellToken: 0,
+    receiver: 2,
+    sellAmount: 3,
+}
+
+// Flatten a condition tree { paramType, operator, compValue, children } into
+// the breadth-first array Roles expects (each node points at its parent)
+function flattenConditions(root) {
+    const flat = []
+    const queue = [{ node: root, parent: 0 }]
+    while (queue.length > 0) {
+        const { node, parent } = queue.shift()
+        const index = flat.length
+        flat.push({ parent, paramType: node.paramType, operator: node.operator, compValue: node.compValue || '0x' })
+        for (const child of node.children || []) queue.push({ node: child, parent: index })
+    }
+    return flat
+}
+
+// cowPreSign calldata where the order must pay out to the Safe; `fields`
+// overrides the condition of individual order fields by index
+function presignCalldata(fields = {}) {
+    return {
+        paramType: ParameterType.Calldata,
+        operator: Operator.Matches,
+        children: [
+            {
+                paramType: ParameterType.Tuple,
+                operator: Operator.Matches,
+                children: Array.from({ length: 12 }, (_, i) => fields[i] || (i === ORDER_FIELDS.receiver
+                    ? { paramType: ParameterType.Static, operator: Operator.EqualToAvatar }
+                    : { paramType: ParameterType.Static, operator: Operator.Pass })),
+            },
+            { paramType: ParameterType.Dynamic, operator: Operator.Pass },
+        ],
+    }
+}
+
+const equalToAddress = address => ({
+    paramType: ParameterType.Static,
+    operator: Operator.EqualTo,
+    compValue: ethers.AbiCoder.defaultAbiCoder().encode(['address'], [address]),
+})
+
+// Named parameter conditions, as flat trees in breadth-first order
+// (root first, then its children, then theirs). Each is built from the
+// permission op, so conditions can depend on its parameters.
+const CONDITIONS = {
+    // cowPreSign(order, orderUid): the order must pay out to the Safe
+    presignReceiverIsAvatar: () => flattenConditions(presignCalldata()),
+    // cowPreSign with spending limits (op.limits): selling a limited token
+    // consumes its allowance by the order's sellAmount, other tokens are
+    // not limited. The order must pay out to the Safe either way.
+    presignWithinAllowances: ({ limits }) => {
+        const branches = limits.map(limit => presignCalldata({
+            [ORDER_FIELDS.sellToken]: equalToAddress(limit.token),
+            [ORDER_FIELDS.sellAmount]: {
+                paramType: ParameterType.Static,
+                operator: Operator.WithinAllowance,
+                compValue: limit.allowanceKey,
+            },
+        }))
+        branches.push(presignCalldata({
+            [ORDER_FIELDS.sellToken]: {
+                paramType: ParameterType.None,
+                operator: Operator.Nor,
+                children: limits.map(limit => equalToAddress(limit.token)),
+            },
+        }))
+        return flattenConditions({ paramType: ParameterType.None, operator: Operator.Or, children: branches })
+    },
+    // setPreSignature(orderUid, signed): cancelling only (signed == false)
+    unsignOnly: () => [
+        { parent: 0, paramType: ParameterType.Calldata, operator: Operator.Matches, compValue: '0x' },
+        { parent: 0, paramType: ParameterType.Dynamic, operator: Operator.Pass, compValue: '0x' },
+        {
+            parent: 0,
+            paramType: ParameterType.Static,
+            operator: Operator.EqualTo,
+            compValue: ethers.AbiCoder.defaultAbiCoder().encode(['bool'], [false]),
+        },
+    ],
+    // approveForRouter(token, amount): revoking only (amount == 0)
+    revokeOnly: () => [
+        { parent: 0, paramType: ParameterType.Calldata, operator: Operator.Matches, compValue: '0x' },
+        { parent: 0, paramType: ParameterType.Static, operator: Operator.Pass, compValue: '0x' },
+        {
+            parent: 0,
+            paramType: ParameterType.Static,
+            operator: Operator.EqualTo,
+            compValue: ethers.AbiCoder.defaultAbiCoder().encode(['uint256'], [0]),
+        },
+    ],
+}
+
+// Function-level permissions of the agent role on ZodiacHelpers. Everything
+// else on the helper (and any other contract) is denied.
+const HELPER_PERMISSIONS = [
+    { function: 'cowPreSign', conditions: 'presignReceiverIsAvatar' },
+    { function: 'approveForCow' },
+    { function: 'approveForRouter', conditions: 'revokeOnly' },
+    { function: 'wrapETH' },
+    { function: 'unwrapWETH' },
+]
+
+const EVENTS_FILE = 'roles-events.json'
+const EVENTS_BLOCK_RANGE = 10000
+const EVENTS_MIN_BLOCK_RANGE = 100
+
+// Head of the Zodiac/Safe module linked list
+const SENTINEL_MODULES = '0x0000000000000000000000000000000000000001'
+
+const NO_MEMBERSHIP_SELECTOR = rolesInterface.getError('NoMembership').selector
+
+// Error(string)
+const ERROR_STRING_SELECTOR = '0x08c379a0'
+
+// Safe revert when the calling module is not enabled
+const SAFE_MODULE_NOT_ENABLED = 'GS104'
+
+// ============================================================================
+// OWNER CALLS
+// ============================================================================
+
+// Calls (for an owner batch) that give `module` the role and make it the default
+function grantRoleCalls(rolesAddress, module, roleKey) {
+    return [
+        {
+            to: rolesAddress,
+            data: rolesInterface.encodeFunctionData('assignRoles', [module, [roleKey], [true]]),
+            label: `assignRoles(${module}, [role], [true])`,
+        },
+        {
+            to: rolesAddress,
+            data: rolesInterface.encodeFunctionData('setDefaultRole', [module, roleKey]),
+            label: `setDefaultRole(${module}, role)`,
+        },
+    ]
+}
+
+// Removes every permission a target grants the role, whoever holds it
+function revokeTargetCalls(rolesAddress, roleKey, targets) {
+    return targets.map(({ name, address }) => ({
+        to: rolesAddress,
+        data: rolesInterface.encodeFunctionData('revokeTarget', [roleKey, address]),
+        label: `revokeTarget(role, ${name})`,
+    }))
+}
+
+function revokeRoleCalls(rolesAddress, module, roleKey) {
+    return [
+        {
+            to: rolesAddress,
+            data: rolesInterface.encodeFunctionData('assignRoles', [module, [roleKey], [false]]),
+            label: `assignRoles(${module}, [role], [false])`,
+        },
+        {
+            to: rolesAddress,
+            data: rolesInterface.encodeFunctionData('setDefaultRole', [module, ethers.ZeroHash]),
+            label: `setDefaultRole(${module}, 0x0)`,
+        },
+    ]
+}
+
+// A permission change { call, address, name, options } as used by migration
+// definitions, e.g. { call: 'allowTarget', address, name: 'ZodiacHelpers', options: 'Both' }
+// or { call: 'setTransactionUnwrapper', address, name: 'MultiSend', selector, adapter }
+function encodePermissionCall(rolesAddress, roleKey, op) {
+    switch (op.call) {
+        case 'scopeTarget':
+        case 'revokeTarget':
+            return {
+                to: rolesAddress,
+                data: rolesInterface.encodeFunctionData(op.call, [roleKey, op.address]),
+                label: `${op.call}(role, ${op.name || op.address})`,
+            }
+        case 'allowTarget':
+            return {
+                to: rolesAddress,
+                data: rolesInterface.encodeFunctionData('allowTarget', [roleKey, op.address, executionOptions(op.options)]),
+                label: `allowTarget(role, ${op.name || op.address}, ${op.options})`,
+            }
+        case 'allowFunction':
+            return {
+                to: rolesAddress,
+                data: rolesInterface.encodeFunctionData('allowFunction', [
+                    roleKey, op.address, functionSelector(op), executionOptions(op.options),
+                ]),
+                label: `allowFunction(role, ${op.name || op.address}.${op.function || op.selector}, ${op.options})`,
+            }
+        case 'scopeFunction':
+            return {
+                to: rolesAddress,
+                data: rolesInterface.encodeFunctionData('scopeFunction', [
+                    roleKey, op.address, functionSelector(op), namedConditions(op), executionOptions(op.options),
+                ]),
+                label: `scopeFunction(role, ${op.name || op.address}.${op.function || op.selector}, ${op.conditions}, ${op.options})`,
+            }
+        case 'revokeFunction':
+            return {
+                to: rolesAddress,
+                data: rolesInterface.encodeFunctionData('revokeFunction', [roleKey, op.address, functionSelector(op)]),
+                label: `revokeFunction(role, ${op.name || op.address}.${op.function || op.selector})`,
+            }
+        case 'setTransactionUnwrapper':
+            return {
+                to: rolesAddress,
+                data: rolesInterface.encodeFunctionData('setTransactionUnwrapper', [op.address, op.selector, op.adapter]),
+                label: `setTransactionUnwrapper(${op.name || op.address}, ${op.selector}, ${op.adapter})`,
+            }
+        default:
+            throw new Error(`Unsupported permission call "${op.call}"`)
+    }
+}
+
+// The Roles event the call emits, so planned changes can be replayed on top
+// of the on-chain history
+function permissionEvent(roleKey, op) {
+    if (op.call === 'setTransactionUnwrapper') {
+        return { name: 'SetUnwrapAdapter', args: { to: op.address, selector: op.selector, adapter: op.adapter } }
+    }
+    const name = op.call.charAt(0).toUpperCase() + op.call.slice(1)
+    const args = { roleKey, targetAddress: op.address }
+    if (op.call.endsWith('Function')) args.selector = functionSelector(op)
+    if (op.call === 'allowTarget' || op.call === 'allowFunction' || op.call === 'scopeFunction') {
+        args.options = executionOptions(op.options)
+    }
+    if (op.call === 'scopeFunction') args.conditions = conditionsToJson(namedConditions(op))
+    return { name, args }
+}
+
+// Selector from op.selector or a ZodiacHelpers / CoW settlement function name
+function functionSelector(op) {
+    if (op.selector) return op.selector
+    const fragment = helpersInterface.getFunction(op.function) || settlementInterface.getFunction(op.function)
+    if (!fragment) throw new Error(`Unknown ZodiacHelpers or CoW settlement function "${op.function}"`)
+    return fragment.selector
+}
+
+function namedConditions(op) {
+    if (!CONDITIONS[op.conditions]) {
+        throw new Error(`Unknown condition "${op.conditions}" (use ${Object.keys(CONDITIONS).join(', ')})`)
+    }
+    return CONDITIONS[op.conditions](op)
+}
+
+// Same shape as conditions decoded from ScopeFunction events
+function conditionsToJson(conditions) {
+    return conditions.map(c => [
+        String(c.parent), String(c.paramType), String(c.operator), ethers.hexlify(c.compValue),
+    ])
+}
+
+// Owner calls that scope the role to HELPER_PERMISSIONS on ZodiacHelpers
+function scopedHelperOps(helpersAddress, limits = []) {
+    const address = ethers.getAddress(helpersAddress)
+    return [
+        { call: 'scopeTarget', address, name: 'ZodiacHelpers' },
+        ...HELPER_PERMISSIONS.map(p => p.function === 'cowPreSign'
+            ? presignPermissionOp(address, limits)
+            : {
+                call: p.conditions ? 'scopeFunction' : 'allowFunction',
+                address,
+                name: 'ZodiacHelpers',
+                function: p.function,
+                conditions: p.conditions,
+                options: 'DelegateCall',
+            }),
+    ]
+}
+
+// Owner calls that let the role cancel its presigned orders: a plain call to
+// setPreSignature(uid, false) on the CoW settlement, never re-signing
+function cancelPermissionOps(settlementAddress) {
+    const address = ethers.getAddress(settlementAddress)
+    return [
+        { call: 'scopeTarget', address, name: 'CowSettlement' },
+        {
+            call: 'scopeFunction',
+            address,
+            name: 'CowSettlement',
+            function: 'setPreSignature',
+            conditions: 'unsignOnly',
+            options: 'None',
+        },
+    ]
+}
+
+// CoW settlement recorded in wallet.json, else the network's
+function settlementAddress(config) {
+    return config.contracts?.CowSettlement || cowSettlement()
+}
+
+// scopeFunction(cowPreSign) for a set of spending limits (see spending-limits.js)
+function presignPermissionOp(helpersAddress, limits = []) {
+    return {
+        call: 'scopeFunction',
+        address: ethers.getAddress(helpersAddress),
+        name: 'ZodiacHelpers',
+        function: 'cowPreSign',
+        conditions: limits.length > 0 ? 'presignWithinAllowances' : 'presignReceiverIsAvatar',
+        limits,
+        options: 'DelegateCall',
+    }
+}
+
+// ============================================================================
+// ALLOWANCES
+// ============================================================================
+
+// Allowance keys are global on the Roles modifier; derive them per role and token
+function sellAllowanceKey(roleKey, token) {
+    return ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(['bytes32', 'address'], [roleKey, token]))
+}
+
+// Owner call that (re)sets an allowance to a full balance refilling to
+// `amount` every `period` seconds. Roles takes timestamp 0 as the block
+// time, so the start of the current period is passed explicitly: periods
+// are multiples of `period` since the epoch (daily limits reset at 00:00 UTC)
+// whenever the owner executes the batch.
+function setAllowanceCall(rolesAddress, { allowanceKey, amount, period, symbol }) {
+    const now = BigInt(Math.floor(Date.now() / 1000))
+    const timestamp = now - now % BigInt(period)
+    return {
+        to: rolesAddress,
+        data: rolesInterface.encodeFunctionData('setAllowance', [allowanceKey, amount, amount, amount, period, timestamp]),
+        label: `setAllowance(${symbol || allowanceKey}, ${amount}, every ${period}s)`,
+    }
+}
+
+function clearAllowanceCall(rolesAddress, { allowanceKey, symbol }) {
+    return {
+        to: rolesAddress,
+        data: rolesInterface.encodeFunctionData('setAllowance', [allowanceKey, 0, 0, 0, 0, 0]),
+        label: `setAllowance(${symbol || allowanceKey}, 0)`,
+    }
+}
+
+// Balance after the refills due by `now`, as the Roles modifier computes it
+// before consuming: { balance, timestamp, nextRefill }
+function accruedAllowance(allowance, now) {
+    const period = BigInt(allowance.period)
+    let balance = BigInt(allowance.balance)
+    let timestamp = BigInt(allowance.timestamp)
+    now = BigInt(now)
+    if (period > 0n && now >= timestamp + period) {
+        const intervals = (now - timestamp) / period
+        const maxRefill = BigInt(allowance.maxRefill)
+        if (balance < maxRefill) {
+            balance += BigInt(allowance.refill) * intervals
+            if (balance > maxRefill) balance = maxRefill
+        }
+        timestamp += intervals * period
+    }
+    return { balance, timestamp, nextRefill: period > 0n ? timestamp + period : null }
+}
+
+async function readAllowance(provider, rolesAddress, key, blockTag = 'latest') {
+    const roles = new ethers.Contract(rolesAddress, ROLES_ABI, provider)
+    const [allowance, block] = await Promise.all([
+        roles.allowances(key, { blockTag }),
+        provider.getBlock(blockTag),
+    ])
+    const raw = {
+        refill: allowance.refill,
+        maxRefill: allowance.maxRefill,
+        period: allowance.period,
+        balance: allowance.balance,
+        timestamp: allowance.timestamp,
+    }
+    return { ...raw, ...accruedAllowance(raw, block.timestamp), now: BigInt(block.timestamp) }
+}
+
+function executionOptions(name) {
+    if (!(name in ExecutionOptions)) {
+        throw new Error(`Unknown execution options "${name}" (use ${EXECUTION_OPTION_NAMES.join(', ')})`)
+    }
+    return ExecutionOptions[name]
+}
+
+// Targets compare equal when they grant exactly the same calls
+function sameTargetPermissions(a, b) {
+    const none = { clearance: Clearance.None, options: 0, functions: {} }
+    a = a || none
+    b = b || none
+    if (a.clearance !== b.clearance) return false
+    if (a.clearance === Clearance.None) return true
+    if (a.clearance === Clearance.Target) return a.options === b.options
+    const selectors = Object.keys(a.functions)
+    if (selectors.length !== Object.keys(b.functions).length) return false
+    return selectors.every(selector => {
+        const fa = a.functions[selector]
+        const fb = b.functions[selector]
+        return !!fb && fa.options === fb.options && fa.scoped === fb.scoped &&
+            JSON.stringify(fa.conditions) === JSON.stringify(fb.conditions)
+    })
+}
+
+// ============================================================================
+// ON-CHAIN CHECKS
+// ============================================================================
+
+function revertData(error) {
+    const data = error?.data ?? error?.info?.error?.data ?? error?.error?.data
+    return typeof data === 'string' ? data : data?.data
+}
+
+// true/false, or throws when the RPC does not return revert data to decide on
+async function isRoleMember(provider, rolesAddress, roleKey, account, blockTag = 'latest') {
+    const data = rolesInterface.encodeFunctionData('execTransactionWithRole', [
+        ethers.ZeroAddress, 0n, '0x', 0, roleKey, false,
+    ])
+    try {
+        await provider.call({ to: rolesAddress, from: account, data, blockTag })
+        return true
+    } catch (error) {
+        const reverted = revertData(error)
+        if (reverted === undefined || reverted === null) {
+            throw new Error(`Could not check role membership of ${account}: ${error.shortMessage || error.message}`)
+        }
+        return !reverted.startsWith(NO_MEMBERSHIP_SELECTOR)
+    }
+}
+
+// Simulate the account executing a call to `to` through Roles (empty unless
+// the target is function-scoped, then a call the role would permit).
+// allowed: true (authorized), false (blocked, with reason) or null (unknown)
+async function probeRoleExecution(provider, rolesAddress, roleKey, account, to, operation, callData = '0x', blockTag = 'latest') {
+    const data = rolesInterface.encodeFunctionData('execTransactionWithRole', [to, 0n, callData, operation, roleKey, false])
+    try {
+        await provider.call({ to: rolesAddress, from: account, data, blockTag })
+        return { allowed: true, reason: null }
+    } catch (error) {
+        const reverted = revertData(error)
+        if (!reverted || reverted === '0x') {
+            return { allowed: null, reason: error.shortMessage || error.message }
+        }
+        if (reverted.startsWith(NO_MEMBERSHIP_SELECTOR)) {
+            return { allowed: false, reason: 'not a role member' }
+        }
+        try {
+            const parsed = rolesInterface.parseError(reverted)
+            if (parsed?.name === 'ConditionViolation') {
+                return { allowed: false, reason: `permission denied (status ${parsed.args.status})` }
+            }
+        } catch {}
+        if (reverted.startsWith(ERROR_STRING_SELECTOR)) {
+            const [message] = ethers.AbiCoder.defaultAbiCoder().decode(['string'], ethers.dataSlice(reverted, 4))
+            if (message === SAFE_MODULE_NOT_ENABLED) {
+                return { allowed: false, reason: 'Roles module not enabled on the Safe' }
+            }
+            return { allowed: null, reason: message }
+        }
+        return { allowed: null, reason: `reverted with ${reverted.slice(0, 10)}` }
+    }
+}
+
+async function getRoleStatus(provider, rolesAddress, roleKey, account, blockTag = 'latest') {
+    const roles = new ethers.Contract(rolesAddress, ROLES_ABI, provider)
+    const [member, defaultRole] = await Promise.all([
+        isRoleMember(provider, rolesAddress, roleKey, account, blockTag),
+        roles.defaultRoles(account, { blockTag }),
+    ])
+    return { address: account, member, defaultRole, hasDefaultRole: defaultRole === roleKey }
+}
+
+// ============================================================================
+// EXPECTED POLICY
+// ============================================================================
+
+// What initialize.js sets up: the agent is the only member, the role may
+// only call the HELPER_PERMISSIONS functions of ZodiacHelpers (by
+// delegatecall) and cancel presignatures on the CoW settlement, and
+// MultiSend batches are unwrapped so each inner call is checked. Spending
+// limits recorded in wallet.json add their allowances and the matching
+// cowPreSign conditions.
+function expectedRolePolicy(config) {
+    const helpers = config.contracts?.ZodiacHelpers
+    const limits = config.spendingLimits || []
+    const scopedTarget = (name, ops) => ({
+        name,
+        address: ops[0].address,
+        clearance: Clearance.Function,
+        options: ExecutionOptions.None,
+        functions: Object.fromEntries(ops.filter(op => op.function).map(op => [functionSelector(op), {
+            name: op.function,
+            options: executionOptions(op.options),
+            scoped: op.call === 'scopeFunction',
+            conditions: op.conditions ? conditionsToJson(namedConditions(op)) : [],
+        }])),
+    })
+    return {
+        roleKey: config.roleKey,
+        members: [ethers.getAddress(config.agent)],
+        targets: helpers
+            ? [
+                scopedTarget('ZodiacHelpers', scopedHelperOps(helpers, limits)),
+                scopedTarget('CowSettlement', cancelPermissionOps(settlementAddress(config))),
+            ]
+            : [],
+        unwrappers: [{
+            to: ethers.getAddress(config.contracts?.MultiSend || MULTISEND_ADDRESS),
+            selector: MULTISEND_SELECTOR,
+            adapter: MULTISEND_UNWRAPPER,
+        }],
+        allowances: limits.map(limit => ({
+            name: `${limit.symbol} sell limit`,
+            key: limit.allowanceKey,
+            maxRefill: String(limit.amount),
+            refill: String(limit.amount),
+            period: String(limit.period),
+        })),
+    }
+}
+
+// ============================================================================
+// EVENT HISTORY
+// ============================================================================
+
+function toJsonValue(value) {
+    if (typeof value === 'bigint') return value.toString()
+    if (Array.isArray(value)) return value.map(toJsonValue)
+    return value
+}
+
+function decodeRolesLog(log) {
+    const parsed = eventsInterface.parseLog(log)
+    if (!parsed) return null
+    const args = {}
+    parsed.fragment.inputs.forEach((input, i) => {
+        args[input.name] = toJsonValue(parsed.args[i])
+    })
+    return { name: parsed.name, blockNumber: log.blockNumber, logIndex: log.index, args }
+}
+
+// First block where `address` has code (binary search)
+async function findCodeBlock(provider, address) {
+    let low = 0
+    let high = await provider.getBlockNumber()
+    while (low < high) {
+        const mid = Math.floor((low + high) / 2)
+        const code = await provider.getCode(address, mid)
+        if (code === '0x') {
+            low = mid + 1
+        } else {
+            high = mid
+        }
+    }
+    return low
+}
+
+function loadEventsCache(configDir, chainId, rolesAddress) {
+    const eventsFile = path.join(configDir, EVENTS_FILE)
+    const state = fs.existsSync(eventsFile) ? JSON.parse(fs.readFileSync(eventsFile, 'utf8')) : {}
+    const entry = state[chainId]
+    if (!entry || entry.roles.toLowerCase() !== rolesAddress.toLowerCase()) return null
+    return entry
+}
+
+function saveEventsCache(configDir, chainId, entry) {
+    const eventsFile = path.join(configDir, EVENTS_FILE)
+    const state = fs.existsSync(eventsFile) ? JSON.parse(fs.readFileSync(eventsFile, 'utf8')) : {}
+    state[chainId] = entry
+    fs.writeFileSync(eventsFile, JSON.stringify(state, null, 2))
+}
+
+// Fetch Roles events up to the latest block, resuming from the cache.
+// Returns { events, fromBlock, toBlock }.
+async function syncRolesEvents(provider, config, configDir, { quiet = false } = {}) {
+    const chainId = config.chainId
+    const entry = loadEventsCache(configDir, chainId, config.roles) || {
+        roles: config.roles,
+        // The Roles proxy is deployed right after the Safe
+        fromBlock: config.safeBlockNumber
+            ? Number(config.safeBlockNumber)
+            : await findCodeBlock(provider, config.roles),
+        nextBlock: null,
+        events: [],
+    }
+    if (entry.nextBlock === null) entry.nextBlock = entry.fromBlock
+
+    const latest = await provider.getBlockNumber()
+    const startBlock = entry.nextBlock
+    let range = EVENTS_BLOCK_RANGE
+
+    while (entry.nextBlock <= latest) {
+        const toBlock = Math.min(entry.nextBlock + range - 1, latest)
+        let logs
+        try {
+            logs = await provider.getLogs({ address: config.roles, fromBlock: entry.nextBlock, toBlock })
+        } catch (error) {
+            // RPCs cap the range or result size; shrink and retry
+            if (range <= EVENTS_MIN_BLOCK_RANGE) throw error
+            range = Math.max(Math.floor(range / 2), EVENTS_MIN_BLOCK_RANGE)
+            continue
+        }
+
+        for (const log of logs) {
+            const event = decodeRolesLog(log)
+            if (event) entry.events.push(event)
+        }
+
+        entry.nextBlock = toBlock + 1
+        saveEventsCache(configDir, chainId, entry)
+
+        if (!quiet && latest > startBlock) {
+            const pct = ((toBlock - startBlock + 1) / (latest - startBlock + 1) * 100).toFixed(0)
+            process.stdout.write(`\rScanning Roles events: block ${toBlock} (${pct}%)`)
+        }
+    }
+    if (!quiet && latest > startBlock) process.stdout.write('\n')
+
+    return { events: entry.events, fromBlock: entry.fromBlock, toBlock: latest }
+}
+
+// Replay events into the current configuration:
+//   members:    { roleKey: [module] }
+//   targets:    { roleKey: { target: { clearance, options, functions: { selector: { options, scoped, conditions } } } } }
+//   unwrappers: [{ to, selector, adapter }]
+//   allowances: { allowanceKey: { balance, maxRefill, refill, period, timestamp } }
+function replayRolesEvents(events) {
+    const members = {}
+    const targets = {}
+    const unwrappers = {}
+    const allowances = {}
+
+    const targetEntry = (roleKey, address) => {
+        targets[roleKey] ??= {}
+        targets[roleKey][ethers.getAddress(address)] ??= { clearance: Clearance.None, options: 0, functions: {} }
+        return targets[roleKey][ethers.getAddress(address)]
+    }
+
+    for (const { name, args } of events) {
+        switch (name) {
+            case 'AssignRoles':
+                args.roleKeys.forEach((roleKey, i) => {
+                    const set = new Set(members[roleKey] || [])
+                    const module = ethers.getAddress(args.module)
+                    if (args.memberOf[i]) set.add(module)
+                    else set.delete(module)
+                    members[roleKey] = [...set]
+                })
+                break
+            case 'AllowTarget':
+                Object.assign(targetEntry(args.roleKey, args.targetAddress), {
+                    clearance: Clearance.Target, options: Number(args.options),
+                })
+                break
+            case 'ScopeTarget':
+                Object.assign(targetEntry(args.roleKey, args.targetAddress), {
+                    clearance: Clearance.Function, options: 0,
+                })
+                break
+            case 'RevokeTarget':
+                Object.assign(targetEntry(args.roleKey, args.targetAddress), {
+                    clearance: Clearance.None, options: 0,
+                })
+                break
+            case 'AllowFunction':
+                targetEntry(args.roleKey, args.targetAddress).functions[args.selector] = {
+                    options: Number(args.options), scoped: false, conditions: [],
+                }
+                break
+            case 'ScopeFunction':
+                targetEntry(args.roleKey, args.targetAddress).functions[args.selector] = {
+                    options: Number(args.options), scoped: true, conditions: args.conditions,
+                }
+                break
+            case 'RevokeFunction':
+                delete targetEntry(args.roleKey, args.targetAddress).functions[args.selector]
+                break
+            case 'SetUnwrapAdapter':
+                unwrappers[`${ethers.getAddress(args.to)}:${args.selector}`] = {
+                    to: ethers.getAddress(args.to), selector: args.selector, adapter: ethers.getAddress(args.adapter),
+                }
+                break
+            case 'SetAllowance':
+                allowances[args.allowanceKey] = {
+                    balance: args.balance, maxRefill: args.maxRefill, refill: args.refill,
+                    period: args.period, timestamp: args.timestamp,
+                }
+                break
+        }
+    }
+
+    return {
+        members,
+        targets,
+        unwrappers: Object.values(unwrappers).filter(u => u.adapter !== ethers.ZeroAddress),
+        allowances,
+    }
+}
+
+// All entries of a Zodiac/Safe module list
+async function getAllModules(contract) {
+    const modules = []
+    let start = SENTINEL_MODULES
+    for (;;) {
+        const [page, next] = await contract.getModulesPaginated(start, 50)
+        modules.push(...page)
+        if (page.length === 0 || next === SENTINEL_MODULES || next === ethers.ZeroAddress) return modules
+        // Safe 1.3 returns the first module of the next page as `next`, so
+        // continue from the last one seen (start is exclusive)
+        start = page[page.length - 1]
+    }
+}
+
+export {
+    ROLES_ABI,
+    ROLES_EVENTS_ABI,
+    ZODIAC_HELPERS_ABI,
+    HELPER_PERMISSIONS,
+    ExecutionOptions,
+    EXECUTION_OPTION_NAMES,
+    Clearance,
+    SENTINEL_MODULES,
+    NO_MEMBERSHIP_SELECTOR,
+    grantRoleCalls,
+    revokeRoleCalls,
+    revokeTargetCalls,
+    encodePermissionCall,
+    permissionEvent,
+    sameTargetPermissions,
+    scopedHelperOps,
+    cancelPermissionOps,
+    settlementAddress,
+    presignPermissionOp,
+    sellAllowanceKey,
+    setAllowanceCall,
+    clearAllowanceCall,
+    accruedAllowance,
+    readAllowance,
+    isRoleMember,
+    probeRoleExecution,
+    getRoleStatus,
+    expectedRolePolicy,
+    syncRolesEvents,
+    replayRolesEvents,
+    getAllModules,
+}
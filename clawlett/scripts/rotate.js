@@ -0,0 +1,504 @@
+#!/usr/bin/env node
+
+/**
+ * Rotate the agent key
+ *
+ * The agent is a Roles member, so replacing its key needs the owner: this
+ * script generates the new key locally (as config/agent.next.pk, stored the
+ * same way as the current one), prepares the owner batch that moves the role
+ * from the old agent to the new one, and once the owner has executed it,
+ * verifies the result on-chain and switches agent.pk and wallet.json over.
+ *
+ * Usage:
+ *   node rotate.js                       # Show rotation status
+ *   node rotate.js --prepare             # New key + owner batch (Transaction Builder JSON)
+ *   node rotate.js --prepare --format multisend
+ *   node rotate.js --complete            # Verify on-chain and switch to the new key
+ *   node rotate.js --abort               # Discard a pending rotation
+ */
+
+import { ethers } from 'ethers'
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import {
+    AGENT_KEY_FILE,
+    NEXT_AGENT_KEY_FILE,
+    agentKeyPath,
+    agentKeyExists,
+    agentKeyInfo,
+    getPassphrase,
+    loadAgentWallet,
+    saveAgentKeystore,
+    saveAgentKeyPlaintext,
+} from './agent-key.js'
+import { connectRemoteSigner } from './signer.js'
+import { grantRoleCalls, revokeRoleCalls, getRoleStatus } from './roles.js'
+import {
+    BATCH_FORMATS,
+    buildTransactionBuilderBatch,
+    buildMultiSendTransaction,
+    writeBatchFile,
+    describeBatch,
+} from './safe-tx.js'
+import { connectNetwork } from './networks.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+// Pending rotation, kept until --complete or --abort
+const ROTATION_FILE = 'rotation.json'
+const BATCH_FILE = 'rotation-batch.json'
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function parseArgs() {
+    const args = process.argv.slice(2)
+    const result = {
+        action: 'status',
+        format: 'tx-builder',
+        out: null,
+        newAddress: null,
+        force: false,
+        configDir: process.env.WALLET_CONFIG_DIR || path.join(__dirname, '..', 'config'),
+        network: null,
+        rpc: null,
+        json: false,
+    }
+
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--prepare':
+                result.action = 'prepare'
+                break
+            case '--complete':
+                result.action = 'complete'
+                break
+            case '--abort':
+                result.action = 'abort'
+                break
+            case '--status':
+                result.action = 'status'
+                break
+            case '--format':
+                result.format = args[++i]
+                break
+            case '--out':
+            case '-o':
+                result.out = args[++i]
+                break
+            case '--new-address':
+                result.newAddress = args[++i]
+                break
+            case '--force':
+                result.force = true
+                break
+            case '--config-dir':
+            case '-c':
+                result.configDir = args[++i]
+                break
+            case '--network':
+                result.network = args[++i]
+                break
+            case '--rpc':
+            case '-r':
+                result.rpc = args[++i]
+                break
+            case '--json':
+            case '-j':
+                result.json = true
+                break
+            case '--help':
+            case '-h':
+                printHelp()
+                process.exit(0)
+        }
+    }
+
+    return result
+}
+
+function printHelp() {
+    console.log(`
+Usage: node rotate.js [--prepare | --complete | --abort]
+
+Replace the agent key. The owner executes one Safe batch that grants the
+role to the new agent and revokes it from the old one.
+
+Actions:
+  (none), --status  Show the pending rotation and on-chain role status
+  --prepare         Generate the new key and the owner batch
+  --complete        Verify the batch landed, then switch agent.pk and wallet.json
+  --abort           Discard the pending rotation and the new key
+
+Options:
+  --format <FMT>    Owner batch format: tx-builder (default) or multisend
+  --out, -o <FILE>  Where to write the Transaction Builder JSON
+                    (default: config/${BATCH_FILE})
+  --new-address     New agent address (remote signer: create the key there first)
+  --force           Overwrite an existing agent.next.pk (--prepare), or abort
+                    even if the new agent already holds the role (--abort; its
+                    key is kept as agent.aborted-<address>.pk)
+  --config-dir, -c  Config directory
+  --network         base, ethereum, arbitrum or gnosis (default: wallet.json's, else base)
+  --rpc, -r         RPC URL (default: $<NETWORK>_RPC_URL, else the network's public RPC)
+  --json, -j        Output machine-readable JSON
+
+Steps:
+  1. node rotate.js --prepare
+  2. Owner executes the batch in the Safe (Transaction Builder, or the
+     MultiSend call with --format multisend)
+  3. Send the new agent a little ETH for gas
+  4. node rotate.js --complete
+
+Examples:
+  node rotate.js --prepare
+  node rotate.js --prepare --format multisend
+  node rotate.js --prepare --new-address 0x...   # remote signer
+  node rotate.js --complete
+`)
+}
+
+function loadConfig(configDir) {
+    const configPath = path.join(configDir, 'wallet.json')
+    if (!fs.existsSync(configPath)) {
+        throw new Error(`Config not found: ${configPath}\nRun initialize.js first.`)
+    }
+    return JSON.parse(fs.readFileSync(configPath, 'utf8'))
+}
+
+function saveConfig(configDir, config) {
+    const configPath = path.join(configDir, 'wallet.json')
+    fs.writeFileSync(configPath, JSON.stringify(config, null, 2))
+}
+
+function loadRotation(configDir) {
+    const rotationPath = path.join(configDir, ROTATION_FILE)
+    if (!fs.existsSync(rotationPath)) return null
+    return JSON.parse(fs.readFileSync(rotationPath, 'utf8'))
+}
+
+function saveRotation(configDir, rotation) {
+    fs.writeFileSync(path.join(configDir, ROTATION_FILE), JSON.stringify(rotation, null, 2))
+}
+
+function clearRotation(configDir) {
+    const rotationPath = path.join(configDir, ROTATION_FILE)
+    if (fs.existsSync(rotationPath)) fs.unlinkSync(rotationPath)
+}
+
+function signerType(config, configDir) {
+    if (config.signer?.type) return config.signer.type
+    return agentKeyInfo(configDir).encrypted ? 'keystore' : 'keyfile'
+}
+
+function buildRotationCalls(config, oldAgent, newAgent) {
+    return [
+        ...grantRoleCalls(config.roles, newAgent, config.roleKey),
+        ...revokeRoleCalls(config.roles, oldAgent, config.roleKey),
+    ]
+}
+
+function formatRoleStatus(label, status) {
+    const role = status.hasDefaultRole
+        ? 'default role set'
+        : status.defaultRole === ethers.ZeroHash ? 'no default role' : `default role ${status.defaultRole}`
+    return `${label.padEnd(5)} ${status.address}  ${status.member ? 'MEMBER' : 'not a member'}, ${role}`
+}
+
+// The on-chain state --complete requires
+function rotationProblems(oldStatus, newStatus) {
+    const problems = []
+    if (!newStatus.member) problems.push('new agent is not a role member')
+    if (!newStatus.hasDefaultRole) problems.push('new agent does not have the role as default')
+    if (oldStatus.member) problems.push('old agent is still a role member')
+    if (oldStatus.defaultRole !== ethers.ZeroHash) problems.push('old agent still has a default role')
+    return problems
+}
+
+// ============================================================================
+// ACTIONS
+// ============================================================================
+
+async function prepareRotation(args, config) {
+    if (loadRotation(args.configDir)) {
+        throw new Error('A rotation is already pending. Run --complete once the owner batch is executed, or --abort.')
+    }
+    if (!BATCH_FORMATS.includes(args.format)) {
+        throw new Error(`Unknown format "${args.format}" (use ${BATCH_FORMATS.join(', ')})`)
+    }
+
+    const type = signerType(config, args.configDir)
+    const oldAgent = ethers.getAddress(config.agent)
+    let newAgent
+
+    if (type === 'remote') {
+        if (!args.newAddress) {
+            throw new Error('The agent key is held by a remote signer. Create the new key there and pass --new-address')
+        }
+        // Make sure the signer can actually sign for the new address
+        const signer = await connectRemoteSigner(config.signer.url, args.newAddress)
+        newAgent = signer.address
+    } else {
+        if (args.newAddress) {
+            throw new Error('--new-address is only for remote signers; local keys are generated here')
+        }
+        if (agentKeyExists(args.configDir, NEXT_AGENT_KEY_FILE) && !args.force) {
+            throw new Error(`${agentKeyPath(args.configDir, NEXT_AGENT_KEY_FILE)} already exists. Remove it or pass --force`)
+        }
+
+        const wallet = ethers.Wallet.createRandom()
+        if (type === 'keystore') {
+            // Same passphrase as the current key, so nothing changes for the scripts
+            const passphrase = await getPassphrase()
+            await loadAgentWallet(args.configDir, null, { passphrase })
+            if (!args.json) console.log('\nEncrypting new agent key (scrypt, this takes a few seconds)...')
+            await saveAgentKeystore(args.configDir, wallet, passphrase, NEXT_AGENT_KEY_FILE)
+        } else {
+            saveAgentKeyPlaintext(args.configDir, wallet, NEXT_AGENT_KEY_FILE)
+        }
+        newAgent = wallet.address
+    }
+
+    if (newAgent === oldAgent) {
+        throw new Error('New agent address is the current agent')
+    }
+
+    const calls = buildRotationCalls(config, oldAgent, newAgent)
+    const rotation = {
+        oldAgent,
+        newAgent,
+        signer: type,
+        safe: config.safe,
+        roles: config.roles,
+        roleKey: config.roleKey,
+        format: args.format,
+        batchFile: null,
+        createdAt: new Date().toISOString(),
+    }
+
+    let batch
+    if (args.format === 'tx-builder') {
+        batch = buildTransactionBuilderBatch({
+            chainId: config.chainId,
+            safeAddress: config.safe,
+            name: 'Rotate agent key',
+            description: `Move the agent role from ${oldAgent} to ${newAgent}`,
+            transactions: calls,
+        })
+        rotation.batchFile = path.resolve(args.out || path.join(args.configDir, BATCH_FILE))
+        writeBatchFile(rotation.batchFile, batch)
+    } else {
+        batch = buildMultiSendTransaction(calls, config.contracts?.MultiSend)
+    }
+
+    saveRotation(args.configDir, rotation)
+
+    if (args.json) {
+        console.log(JSON.stringify({
+            ...rotation,
+            keyFile: type === 'remote' ? null : agentKeyPath(args.configDir, NEXT_AGENT_KEY_FILE),
+            transactions: calls.map(({ to, data, label }) => ({ to, value: '0', data, label })),
+            ...(args.format === 'multisend' ? { multiSend: batch } : {}),
+        }, null, 2))
+        return
+    }
+
+    console.log('\n========================================')
+    console.log('         Agent Key Rotation')
+    console.log('========================================')
+    console.log(`\nSafe:      ${config.safe}`)
+    console.log(`Roles:     ${config.roles}`)
+    console.log(`Old agent: ${oldAgent}`)
+    console.log(`New agent: ${newAgent}`)
+    if (type !== 'remote') {
+        console.log(`New key:   ${agentKeyPath(args.configDir, NEXT_AGENT_KEY_FILE)} (${type === 'keystore' ? 'encrypted' : 'PLAINTEXT'})`)
+    }
+
+    console.log(`\nOwner batch (executed by the Safe):`)
+    console.log(describeBatch(calls))
+
+    if (args.format === 'tx-builder') {
+        console.log(`\nTransaction Builder file: ${rotation.batchFile}`)
+        console.log('   Safe{Wallet} → Apps → Transaction Builder → drop the file → Create batch → Sign')
+    } else {
+        console.log('\nMultiSend transaction:')
+        console.log(`   To:        ${batch.to}`)
+        console.log(`   Value:     0`)
+        console.log(`   Operation: 1 (delegatecall)`)
+        console.log(`   Data:      ${batch.data}`)
+    }
+
+    console.log('\nNext:')
+    console.log('   1. Owner executes the batch')
+    console.log(`   2. Send ${newAgent} a little ETH for gas`)
+    console.log('   3. node rotate.js --complete')
+    console.log('\nUntil the batch is executed the current key keeps working.\n')
+}
+
+async function showStatus(args, config, provider) {
+    const rotation = loadRotation(args.configDir)
+    const oldAgent = rotation?.oldAgent || config.agent
+
+    const oldStatus = await getRoleStatus(provider, config.roles, config.roleKey, oldAgent)
+    const newStatus = rotation
+        ? await getRoleStatus(provider, config.roles, config.roleKey, rotation.newAgent)
+        : null
+    const newBalance = rotation ? await provider.getBalance(rotation.newAgent) : null
+    const problems = rotation ? rotationProblems(oldStatus, newStatus) : []
+
+    if (args.json) {
+        console.log(JSON.stringify({
+            pending: rotation,
+            agents: [oldStatus, newStatus].filter(Boolean),
+            newAgentBalance: newBalance !== null ? ethers.formatEther(newBalance) : null,
+            readyToComplete: rotation ? problems.length === 0 : false,
+            problems,
+        }, null, 2))
+        return
+    }
+
+    console.log('\nRole status:')
+    console.log(`   ${formatRoleStatus(rotation ? 'Old' : 'Agent', oldStatus)}`)
+    if (!rotation) {
+        console.log('\nNo rotation pending. Start one with: node rotate.js --prepare\n')
+        return
+    }
+    console.log(`   ${formatRoleStatus('New', newStatus)}`)
+    console.log(`\nNew agent gas balance: ${ethers.formatEther(newBalance)} ETH`)
+    console.log(`Pending since ${rotation.createdAt}`)
+    if (rotation.batchFile) console.log(`Batch file: ${rotation.batchFile}`)
+
+    if (problems.length === 0) {
+        console.log('\nOwner batch executed. Finish with: node rotate.js --complete\n')
+    } else {
+        console.log('\nWaiting for the owner batch:')
+        problems.forEach(p => console.log(`   - ${p}`))
+        console.log('')
+    }
+}
+
+async function completeRotation(args, config, provider) {
+    const rotation = loadRotation(args.configDir)
+    if (!rotation) throw new Error('No rotation pending. Start one with --prepare')
+
+    const [oldStatus, newStatus] = await Promise.all([
+        getRoleStatus(provider, rotation.roles, rotation.roleKey, rotation.oldAgent),
+        getRoleStatus(provider, rotation.roles, rotation.roleKey, rotation.newAgent),
+    ])
+    const problems = rotationProblems(oldStatus, newStatus)
+    if (problems.length > 0) {
+        throw new Error(`Owner batch not (fully) executed:\n   - ${problems.join('\n   - ')}`)
+    }
+
+    let retiredKeyFile = null
+    if (rotation.signer !== 'remote') {
+        const nextInfo = agentKeyInfo(args.configDir, NEXT_AGENT_KEY_FILE)
+        if (nextInfo.address !== rotation.newAgent) {
+            throw new Error(`${NEXT_AGENT_KEY_FILE} holds ${nextInfo.address}, expected ${rotation.newAgent}`)
+        }
+
+        // Keep the old key: its address may still hold gas ETH to sweep
+        retiredKeyFile = agentKeyPath(args.configDir, `agent.retired-${rotation.oldAgent.slice(2, 10).toLowerCase()}.pk`)
+        fs.renameSync(agentKeyPath(args.configDir, AGENT_KEY_FILE), retiredKeyFile)
+        fs.renameSync(agentKeyPath(args.configDir, NEXT_AGENT_KEY_FILE), agentKeyPath(args.configDir, AGENT_KEY_FILE))
+    }
+
+    config.agent = rotation.newAgent
+    if (config.signer?.type === 'remote') config.signer.address = rotation.newAgent
+    config.previousAgents = [
+        ...(config.previousAgents || []),
+        { address: rotation.oldAgent, retiredAt: new Date().toISOString() },
+    ]
+    saveConfig(args.configDir, config)
+    if (rotation.batchFile && fs.existsSync(rotation.batchFile)) {
+        fs.unlinkSync(rotation.batchFile)
+    }
+    clearRotation(args.configDir)
+
+    const oldBalance = await provider.getBalance(rotation.oldAgent)
+
+    if (args.json) {
+        console.log(JSON.stringify({
+            agent: rotation.newAgent,
+            previousAgent: rotation.oldAgent,
+            retiredKeyFile,
+            previousAgentBalance: ethers.formatEther(oldBalance),
+        }, null, 2))
+        return
+    }
+
+    console.log(`\nRotation complete. Agent is now ${rotation.newAgent}`)
+    if (retiredKeyFile) console.log(`Old key kept at ${retiredKeyFile}`)
+    if (oldBalance > 0n) {
+        console.log(`Old agent still holds ${ethers.formatEther(oldBalance)} ETH; sweep it with the retired key.`)
+    }
+    console.log('')
+}
+
+async function abortRotation(args, config, provider) {
+    const rotation = loadRotation(args.configDir)
+    if (!rotation) throw new Error('No rotation pending')
+
+    // Once the role has moved, the new key is the only working one
+    const newStatus = await getRoleStatus(provider, rotation.roles, rotation.roleKey, rotation.newAgent)
+    if (newStatus.member && !args.force) {
+        throw new Error('The new agent already holds the role on-chain; run --complete instead (or --abort --force)')
+    }
+
+    // A key that holds the role may be the only one left that can trade
+    let abortedKeyFile = null
+    if (rotation.signer !== 'remote' && agentKeyExists(args.configDir, NEXT_AGENT_KEY_FILE)) {
+        if (newStatus.member) {
+            abortedKeyFile = agentKeyPath(args.configDir, `agent.aborted-${rotation.newAgent.slice(2, 10).toLowerCase()}.pk`)
+            fs.renameSync(agentKeyPath(args.configDir, NEXT_AGENT_KEY_FILE), abortedKeyFile)
+        } else {
+            fs.unlinkSync(agentKeyPath(args.configDir, NEXT_AGENT_KEY_FILE))
+        }
+    }
+    if (rotation.batchFile && fs.existsSync(rotation.batchFile)) {
+        fs.unlinkSync(rotation.batchFile)
+    }
+    clearRotation(args.configDir)
+
+    if (args.json) {
+        console.log(JSON.stringify({ aborted: true, newAgent: rotation.newAgent, keptKeyFile: abortedKeyFile }, null, 2))
+        return
+    }
+    if (newStatus.member) {
+        console.log(`\nRotation to ${rotation.newAgent} aborted, but that agent holds the role on-chain.`)
+        if (abortedKeyFile) console.log(`Its key was kept as ${abortedKeyFile}.`)
+        console.log('Have the owner revoke it (node killswitch.js), or restore the key to trade with it.\n')
+        return
+    }
+    console.log(`\nRotation to ${rotation.newAgent} aborted. Do not execute its owner batch.\n`)
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+async function main() {
+    const args = parseArgs()
+    const config = loadConfig(args.configDir)
+
+    if (!config.roles || !config.roleKey) {
+        throw new Error('Roles address not found in config. Re-run initialize.js.')
+    }
+
+    if (args.action === 'prepare') {
+        return prepareRotation(args, config)
+    }
+
+    const { provider } = await connectNetwork(config, args)
+    if (args.action === 'complete') return completeRotation(args, config, provider)
+    if (args.action === 'abort') return abortRotation(args, config, provider)
+    return showStatus(args, config, provider)
+}
+
+main().catch(error => {
+    console.error(`\nError: ${error.message}`)
+    process.exit(1)
+})
@@ -0,0 +1,113 @@
+/**
+ * Owner transaction batches
+ *
+ * Changes to the Roles setup (rotating the agent, revoking permissions) can
+ * only be made by the Safe itself, so scripts prepare them for the owner
+ * instead of sending them. A batch is a list of { to, value, data, label }
+ * calls, exported either as a Safe Transaction Builder JSON file (Safe{Wallet}
+ * → Apps → Transaction Builder → drag and drop) or as a single MultiSend
+ * delegatecall for any other Safe tooling, with its EIP-712 SafeTx hash for
+ * owners who sign outside the Safe UI.
+ */
+
+import { ethers } from 'ethers'
+import fs from 'fs'
+import { MULTISEND_ADDRESS, encodeMultiSend } from './multisend.js'
+
+const TX_BUILDER_VERSION = '1.16.5'
+
+const BATCH_FORMATS = ['tx-builder', 'multisend']
+
+const SAFE_TX_TYPES = {
+    SafeTx: [
+        { name: 'to', type: 'address' },
+        { name: 'value', type: 'uint256' },
+        { name: 'data', type: 'bytes' },
+        { name: 'operation', type: 'uint8' },
+        { name: 'safeTxGas', type: 'uint256' },
+        { name: 'baseGas', type: 'uint256' },
+        { name: 'gasPrice', type: 'uint256' },
+        { name: 'gasToken', type: 'address' },
+        { name: 'refundReceiver', type: 'address' },
+        { name: 'nonce', type: 'uint256' },
+    ],
+}
+
+// Safe Transaction Builder batch file
+function buildTransactionBuilderBatch({ chainId, safeAddress, name, description, transactions }) {
+    return {
+        version: '1.0',
+        chainId: String(chainId),
+        createdAt: Date.now(),
+        meta: {
+            name,
+            description,
+            txBuilderVersion: TX_BUILDER_VERSION,
+            createdFromSafeAddress: safeAddress,
+            createdFromOwnerAddress: '',
+        },
+        transactions: transactions.map(tx => ({
+            to: tx.to,
+            value: (tx.value || 0n).toString(),
+            data: tx.data,
+            contractMethod: null,
+            contractInputsValues: null,
+        })),
+    }
+}
+
+// The same batch as one Safe transaction: delegatecall into MultiSend
+function buildMultiSendTransaction(transactions, multiSendAddress = MULTISEND_ADDRESS) {
+    return {
+        to: multiSendAddress,
+        value: '0',
+        data: encodeMultiSend(transactions.map(tx => ({ operation: 0, value: 0n, ...tx }))),
+        operation: 1,
+    }
+}
+
+// No refund: whoever executes the transaction pays the gas
+function buildSafeTx(transaction, nonce) {
+    return {
+        to: transaction.to,
+        value: transaction.value.toString(),
+        data: transaction.data,
+        operation: transaction.operation,
+        safeTxGas: '0',
+        baseGas: '0',
+        gasPrice: '0',
+        gasToken: ethers.ZeroAddress,
+        refundReceiver: ethers.ZeroAddress,
+        nonce: nonce.toString(),
+    }
+}
+
+// eth_signTypedData_v4 payload and hash of a SafeTx (Safe >= 1.3 domain)
+function safeTxTypedData(chainId, safeAddress, safeTx) {
+    const domain = { chainId: Number(chainId), verifyingContract: safeAddress }
+    return {
+        payload: ethers.TypedDataEncoder.getPayload(domain, SAFE_TX_TYPES, safeTx),
+        hash: ethers.TypedDataEncoder.hash(domain, SAFE_TX_TYPES, safeTx),
+    }
+}
+
+function writeBatchFile(filePath, batch) {
+    fs.writeFileSync(filePath, JSON.stringify(batch, null, 2))
+}
+
+// Human-readable listing of a batch for previews
+function describeBatch(transactions) {
+    return transactions.map((tx, i) => `   ${i + 1}. ${tx.label || tx.data.slice(0, 10)} → ${tx.to}`).join('\n')
+}
+
+export {
+    TX_BUILDER_VERSION,
+    BATCH_FORMATS,
+    SAFE_TX_TYPES,
+    buildTransactionBuilderBatch,
+    buildMultiSendTransaction,
+    buildSafeTx,
+    safeTxTypedData,
+    writeBatchFile,
+    describeBatch,
+}
@@ -0,0 +1,185 @@
+#!/usr/bin/env node
+
+/**
+ * Local JSON-RPC signer for the agent key
+ *
+ * Serves eth_accounts, eth_signTransaction, eth_sign and
+ * eth_signTypedData_v4 (Web3Signer-style) for the agent key in config/agent.pk,
+ * so the key can live in a separate process from the trading scripts. Use
+ * it as a local stand-in for a production remote signer.
+ *
+ * Usage:
+ *   node signer-server.js                  # Listen on 127.0.0.1:8550
+ *   node signer-server.js --port 9000
+ *
+ * Then point wallet.json at it:
+ *   "signer": { "type": "remote", "url": "http://127.0.0.1:8550" }
+ */
+
+import { ethers } from 'ethers'
+import http from 'http'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { loadAgentWallet } from './agent-key.js'
+import { SIGNER_TOKEN_ENV } from './signer.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+const DEFAULT_PORT = 8550
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function parseArgs() {
+    const args = process.argv.slice(2)
+    const result = {
+        host: '127.0.0.1',
+        port: DEFAULT_PORT,
+        configDir: process.env.WALLET_CONFIG_DIR || path.join(__dirname, '..', 'config'),
+    }
+
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--port':
+            case '-p':
+                result.port = parseInt(args[++i])
+                break
+            case '--host':
+                result.host = args[++i]
+                break
+            case '--config-dir':
+            case '-c':
+                result.configDir = args[++i]
+                break
+            case '--help':
+            case '-h':
+                printHelp()
+                process.exit(0)
+        }
+    }
+
+    return result
+}
+
+function printHelp() {
+    console.log(`
+Usage: node signer-server.js [--port <PORT>]
+
+Serve the agent key over JSON-RPC for the "remote" signer backend.
+
+Options:
+  --port, -p       Port (default: ${DEFAULT_PORT})
+  --host           Interface to bind (default: 127.0.0.1)
+  --config-dir, -c Config directory
+
+Notes:
+  - The keystore passphrase is read once at startup.
+  - If ${SIGNER_TOKEN_ENV} is set, requests must send it as a Bearer token.
+`)
+}
+
+// JSON-RPC transaction object → ethers TransactionLike
+function fromRpcTransaction(tx) {
+    const quantity = value => value === undefined || value === null ? undefined : BigInt(value)
+    return {
+        type: tx.type !== undefined ? Number(tx.type) : undefined,
+        to: tx.to || null,
+        data: tx.data || tx.input || '0x',
+        value: quantity(tx.value) || 0n,
+        gasLimit: quantity(tx.gas),
+        nonce: tx.nonce !== undefined ? Number(tx.nonce) : undefined,
+        chainId: quantity(tx.chainId),
+        gasPrice: quantity(tx.gasPrice),
+        maxFeePerGas: quantity(tx.maxFeePerGas),
+        maxPriorityFeePerGas: quantity(tx.maxPriorityFeePerGas),
+    }
+}
+
+function createHandlers(wallet) {
+    const checkAccount = address => {
+        if (ethers.getAddress(address) !== wallet.address) {
+            throw new Error(`Unknown account ${address}`)
+        }
+    }
+
+    return {
+        eth_accounts: async () => [wallet.address],
+
+        eth_signTransaction: async ([tx]) => {
+            if (tx.from) checkAccount(tx.from)
+            return wallet.signTransaction(fromRpcTransaction(tx))
+        },
+
+        eth_sign: async ([address, data]) => {
+            checkAccount(address)
+            return wallet.signMessage(ethers.getBytes(data))
+        },
+
+        eth_signTypedData_v4: async ([address, json]) => {
+            checkAccount(address)
+            const { domain, types, message } = typeof json === 'string' ? JSON.parse(json) : json
+            const { EIP712Domain, ...messageTypes } = types
+            return wallet.signTypedData(domain, messageTypes, message)
+        },
+    }
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+async function main() {
+    const args = parseArgs()
+
+    const wallet = await loadAgentWallet(args.configDir)
+    const handlers = createHandlers(wallet)
+    const token = process.env[SIGNER_TOKEN_ENV]
+
+    const server = http.createServer((req, res) => {
+        const reply = (status, body) => {
+            res.writeHead(status, { 'Content-Type': 'application/json' })
+            res.end(JSON.stringify(body))
+        }
+
+        if (req.method !== 'POST') return reply(405, { error: { code: -32600, message: 'POST only' } })
+        if (token && req.headers.authorization !== `Bearer ${token}`) {
+            return reply(401, { error: { code: -32001, message: 'Unauthorized' } })
+        }
+
+        let body = ''
+        req.on('data', chunk => { body += chunk })
+        req.on('end', async () => {
+            let request
+            try {
+                request = JSON.parse(body)
+            } catch {
+                return reply(400, { jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } })
+            }
+
+            const handler = handlers[request.method]
+            if (!handler) {
+                return reply(200, { jsonrpc: '2.0', id: request.id, error: { code: -32601, message: `Method ${request.method} not supported` } })
+            }
+
+            try {
+                const result = await handler(request.params || [])
+                console.log(`${new Date().toISOString()} ${request.method}`)
+                reply(200, { jsonrpc: '2.0', id: request.id, result })
+            } catch (error) {
+                console.error(`${new Date().toISOString()} ${request.method} rejected: ${error.message}`)
+                reply(200, { jsonrpc: '2.0', id: request.id, error: { code: -32000, message: error.message } })
+            }
+        })
+    })
+
+    server.listen(args.port, args.host, () => {
+        console.log(`Signer for ${wallet.address} listening on http://${args.host}:${args.port}`)
+    })
+}
+
+main().catch(error => {
+    console.error(`\nError: ${error.message}`)
+    process.exit(1)
+})
@@ -0,0 +1,199 @@
+/**
+ * Agent signer backends
+ *
+ * Every script signs as the agent through createAgentSigner(), which picks
+ * a backend from the `signer` section of wallet.json:
+ *
+ *   { "type": "keyfile" }                      plaintext config/agent.pk
+ *   { "type": "keystore" }                     encrypted config/agent.pk
+ *   { "type": "remote", "url": "http://127.0.0.1:8550", "address": "0x..." }
+ *
+ * Without a `signer` section, agent.pk is used as either format. The remote
+ * backend talks to a Web3Signer/Clef-style JSON-RPC signer
+ * (eth_signTransaction, eth_sign, eth_signTypedData_v4) and checks every
+ * signature it gets back before using it.
+ */
+
+import { ethers } from 'ethers'
+import { agentKeyInfo, loadAgentWallet } from './agent-key.js'
+
+const SIGNER_TYPES = ['keyfile', 'keystore', 'remote']
+
+// Optional bearer token for the remote signer
+const SIGNER_TOKEN_ENV = 'CLAWLETT_SIGNER_TOKEN'
+
+// ============================================================================
+// REMOTE SIGNER
+// ============================================================================
+
+async function signerRpc(url, method, params) {
+    const headers = { 'Content-Type': 'application/json' }
+    if (process.env[SIGNER_TOKEN_ENV]) {
+        headers.Authorization = `Bearer ${process.env[SIGNER_TOKEN_ENV]}`
+    }
+
+    let response
+    try {
+        response = await fetch(url, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({ jsonrpc: '2.0', id: Date.now(), method, params }),
+        })
+    } catch (error) {
+        throw new Error(`Remote signer unreachable at ${url}: ${error.message}`)
+    }
+
+    const data = await response.json().catch(() => null)
+    if (!response.ok || !data || data.error) {
+        const errorMsg = data?.error?.message || `HTTP ${response.status}`
+        throw new Error(`Remote signer ${method} failed: ${errorMsg}`)
+    }
+    return data.result
+}
+
+function toQuantity(value) {
+    return value === null || value === undefined ? undefined : ethers.toQuantity(value)
+}
+
+class RemoteSigner extends ethers.AbstractSigner {
+    constructor(url, address, provider = null) {
+        super(provider)
+        this.url = url
+        this.address = ethers.getAddress(address)
+    }
+
+    connect(provider) {
+        return new RemoteSigner(this.url, this.address, provider)
+    }
+
+    async getAddress() {
+        return this.address
+    }
+
+    async signTransaction(tx) {
+        const req = await ethers.resolveProperties(tx)
+        const to = req.to ? await ethers.resolveAddress(req.to, this.provider) : null
+
+        const rpcTx = {
+            from: this.address,
+            to: to || undefined,
+            data: req.data || '0x',
+            value: toQuantity(req.value || 0),
+            gas: toQuantity(req.gasLimit),
+            nonce: toQuantity(req.nonce),
+            chainId: toQuantity(req.chainId),
+        }
+        if (req.maxFeePerGas !== null && req.maxFeePerGas !== undefined) {
+            rpcTx.type = '0x2'
+            rpcTx.maxFeePerGas = toQuantity(req.maxFeePerGas)
+            rpcTx.maxPriorityFeePerGas = toQuantity(req.maxPriorityFeePerGas)
+        } else {
+            rpcTx.gasPrice = toQuantity(req.gasPrice)
+        }
+
+        // Web3Signer returns the raw hex, Clef returns { raw, tx }
+        const result = await signerRpc(this.url, 'eth_signTransaction', [rpcTx])
+        const raw = typeof result === 'string' ? result : result?.raw
+
+        // Never broadcast something other than what was asked for: another
+        // chain, or fees and gas that burn the agent's gas balance
+        const signed = ethers.Transaction.from(raw)
+        const chainId = req.chainId ?? (await this.provider.getNetwork()).chainId
+        const differs = (actual, expected) =>
+            expected !== null && expected !== undefined && actual !== BigInt(expected)
+        const eip1559 = req.maxFeePerGas !== null && req.maxFeePerGas !== undefined
+        const mismatch =
+            signed.from !== this.address ||
+            (signed.to || null) !== (to ? ethers.getAddress(to) : null) ||
+            signed.data !== ethers.hexlify(req.data || '0x') ||
+            signed.value !== BigInt(req.value || 0) ||
+            (req.nonce !== null && req.nonce !== undefined && signed.nonce !== Number(req.nonce)) ||
+            signed.chainId !== BigInt(chainId) ||
+            differs(signed.gasLimit, req.gasLimit) ||
+            (eip1559
+                ? signed.type !== 2 ||
+                    differs(signed.maxFeePerGas, req.maxFeePerGas) ||
+                    differs(signed.maxPriorityFeePerGas, req.maxPriorityFeePerGas)
+                : differs(signed.gasPrice, req.gasPrice))
+        if (mismatch) {
+            throw new Error('Remote signer returned a transaction that does not match the request')
+        }
+        return raw
+    }
+
+    async signMessage(message) {
+        const bytes = typeof message === 'string' ? ethers.toUtf8Bytes(message) : message
+        const signature = await signerRpc(this.url, 'eth_sign', [this.address, ethers.hexlify(bytes)])
+        if (ethers.verifyMessage(bytes, signature) !== this.address) {
+            throw new Error('Remote signer returned an invalid message signature')
+        }
+        return signature
+    }
+
+    async signTypedData(domain, types, value) {
+        const payload = ethers.TypedDataEncoder.getPayload(domain, types, value)
+        const signature = await signerRpc(this.url, 'eth_signTypedData_v4', [this.address, JSON.stringify(payload)])
+        if (ethers.verifyTypedData(domain, types, value, signature) !== this.address) {
+            throw new Error('Remote signer returned an invalid typed-data signature')
+        }
+        return signature
+    }
+}
+
+// Resolve the signing address of a remote signer: the configured one (which
+// must be served by the signer) or its first account
+async function connectRemoteSigner(url, address, provider) {
+    const accounts = (await signerRpc(url, 'eth_accounts', [])).map(a => ethers.getAddress(a))
+    if (address) {
+        if (!accounts.includes(ethers.getAddress(address))) {
+            throw new Error(`Remote signer at ${url} does not hold ${address}`)
+        }
+        return new RemoteSigner(url, address, provider)
+    }
+    if (accounts.length === 0) {
+        throw new Error(`Remote signer at ${url} has no accounts`)
+    }
+    return new RemoteSigner(url, accounts[0], provider)
+}
+
+// ============================================================================
+// BACKEND SELECTION
+// ============================================================================
+
+async function createAgentSigner(config, configDir, provider) {
+    const signerConfig = config?.signer || {}
+    const type = signerConfig.type || null
+    if (type && !SIGNER_TYPES.includes(type)) {
+        throw new Error(`Unknown signer type "${type}" in wallet.json (use ${SIGNER_TYPES.join(', ')})`)
+    }
+
+    let signer
+    if (type === 'remote') {
+        if (!signerConfig.url) throw new Error('wallet.json signer.url is required for the remote signer')
+        signer = await connectRemoteSigner(signerConfig.url, signerConfig.address || config.agent, provider)
+    } else {
+        if (type) {
+            const { encrypted } = agentKeyInfo(configDir)
+            if (type === 'keystore' && !encrypted) {
+                throw new Error('wallet.json expects an encrypted keystore but agent.pk is plaintext. Run: node keystore.js --encrypt')
+            }
+            if (type === 'keyfile' && encrypted) {
+                throw new Error('wallet.json expects a plaintext key file but agent.pk is an encrypted keystore. Set signer.type to "keystore"')
+            }
+        }
+        signer = await loadAgentWallet(configDir, provider, { warnPlaintext: type !== 'keyfile' })
+    }
+
+    if (config?.agent && signer.address.toLowerCase() !== config.agent.toLowerCase()) {
+        throw new Error(`Signer address ${signer.address} is not the configured agent ${config.agent}`)
+    }
+    return signer
+}
+
+export {
+    SIGNER_TYPES,
+    SIGNER_TOKEN_ENV,
+    RemoteSigner,
+    connectRemoteSigner,
+    createAgentSigner,
+}
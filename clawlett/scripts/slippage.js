@@ -0,0 +1,120 @@
+/**
+ * Slippage policy
+ *
+ * Single source of truth for the slippage applied to market orders. The
+ * limits computed here are what swap.js shows in its summary, records in the
+ * appData and signs in the presigned order.
+ *
+ * Modes:
+ *   - smart: CoW FE style tolerance derived from the quote (fee + volume)
+ *   - fixed: a flat tolerance in basis points (--slippage)
+ * Both are clamped to a cap (--max-slippage, default 5%).
+ */
+
+// Hard bounds for user input (0-50%)
+const MAX_SLIPPAGE_BIPS = 5000
+const DEFAULT_SLIPPAGE_CAP_BIPS = 500
+
+// Convert a 0-0.5 fraction to basis points, rejecting anything out of range
+function toBips(value, flag) {
+    const num = typeof value === 'string' ? Number(value) : value
+    if (!Number.isFinite(num) || num < 0 || num > MAX_SLIPPAGE_BIPS / 10000) {
+        throw new Error(`${flag} must be a number between 0 and ${MAX_SLIPPAGE_BIPS / 10000}`)
+    }
+    return Math.round(num * 10000)
+}
+
+// slippage: fraction for fixed mode, or null/'auto' for smart mode
+// maxSlippage: fraction cap applied in both modes
+function createSlippagePolicy({ slippage = null, maxSlippage = null } = {}) {
+    const capBips = maxSlippage === null || maxSlippage === undefined
+        ? DEFAULT_SLIPPAGE_CAP_BIPS
+        : toBips(maxSlippage, '--max-slippage')
+
+    if (slippage === null || slippage === undefined || slippage === 'auto') {
+        return { mode: 'smart', bips: null, capBips }
+    }
+
+    const bips = toBips(slippage, '--slippage')
+    if (bips > capBips) {
+        // An explicit --slippage above the default cap raises the cap, unless
+        // the cap was set explicitly too
+        if (maxSlippage !== null && maxSlippage !== undefined) {
+            throw new Error(`--slippage ${bips / 100}% exceeds --max-slippage ${capBips / 100}%`)
+        }
+        return { mode: 'fixed', bips, capBips: bips }
+    }
+    return { mode: 'fixed', bips, capBips }
+}
+
+// Smart slippage in sell-token units (based on CoW FE, more aggressive for small orders):
+//   1. Fee-based:   150% of feeAmount (dominates small orders → wider tolerance)
+//   2. Volume-based: 0.5% of sellAmount (dominates large orders → ~0.5%)
+function smartSlippageAmount(sellAmount, feeAmount) {
+    return feeAmount * 3n / 2n + sellAmount * 5n / 1000n
+}
+
+// Compute the signed order limits from a quote.
+//
+// Sell orders keep sellAmount fixed and apply slippage to the minimum buyAmount.
+// Buy orders keep buyAmount fixed and apply slippage (plus the quoted fee) to
+// the maximum sellAmount, since the order itself is signed with feeAmount = 0.
+// slippageBips is relative to the quoted sellAmount (buy) or buyAmount (sell).
+function computeOrderLimits(q, policy) {
+    const sellAmount = BigInt(q.sellAmount)
+    const buyAmount = BigInt(q.buyAmount)
+    const feeAmount = BigInt(q.feeAmount)
+
+    let bips = policy.bips
+    let capped = false
+    let sellSlippage = null
+
+    if (policy.mode === 'smart') {
+        sellSlippage = smartSlippageAmount(sellAmount, feeAmount)
+        const smartBips = sellAmount > 0n ? Number(sellSlippage * 10000n / sellAmount) : 0
+        if (smartBips > policy.capBips) {
+            bips = policy.capBips
+            sellSlippage = null
+            capped = true
+        } else {
+            bips = smartBips
+        }
+    }
+
+    if (q.kind === 'buy') {
+        const slippage = sellSlippage ?? sellAmount * BigInt(bips) / 10000n
+        return {
+            sellAmount: sellAmount + feeAmount + slippage,
+            buyAmount,
+            slippageBips: bips,
+            mode: policy.mode,
+            capped,
+        }
+    }
+
+    // Convert sell-token slippage to buy-token: slippage * buyAmount / sellAmount
+    const buySlippage = sellSlippage !== null && sellAmount > 0n
+        ? sellSlippage * buyAmount / sellAmount
+        : buyAmount * BigInt(bips) / 10000n
+    return {
+        sellAmount,
+        buyAmount: buyAmount - buySlippage,
+        slippageBips: bips,
+        mode: policy.mode,
+        capped,
+    }
+}
+
+function describeSlippage(limits) {
+    const pct = `${(limits.slippageBips / 100).toFixed(2)}%`
+    if (limits.mode === 'fixed') return `${pct} slippage`
+    return limits.capped ? `${pct} slippage, smart capped` : `${pct} smart slippage`
+}
+
+export {
+    MAX_SLIPPAGE_BIPS,
+    DEFAULT_SLIPPAGE_CAP_BIPS,
+    createSlippagePolicy,
+    computeOrderLimits,
+    describeSlippage,
+}
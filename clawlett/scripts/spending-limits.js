@@ -0,0 +1,145 @@
+/**
+ * Spending limits
+ *
+ * Per-token caps on what the agent can sell, enforced on-chain by Zodiac
+ * Roles allowances: each limited token has an allowance that refills to the
+ * limit every period, and the cowPreSign permission consumes it by the
+ * order's sellAmount. Limits are recorded in wallet.json as spendingLimits:
+ *
+ *   [{ token, symbol, decimals, amount, period, allowanceKey, ethEquivalent? }]
+ *
+ * amount is in token atoms, period in seconds. A limit given in ETH
+ * ("USDC:1eth") is converted to token units at the current CoW native price
+ * when it is configured; ethEquivalent keeps the original figure. CoW prices
+ * are in the network's native currency, so on Gnosis "eth" means xDAI.
+ */
+
+import { ethers } from 'ethers'
+import { resolveToken } from './tokens.js'
+import { getNativePrice } from './cow.js'
+import { sellAllowanceKey, readAllowance } from './roles.js'
+import { activeNetwork } from './networks.js'
+
+const NATIVE_ETH = '0x0000000000000000000000000000000000000000'
+
+const DEFAULT_LIMIT_PERIOD = '1d'
+
+const PERIOD_UNITS = { '': 1, s: 1, m: 60, h: 3600, d: 86400, w: 604800 }
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+// Parse a period like "12h", "1d", "1w" (or plain seconds) into seconds
+function parsePeriod(value) {
+    const match = /^(\d+)([smhdw]?)$/.exec(String(value).trim())
+    if (!match || Number(match[1]) === 0) throw new Error(`Invalid period "${value}". Use e.g. 12h, 1d, 1w`)
+    return Number(match[1]) * PERIOD_UNITS[match[2]]
+}
+
+function formatPeriod(seconds) {
+    seconds = Number(seconds)
+    for (const [unit, size] of [['w', 604800], ['d', 86400], ['h', 3600], ['m', 60]]) {
+        if (seconds % size === 0) return seconds === size ? `1${unit}` : `${seconds / size}${unit}`
+    }
+    return `${seconds}s`
+}
+
+// "TOKEN:AMOUNT[:PERIOD]", e.g. "USDC:1000", "WETH:0.5:12h", "USDC:1eth"
+function parseLimitSpec(spec) {
+    const [token, amount, period] = String(spec).split(':')
+    if (!token || !amount) {
+        throw new Error(`Invalid limit "${spec}". Use TOKEN:AMOUNT[:PERIOD], e.g. USDC:1000 or USDC:1eth:1d`)
+    }
+    const ethMatch = /^(\d+(?:\.\d+)?)eth$/i.exec(amount)
+    if (!ethMatch && !/^\d+(\.\d+)?$/.test(amount)) {
+        throw new Error(`Invalid limit amount "${amount}" in "${spec}"`)
+    }
+    return {
+        token,
+        amount: ethMatch ? null : amount,
+        ethAmount: ethMatch ? ethMatch[1] : null,
+        period: period || null,
+    }
+}
+
+// Resolve a limit spec to a wallet.json spendingLimits entry. ETH limits
+// apply to WETH (the wrapped native token), which is what swap.js sells on CoW.
+async function resolveSpendingLimit(spec, { provider, roleKey, defaultPeriod = DEFAULT_LIMIT_PERIOD }) {
+    const parsed = parseLimitSpec(spec)
+    const { wrappedNative } = activeNetwork()
+    let token = await resolveToken(parsed.token, provider)
+    if (token.address.toLowerCase() === NATIVE_ETH) {
+        token = { ...token, address: wrappedNative.address, symbol: wrappedNative.symbol }
+    }
+    // DexScreener matches by symbol can be lookalikes; addresses are explicit
+    if (!token.verified && !parsed.token.startsWith('0x')) {
+        throw new Error(`${token.symbol} (${token.address}) is not a verified token. Use its contract address to limit it.`)
+    }
+
+    let amount
+    if (parsed.ethAmount) {
+        const wei = ethers.parseEther(parsed.ethAmount)
+        if (token.address.toLowerCase() === wrappedNative.address.toLowerCase()) {
+            amount = wei
+        } else {
+            // Price of one token atom in wei
+            const price = await getNativePrice(token.address)
+            if (!(price > 0)) throw new Error(`No CoW price for ${token.symbol}; give the limit in ${token.symbol} units`)
+            amount = BigInt(Math.floor(Number(wei) / price))
+        }
+    } else {
+        amount = ethers.parseUnits(parsed.amount, token.decimals)
+    }
+    if (amount === 0n) throw new Error(`Limit for ${token.symbol} rounds to zero`)
+
+    const limit = {
+        token: ethers.getAddress(token.address),
+        symbol: token.symbol,
+        decimals: token.decimals,
+        amount: amount.toString(),
+        period: parsePeriod(parsed.period || defaultPeriod),
+        allowanceKey: sellAllowanceKey(roleKey, token.address),
+    }
+    if (parsed.ethAmount) limit.ethEquivalent = parsed.ethAmount
+    return limit
+}
+
+// ============================================================================
+// STATUS
+// ============================================================================
+
+function findSpendingLimit(config, tokenAddress) {
+    return (config.spendingLimits || []).find(l => l.token.toLowerCase() === tokenAddress.toLowerCase()) || null
+}
+
+function describeLimit(limit) {
+    const amount = `${ethers.formatUnits(limit.amount, limit.decimals)} ${limit.symbol}`
+    const eth = limit.ethEquivalent ? ` (~${limit.ethEquivalent} ETH when set)` : ''
+    return `${amount}${eth} per ${formatPeriod(limit.period)}`
+}
+
+function formatRefill(nextRefill) {
+    return `at ${new Date(Number(nextRefill) * 1000).toISOString().replace('.000Z', 'Z')}`
+}
+
+// What the agent may still sell of a limited token right now:
+// { limit, remaining, nextRefill } or null for tokens without a limit
+async function getSellAllowance(provider, config, tokenAddress) {
+    const limit = findSpendingLimit(config, tokenAddress)
+    if (!limit) return null
+    const allowance = await readAllowance(provider, config.roles, limit.allowanceKey)
+    return { limit, remaining: allowance.balance, nextRefill: allowance.nextRefill, allowance }
+}
+
+export {
+    DEFAULT_LIMIT_PERIOD,
+    parsePeriod,
+    formatPeriod,
+    parseLimitSpec,
+    resolveSpendingLimit,
+    findSpendingLimit,
+    describeLimit,
+    formatRefill,
+    getSellAllowance,
+}
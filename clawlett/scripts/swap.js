@@ -12,12 +12,23 @@
  * - Safeguards for common tokens (ETH, USDC, USDT, etc.)
  * - Auto-substitutes ETH with WETH (CoW requires ERC20s)
  * - Gets quote before execution
+ * - Sell exact input (--amount) or buy exact output (--buy-amount)
+ * - Limit orders with a custom price and long expiry (--limit-price / --min-out)
+ * - Approves the CoW Vault Relayer when the allowance is too low (--approve)
+ * - Respects the Safe's on-chain spending limits (limits.js), refusing or
+ *   shrinking (--fit-limit) orders that would exceed them
+ * - Enforces the owner's trading rules in policy.json (tokens, trade size,
+ *   liquidity, slippage, cooldown) before anything is signed, and again
+ *   before --resume presigns a journaled order
+ * - Optionally unwraps WETH proceeds to ETH once an order to ETH fills (--unwrap)
  * - Presigns orders via Zodiac Roles delegatecall
  * - Polls order status until filled
  *
  * Usage:
  *   node swap.js --from ETH --to USDC --amount 0.1
  *   node swap.js --from USDC --to ETH --amount 100 --execute
+ *   node swap.js --from ETH --to USDC --buy-amount 500 --execute
+ *   node swap.js --from USDC --to WETH --amount 1000 --limit-price 0.0004 --expiry 7d --execute
  *
  * ETH is auto-wrapped to WETH when needed (CoW requires ERC20s)
  */
@@ -26,214 +37,85 @@ import { ethers } from 'ethers'
 import fs from 'fs'
 import path from 'path'
 import { fileURLToPath } from 'url'
-import { VERIFIED_TOKENS, ERC20_ABI, resolveToken } from './tokens.js'
+import { ERC20_ABI, resolveToken, verifiedTokens } from './tokens.js'
+import {
+    COW_SETTLEMENT_ABI,
+    cowSettlement,
+    cowVaultRelayer,
+    COW_PRESIGN_ABI,
+    getCowQuote,
+    submitCowOrder,
+    submitLimitOrder,
+    postCowOrder,
+    pollOrderStatus,
+    getOrder,
+    orderExplorerUrl,
+    toOrderStruct,
+} from './cow.js'
+import { MULTISEND_ADDRESS, planRoleExecutions } from './multisend.js'
+import { DEFAULT_SLIPPAGE_CAP_BIPS, createSlippagePolicy, computeOrderLimits, describeSlippage } from './slippage.js'
+import { createAgentSigner } from './signer.js'
+import { LEDGER_FILE, TERMINAL_STATUSES, getEntry, recordOrder, setStatus, recordTx } from './ledger.js'
+import { getSellAllowance, describeLimit, formatRefill } from './spending-limits.js'
+import { POLICY_FILE, loadPolicy, checkTokens, checkSlippage, checkTradeSize, formatViolations } from './policy.js'
+import { activeNetwork, connectNetwork, requireZodiacHelpers } from './networks.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
 
-const DEFAULT_RPC_URL = 'https://mainnet.base.org'
-
 // Contracts
-const WETH_ADDRESS = '0x4200000000000000000000000000000000000006'
 const NATIVE_ETH = '0x0000000000000000000000000000000000000000'
 
-// CoW Protocol constants
-const COW_API_BASE = 'https://api.cow.fi/base'
-const COW_SETTLEMENT = '0x9008D19f58AAbD9eD0D60971565AA8510560ab41'
-const COW_VAULT_RELAYER = '0xC92E8bdf79f0507f65a392b0ab4667716BFE0110'
-
-// bytes32 keccak hashes for order struct fields
-const KIND_SELL = '0xf3b277728b3fee749481eb3e0b3b48980dbbab78658fc419025cb16eee346775'
-const KIND_BUY = '0x6ed88e868af0a1983e3886d5f3e95a2fafbd6c3450bc229e27342283dc429ccc'
-const BALANCE_ERC20 = '0x5a28e9363bb942b639270062aa6bb295f434bcdfc42c97267bf003f272060dc9'
-
 // ABIs
 const ROLES_ABI = [
     'function execTransactionWithRole(address to, uint256 value, bytes data, uint8 operation, bytes32 roleKey, bool shouldRevert) returns (bool)',
 ]
 
-const COW_PRESIGN_ABI = [
-    'function cowPreSign(tuple(address sellToken, address buyToken, address receiver, uint256 sellAmount, uint256 buyAmount, uint32 validTo, bytes32 appData, uint256 feeAmount, bytes32 kind, bool partiallyFillable, bytes32 sellTokenBalance, bytes32 buyTokenBalance) order, bytes orderUid) external',
-]
-
 const ZODIAC_HELPERS_ABI = [
     'function wrapETH(uint256 amount) external',
     'function unwrapWETH(uint256 amount) external',
+    'function approveForCow(address token, uint256 amount) external',
 ]
 
+const APPROVAL_MODES = ['exact', 'unlimited']
+
 // ============================================================================
-// COW PROTOCOL API
+// LIMIT ORDERS
 // ============================================================================
 
-async function getCowQuote(sellToken, buyToken, sellAmount, safeAddress) {
-    const response = await fetch(`${COW_API_BASE}/api/v1/quote`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-            sellToken: sellToken.address,
-            buyToken: buyToken.address,
-            from: safeAddress,
-            receiver: safeAddress,
-            sellAmountBeforeFee: sellAmount.toString(),
-            kind: 'sell',
-            signingScheme: 'presign',
-            sellTokenBalance: 'erc20',
-            buyTokenBalance: 'erc20',
-        }),
-    })
-
-    const data = await response.json()
-
-    if (!response.ok) {
-        const errorMsg = data.description || data.errorType || JSON.stringify(data)
-        throw new Error(`CoW quote failed: ${errorMsg}`)
+// Derive the limit order amounts from a price (buy token per sell token) or
+// an explicit minimum output. Buy orders round the sell amount up so the
+// effective price is never better than requested.
+function computeLimitAmounts({ kind, amountIn, amountOut, limitPrice, minOut, tokenIn, tokenOut }) {
+    if (kind === 'sell' && minOut) {
+        return { sellAmount: amountIn, buyAmount: ethers.parseUnits(minOut, tokenOut.decimals) }
     }
 
-    return data
-}
-
-async function buildAppData(slippageBips) {
-    const doc = {
-        appCode: "Clawlett",
-        environment: "production",
-        metadata: {
-            orderClass: { orderClass: "market" },
-            quote: { slippageBips, smartSlippage: true },
-            partnerFee: {
-                bps: 50,
-                recipient: "0xCB52B32D872e496fccb84CeD21719EC9C560dFd4",
-            },
-        },
-        version: "1.14.0",
-    }
-    if (address === ethers.ZeroAddress) {
-              return {
-                  address,
-                  symbol: 'ETH',
-                  decimals: 18,
-                  verified: true,
-              }
-          }
-    const fullAppData = JSON.stringify(doc)
-    const appDataHash = ethers.keccak256(ethers.toUtf8Bytes(fullAppData))
-
-    // Register with CoW so solvers can resolve the hash
-    await fetch(`${COW_API_BASE}/api/v1/app_data/${appDataHash}`, {
-        method: 'PUT',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ fullAppData }),
-    }).catch(() => {}) // non-critical
-
-    return appDataHash
-}
+    const PRICE_DECIMALS = 18
+    const price = ethers.parseUnits(limitPrice, PRICE_DECIMALS)
+    if (price <= 0n) throw new Error('--limit-price must be greater than 0')
 
-async function submitCowOrder(quoteResponse, safeAddress, timeoutSeconds) {
-    const q = quoteResponse.quote
-    if (address === ethers.ZeroAddress) {
-              return {
-                  address,
-                  symbol: 'ETH',
-                  decimals: 18,
-                  verified: true,
-              }
-          }
-    // Default 30 minutes — matches CoW FE. Solvers need time to batch orders.
-    const validTo = Math.floor(Date.now() / 1000) + (timeoutSeconds || 1800)
-
-    // Smart slippage (based on CoW FE, more aggressive for small orders):
-    //   1. Fee-based:   150% of feeAmount (dominates small orders → wider tolerance)
-    //   2. Volume-based: 0.5% of sellAmount (dominates large orders → ~0.5%)
-    const feeSlippage = BigInt(q.feeAmount) * 3n / 2n
-    const volumeSlippage = BigInt(q.sellAmount) * 5n / 1000n
-    const totalSlippage = feeSlippage + volumeSlippage
-    // Convert sell-token slippage to buy-token: slippage * buyAmount / sellAmount
-    const buySlippage = BigInt(q.sellAmount) > 0n
-        ? totalSlippage * BigInt(q.buyAmount) / BigInt(q.sellAmount)
-        : BigInt(q.buyAmount) * 5n / 1000n
-    const discountedBuyAmount = (BigInt(q.buyAmount) - buySlippage).toString()
-
-    // Build appData with slippage metadata (matches CoW FE)
-    const slippageBips = Number(buySlippage * 10000n / BigInt(q.buyAmount))
-    const appData = await buildAppData(slippageBips)
-
-    const order = {
-        sellToken: q.sellToken,
-        buyToken: q.buyToken,
-        receiver: q.receiver || safeAddress,
-        sellAmount: q.sellAmount,
-        buyAmount: discountedBuyAmount,
-        validTo,
-        appData,
-        feeAmount: "0",
-        kind: q.kind,
-        partiallyFillable: q.partiallyFillable || false,
-        sellTokenBalance: q.sellTokenBalance || 'erc20',
-        buyTokenBalance: q.buyTokenBalance || 'erc20',
-        signingScheme: 'presign',
-        signature: safeAddress,
-        from: safeAddress,
-    }
-
-    const response = await fetch(`${COW_API_BASE}/api/v1/orders`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(order),
-    })
+    const inScale = 10n ** BigInt(tokenIn.decimals)
+    const outScale = 10n ** BigInt(tokenOut.decimals)
+    const priceScale = 10n ** BigInt(PRICE_DECIMALS)
 
-    const data = await response.json()
-
-    if (!response.ok) {
-        const errorMsg = data.description || data.errorType || JSON.stringify(data)
-        throw new Error(`CoW order submission failed: ${errorMsg}`)
+    if (kind === 'buy') {
+        const numerator = amountOut * inScale * priceScale
+        const denominator = price * outScale
+        const sellAmount = (numerator + denominator - 1n) / denominator
+        return { sellAmount, buyAmount: amountOut }
     }
 
-    // data is the orderUid string
-    return { orderUid: data, order }
-}
-
-function kindToBytes32(kind) {
-    switch (kind) {
-        case 'sell': return KIND_SELL
-        case 'buy': return KIND_BUY
-        default: throw new Error(`Unknown order kind: ${kind}`)
-    }
+    const buyAmount = amountIn * price * outScale / (inScale * priceScale)
+    return { sellAmount: amountIn, buyAmount }
 }
 
-function balanceToBytes32(balance) {
-    switch (balance) {
-        case 'erc20': return BALANCE_ERC20
-        default: throw new Error(`Unknown balance type: ${balance}`)
-    }
-}
-
-async function pollOrderStatus(orderUid, timeoutMs) {
-    const startTime = Date.now()
-    const pollInterval = 5000
-
-    while (Date.now() - startTime < timeoutMs) {
-        const response = await fetch(`${COW_API_BASE}/api/v1/orders/${orderUid}`)
-
-        if (response.ok) {
-            const order = await response.json()
-            const status = order.status
-
-            if (status === 'fulfilled') {
-                return { status: 'fulfilled', order }
-            } else if (status === 'expired') {
-                return { status: 'expired', order }
-            } else if (status === 'cancelled') {
-                return { status: 'cancelled', order }
-            }
-
-            // presignaturePending or open - keep polling
-            const elapsed = Math.round((Date.now() - startTime) / 1000)
-            console.log(`   Status: ${status} (${elapsed}s elapsed)`)
-        }
-
-        await new Promise(resolve => setTimeout(resolve, pollInterval))
-    }
-
-    return { status: 'timeout' }
+// Parse an expiry like "90m", "12h", "7d", "2w" (or plain seconds) into seconds
+function parseExpiry(value) {
+    const match = /^(\d+)([smhdw]?)$/.exec(String(value).trim())
+    if (!match) throw new Error(`Invalid --expiry "${value}". Use e.g. 12h, 7d, 2w`)
+    const units = { '': 1, s: 1, m: 60, h: 3600, d: 86400, w: 604800 }
+    return Number(match[1]) * units[match[2]]
 }
 
 // ============================================================================
@@ -261,11 +143,22 @@ function parseArgs() {
         from: null,
         to: null,
         amount: null,
+        buyAmount: null,
         configDir: process.env.WALLET_CONFIG_DIR || path.join(__dirname, '..', 'config'),
-        rpc: process.env.BASE_RPC_URL || DEFAULT_RPC_URL,
-        slippage: 0.05,
+        network: null,
+        rpc: null,
+        slippage: null, // smart slippage unless set
+        maxSlippage: null,
         execute: false,
         timeout: 1800, // 30 minutes default (matches CoW FE)
+        limitPrice: null,
+        minOut: null,
+        expiry: '7d',
+        partial: false,
+        resume: null,
+        unwrap: false,
+        approve: 'exact',
+        fitLimit: false,
     }
 
     for (let i = 0; i < args.length; i++) {
@@ -282,8 +175,15 @@ function parseArgs() {
             case '-a':
                 result.amount = args[++i]
                 break
+            case '--buy-amount':
+            case '-b':
+                result.buyAmount = args[++i]
+                break
             case '--slippage':
-                result.slippage = parseFloat(args[++i])
+                result.slippage = args[++i]
+                break
+            case '--max-slippage':
+                result.maxSlippage = args[++i]
                 break
             case '--execute':
             case '-x':
@@ -292,10 +192,37 @@ function parseArgs() {
             case '--timeout':
                 result.timeout = parseInt(args[++i])
                 break
+            case '--limit-price':
+                result.limitPrice = args[++i]
+                break
+            case '--min-out':
+                result.minOut = args[++i]
+                break
+            case '--expiry':
+                result.expiry = args[++i]
+                break
+            case '--partial':
+                result.partial = true
+                break
+            case '--resume':
+                result.resume = args[++i]
+                break
+            case '--unwrap':
+                result.unwrap = true
+                break
+            case '--approve':
+                result.approve = args[++i]
+                break
+            case '--fit-limit':
+                result.fitLimit = true
+                break
             case '--config-dir':
             case '-c':
                 result.configDir = args[++i]
                 break
+            case '--network':
+                result.network = args[++i]
+                break
             case '--rpc':
             case '-r':
                 result.rpc = args[++i]
@@ -310,42 +237,436 @@ function parseArgs() {
     return result
 }
 
-if (!Number.isFinite(args.slippage) || args.slippage < 0 || args.slippage > 0.5) {
-    console.error('Error: --slippage must be a number between 0 and 0.5')
-    process.exit(1)
-    
 function printHelp() {
     console.log(`
-Usage: node swap.js --from <TOKEN> --to <TOKEN> --amount <AMOUNT> [--execute]
+Usage: node swap.js --from <TOKEN> --to <TOKEN> (--amount <AMOUNT> | --buy-amount <AMOUNT>) [--execute]
 
 Swap tokens via CoW Protocol (MEV-protected).
 
 Arguments:
   --from, -f       Token to swap from (symbol or address)
   --to, -t         Token to swap to (symbol or address)
-  --amount, -a     Amount to swap
-  --slippage       Slippage 0-0.5 (default: 0.05 = 5%)
+  --amount, -a     Amount to sell (exact input)
+  --buy-amount, -b Amount to buy (exact output, sell amount is capped by slippage)
+  --slippage       Fixed slippage 0-0.5, e.g. 0.01 = 1% (default: smart slippage)
+  --max-slippage   Cap on slippage 0-0.5 (default: ${DEFAULT_SLIPPAGE_CAP_BIPS / 10000})
   --execute, -x    Execute swap (default: quote only)
   --timeout        Order timeout in seconds (default: 1800 = 30min)
+  --approve        CoW Vault Relayer approval when allowance is short: exact, unlimited (default: exact)
+  --unwrap         Unwrap the WETH proceeds to ETH once an order to ETH fills
+  --fit-limit      Shrink a sell order to what the spending limit still allows
+  --resume <UID>   Resume a journaled order after a crash (no re-submission)
+
+Limit orders:
+  --limit-price    Place a limit order at this price (buy token per sell token)
+  --min-out        Place a limit order with this minimum output (sell orders only)
+  --expiry         Limit order lifetime, e.g. 12h, 7d, 2w (default: 7d)
+  --partial        Allow the limit order to be partially filled
   --config-dir, -c Config directory
-  --rpc, -r        RPC URL (default: ${DEFAULT_RPC_URL})
+  --network        base, ethereum, arbitrum or gnosis (default: wallet.json's, else base)
+  --rpc, -r        RPC URL (default: $<NETWORK>_RPC_URL, else the network's public RPC)
 
 Notes:
-  - CoW Protocol only works with ERC20 tokens. ETH is auto-wrapped to WETH.
+  - CoW Protocol only works with ERC20 tokens. ETH is auto-wrapped to WETH (the
+    network's native currency to its wrapped token, e.g. xDAI to WXDAI on Gnosis).
   - Orders are MEV-protected (no sandwich attacks).
+  - Limit orders rest on CoW until filled or expired; the script exits after presigning.
+  - If the Safe's CoW Vault Relayer allowance is below the sell amount, an approval is
+    bundled into the swap. "exact" sets the allowance to this order's sell amount.
+  - Every executed order is journaled to ${LEDGER_FILE} in the config dir.
+  - Tokens with a spending limit (node limits.js) can only be sold up to what is
+    left of it; presigning an order uses it up by the sell amount.
+  - Rules in ${POLICY_FILE} in the config dir are checked before the order is
+    signed, and tokens, cooldown and trade size again before --resume presigns
+    a journaled order; a violation stops the swap and names the rule.
 
 Verified Tokens:
-  ETH, WETH, USDC, USDT, DAI, USDS, AERO, cbBTC, VIRTUAL, DEGEN, BRETT, TOSHI, WELL
-  Other tokens are searched via DexScreener (Base pairs).
+  Base: ETH, WETH, USDC, USDT, DAI, USDS, AERO, cbBTC, VIRTUAL, DEGEN, BRETT, TOSHI, WELL
+  Other networks have their own lists (networks.js).
+  Other tokens are searched via DexScreener (pairs on the wallet's network).
   Unverified tokens show a warning with contract address, volume, and liquidity.
 
 Examples:
   node swap.js --from ETH --to USDC --amount 0.1
   node swap.js --from USDC --to WETH --amount 100 --execute
   node swap.js --from USDC --to DAI --amount 50 --execute --timeout 600
+  node swap.js --from ETH --to USDC --buy-amount 500 --execute
+  node swap.js --from USDC --to WETH --amount 1000 --limit-price 0.0004 --expiry 2w --execute
+  node swap.js --from WETH --to USDC --amount 1 --min-out 4000 --partial --execute
+  node swap.js --resume 0xabc...
 `)
 }
 
+// ============================================================================
+// EXECUTION
+// ============================================================================
+
+async function connectRoles(config, configDir, provider) {
+    const wallet = await createAgentSigner(config, configDir, provider)
+    return new ethers.Contract(config.roles, ROLES_ABI, wallet)
+}
+
+// Token fields journaled with each order so --resume can report without re-resolving
+function tokenSummary(token) {
+    return { address: token.address, symbol: token.symbol, decimals: token.decimals }
+}
+
+// Spending limits are enforced on-chain when the order is presigned; check
+// them first so an order over the limit is never posted to CoW. Returns the
+// sell allowance (null for tokens without a limit).
+function checkSellAllowance(sellAllowance, sellAmount, token) {
+    if (!sellAllowance || sellAmount <= sellAllowance.remaining) return
+    const left = formatAmount(sellAllowance.remaining, token.decimals, token.symbol)
+    const refill = sellAllowance.nextRefill === null ? '' : `, refills ${formatRefill(sellAllowance.nextRefill)}`
+    throw new Error(
+        `Order exceeds the ${token.symbol} spending limit (${describeLimit(sellAllowance.limit)}).\n` +
+        `Sell amount: ${formatAmount(sellAmount, token.decimals, token.symbol)}, left: ${left}${refill}`
+    )
+}
+
+function exitOnViolations(policy, violations) {
+    if (violations.length === 0) return
+    console.error(`\n${formatViolations(policy, violations)}`)
+    process.exit(1)
+}
+
+function loadPolicyOrExit(configDir) {
+    try {
+        return loadPolicy(configDir)
+    } catch (error) {
+        console.error(`Error: ${error.message}`)
+        console.error('Trading is blocked until the policy file is fixed.')
+        process.exit(1)
+    }
+}
+
+// Journaled tokens don't record verification; derive it from the network's list
+function journaledToken(token) {
+    const verified = Object.values(verifiedTokens()).some(address => address.toLowerCase() === token.address.toLowerCase())
+    return { ...token, verified }
+}
+
+// Returns the amount to approve for the CoW Vault Relayer, or null when the
+// Safe's current allowance already covers the order's sell amount
+async function getRequiredApproval(provider, tokenAddress, safeAddress, sellAmount, mode) {
+    const token = new ethers.Contract(tokenAddress, ERC20_ABI, provider)
+    const allowance = await token.allowance(safeAddress, cowVaultRelayer())
+    if (allowance >= sellAmount) return null
+    return mode === 'unlimited' ? ethers.MaxUint256 : sellAmount
+}
+
+function formatApproval(amount, token) {
+    return amount === ethers.MaxUint256 ? `unlimited ${token.symbol}` : formatAmount(amount, token.decimals, token.symbol)
+}
+
+// Build the on-chain steps for an order: optional ETH wrap, optional CoW
+// Vault Relayer approval, then the presign
+function buildOnChainSteps(order, orderUid, safeAddress, zodiacHelpersAddress, wrapAmount, approveAmount = null) {
+    const zodiacHelpersInterface = new ethers.Interface(ZODIAC_HELPERS_ABI)
+    const cowPresignInterface = new ethers.Interface(COW_PRESIGN_ABI)
+    const steps = []
+
+    // Wrap ETH → WETH if needed (user said ETH, CoW needs WETH)
+    if (wrapAmount > 0n) {
+        steps.push({
+            step: 'wrap',
+            label: `Wrap ${formatAmount(wrapAmount, 18, activeNetwork().nativeCurrency)} → ${activeNetwork().wrappedNative.symbol}`,
+            to: zodiacHelpersAddress,
+            value: 0n,
+            data: zodiacHelpersInterface.encodeFunctionData('wrapETH', [wrapAmount]),
+        })
+    }
+
+    // Approve the sell token for the CoW Vault Relayer if the allowance is short
+    if (approveAmount !== null) {
+        steps.push({
+            step: 'approve',
+            label: `Approve ${approveAmount === ethers.MaxUint256 ? 'unlimited' : 'exact amount'} for CoW Vault Relayer`,
+            to: zodiacHelpersAddress,
+            value: 0n,
+            data: zodiacHelpersInterface.encodeFunctionData('approveForCow', [order.sellToken, approveAmount]),
+        })
+    }
+
+    // Presign the order on-chain (must match submitted order exactly)
+    steps.push({
+        step: 'presign',
+        label: 'Presign CoW order',
+        to: zodiacHelpersAddress,
+        value: 0n,
+        data: cowPresignInterface.encodeFunctionData('cowPreSign', [toOrderStruct(order, safeAddress), orderUid]),
+    })
+
+    return steps
+}
+
+// Execute the steps through Roles. Multiple steps go out as one atomic MultiSend
+// batch (delegatecall, unwrapped and checked per call by Roles); if the role
+// doesn't permit the batch, each step is sent individually to ZodiacHelpers.
+// Transaction hashes are journaled before waiting so a crash never loses them.
+async function executeSteps(steps, roles, config, configDir, orderUid) {
+    for (const step of steps) {
+        console.log(`   - ${step.label}`)
+    }
+
+    const multiSendAddress = config.contracts?.MultiSend || MULTISEND_ADDRESS
+    const executions = await planRoleExecutions(roles, config.roleKey, multiSendAddress, steps)
+    if (steps.length > 1 && executions.length > 1) {
+        console.log('   Role does not permit MultiSend batching; falling back to sequential calls')
+    }
+
+    for (let i = 0; i < executions.length; i++) {
+        const execution = executions[i]
+        const stepName = execution.steps.map(step => step.step).join('+')
+
+        console.log(execution.steps.length > 1
+            ? `   Executing ${execution.steps.length} operations in single MultiSend...`
+            : `   Executing operation ${i + 1}/${executions.length}...`)
+        const onChainTx = await roles.execTransactionWithRole(
+            execution.to,
+            0n,
+            execution.data,
+            1, // delegatecall
+            config.roleKey,
+            true
+        )
+        console.log(`   Transaction: ${onChainTx.hash}`)
+        recordTx(configDir, orderUid, stepName, onChainTx.hash, 'pending')
+
+        const receipt = await onChainTx.wait()
+        if (receipt.status !== 1) {
+            recordTx(configDir, orderUid, stepName, onChainTx.hash, 'failed')
+            setStatus(configDir, orderUid, 'presign_failed')
+            throw new Error(`Operation ${i + 1} (${stepName}) failed`)
+        }
+        recordTx(configDir, orderUid, stepName, onChainTx.hash, 'confirmed')
+    }
+
+    setStatus(configDir, orderUid, 'presigned')
+    console.log('   All on-chain operations complete!')
+}
+
+function printRestingOrder(orderUid, order) {
+    console.log('\nLIMIT ORDER PLACED')
+    console.log(`   Order UID: ${orderUid}`)
+    console.log(`   Expires:   ${new Date(order.validTo * 1000).toISOString()}`)
+    console.log(`   Explorer:  ${orderExplorerUrl(orderUid)}`)
+    console.log(`\nTrack:  node orders.js --uid ${orderUid}`)
+    console.log(`Cancel: node orders.js --cancel ${orderUid} --execute`)
+}
+
+// Record a final CoW order state in the ledger, including executed amounts
+function recordFinalStatus(configDir, orderUid, status, apiOrder) {
+    const executed = apiOrder ? {
+        sellAmount: apiOrder.executedSellAmount || '0',
+        buyAmount: apiOrder.executedBuyAmount || '0',
+        fee: apiOrder.executedFee || apiOrder.executedFeeAmount || '0',
+    } : null
+    setStatus(configDir, orderUid, status, { executed })
+}
+
+// Convert WETH received from a filled order back to native ETH
+async function unwrapProceeds(orderUid, amount, ctx) {
+    const { configDir, config, provider } = ctx
+
+    const zodiacHelpersAddress = config.contracts?.ZodiacHelpers
+    if (!zodiacHelpersAddress) {
+        throw new Error('ZodiacHelpers address not found in config. Re-run initialize.js.')
+    }
+
+    const { nativeCurrency, wrappedNative } = activeNetwork()
+    console.log(`\nUnwrapping ${formatAmount(amount, 18, wrappedNative.symbol)} → ${nativeCurrency}...`)
+    const roles = ctx.roles || await connectRoles(config, configDir, provider)
+    const data = new ethers.Interface(ZODIAC_HELPERS_ABI).encodeFunctionData('unwrapWETH', [amount])
+    const tx = await roles.execTransactionWithRole(
+        zodiacHelpersAddress,
+        0n,
+        data,
+        1, // delegatecall
+        config.roleKey,
+        true
+    )
+    console.log(`   Transaction: ${tx.hash}`)
+    recordTx(configDir, orderUid, 'unwrap', tx.hash, 'pending')
+
+    const receipt = await tx.wait()
+    if (receipt.status !== 1) {
+        recordTx(configDir, orderUid, 'unwrap', tx.hash, 'failed')
+        throw new Error(`Unwrap failed. WETH is still in the Safe; retry with: node wrap.js --unwrap --amount ${ethers.formatEther(amount)} --execute`)
+    }
+    recordTx(configDir, orderUid, 'unwrap', tx.hash, 'confirmed')
+}
+
+// Poll until the order settles, journal the outcome and report it
+async function awaitSettlement(orderUid, timeoutSeconds, ctx) {
+    const { configDir, provider, safeAddress, sellToken, buyToken } = ctx
+
+    console.log('\nStep 3: Waiting for order to be filled...')
+    console.log(`   Timeout: ${timeoutSeconds}s`)
+
+    const result = await pollOrderStatus(orderUid, timeoutSeconds * 1000)
+
+    switch (result.status) {
+        case 'fulfilled': {
+            recordFinalStatus(configDir, orderUid, 'fulfilled', result.order)
+
+            const executedSell = BigInt(result.order.executedSellAmount || 0)
+            const executedBuy = BigInt(result.order.executedBuyAmount || 0)
+
+            if (ctx.unwrap) {
+                await unwrapProceeds(orderUid, executedBuy, ctx)
+            }
+
+            const newBalance = ctx.unwrap
+                ? await provider.getBalance(safeAddress)
+                : await new ethers.Contract(buyToken.address, ERC20_ABI, provider).balanceOf(safeAddress)
+            const balanceSymbol = ctx.unwrap ? activeNetwork().nativeCurrency : buyToken.symbol
+
+            console.log('\nSWAP COMPLETE')
+            console.log(`   Sold: ${formatAmount(executedSell, sellToken.decimals, sellToken.symbol)}`)
+            console.log(`   Received: ${formatAmount(executedBuy, buyToken.decimals, buyToken.symbol)}${ctx.unwrap ? ` (unwrapped to ${balanceSymbol})` : ''}`)
+            console.log(`   New ${balanceSymbol} balance: ${formatAmount(newBalance, buyToken.decimals, balanceSymbol)}`)
+            console.log(`   Explorer: ${orderExplorerUrl(orderUid)}`)
+            break
+        }
+        case 'expired':
+            recordFinalStatus(configDir, orderUid, 'expired', result.order)
+            console.error('\nOrder expired without being filled.')
+            console.error('Tip: Try again with a higher slippage tolerance.')
+            process.exit(1)
+            break
+        case 'cancelled':
+            recordFinalStatus(configDir, orderUid, 'cancelled', result.order)
+            console.error('\nOrder was cancelled.')
+            process.exit(1)
+            break
+        case 'timeout':
+            setStatus(configDir, orderUid, 'timeout')
+            console.error(`\nTimed out after ${timeoutSeconds}s. Order may still be filled.`)
+            console.error(`Check status: ${orderExplorerUrl(orderUid)}`)
+            console.error(`   node orders.js --uid ${orderUid}`)
+            console.error(`Resume:       node swap.js --resume ${orderUid}`)
+            console.error(`Cancel:       node orders.js --cancel ${orderUid} --execute`)
+            process.exit(1)
+            break
+    }
+}
+
+// Pick up a journaled order where a previous run stopped. The order is only
+// re-posted if the CoW order book has never seen it, and the presign is only
+// sent if it is neither on-chain nor pending in a journaled transaction.
+async function resumeOrder(args, config, provider) {
+    const orderUid = args.resume
+    const safeAddress = config.safe
+    const entry = getEntry(args.configDir, orderUid)
+    if (!entry) {
+        console.error(`Error: order ${orderUid} not found in ${LEDGER_FILE}`)
+        process.exit(1)
+    }
+
+    const { order, sellToken, buyToken } = entry
+    const ctx = { configDir: args.configDir, config, provider, safeAddress, sellToken, buyToken, unwrap: !!entry.unwrap }
+
+    console.log(`\nResuming order ${orderUid}`)
+    console.log(`   ${entry.orderClass} ${order.kind}: ${formatAmount(BigInt(order.sellAmount), sellToken.decimals, sellToken.symbol)} → ${formatAmount(BigInt(order.buyAmount), buyToken.decimals, buyToken.symbol)}`)
+    console.log(`   Last status: ${entry.status} (${entry.updatedAt})`)
+
+    // A filled order may still owe its WETH → ETH unwrap
+    const unwrapPending = entry.unwrap && !entry.txs.some(tx => tx.step === 'unwrap' && tx.status === 'confirmed')
+
+    if (TERMINAL_STATUSES.includes(entry.status)) {
+        if (entry.status === 'fulfilled' && unwrapPending) {
+            await unwrapProceeds(orderUid, BigInt(entry.executed.buyAmount), ctx)
+            console.log('\nUnwrap complete.')
+            return
+        }
+        console.log('\nOrder is already final; nothing to resume.')
+        return
+    }
+
+    // Step 1: make sure the order book has the order
+    const apiOrder = await getOrder(orderUid)
+    if (!apiOrder) {
+        console.log('\nStep 1: Order missing from CoW order book, re-submitting journaled order...')
+        const uid = await postCowOrder(order)
+        if (uid !== orderUid) {
+            throw new Error(`Re-submitted order returned a different UID: ${uid}`)
+        }
+    } else {
+        console.log(`\nStep 1: Order known to CoW (status: ${apiOrder.status})`)
+        if (TERMINAL_STATUSES.includes(apiOrder.status)) {
+            recordFinalStatus(args.configDir, orderUid, apiOrder.status, apiOrder)
+            if (apiOrder.status === 'fulfilled' && unwrapPending) {
+                await unwrapProceeds(orderUid, BigInt(apiOrder.executedBuyAmount), ctx)
+            }
+            console.log(`\nOrder is ${apiOrder.status}. Ledger updated.`)
+            console.log(`   Explorer: ${orderExplorerUrl(orderUid)}`)
+            return
+        }
+    }
+
+    // Step 2: presign, unless it already landed or is still in flight
+    console.log('\nStep 2: Checking on-chain presignature...')
+    const settlement = new ethers.Contract(cowSettlement(), COW_SETTLEMENT_ABI, provider)
+    let presigned = (await settlement.preSignature(orderUid)) !== 0n
+
+    if (!presigned) {
+        for (const tx of entry.txs.filter(t => t.status === 'pending')) {
+            console.log(`   Waiting for journaled ${tx.step} transaction ${tx.hash}...`)
+            const receipt = await provider.waitForTransaction(tx.hash, 1, 300000)
+            recordTx(args.configDir, orderUid, tx.step, tx.hash, receipt?.status === 1 ? 'confirmed' : 'failed')
+        }
+        presigned = (await settlement.preSignature(orderUid)) !== 0n
+    }
+
+    if (presigned) {
+        console.log('   Order is presigned.')
+        setStatus(args.configDir, orderUid, 'presigned')
+    } else {
+        const zodiacHelpersAddress = config.contracts?.ZodiacHelpers
+        if (!zodiacHelpersAddress) {
+            console.error('Error: ZodiacHelpers address not found in config. Re-run initialize.js.')
+            process.exit(1)
+        }
+
+        // Only wrap what is still missing; an earlier wrap may already have landed
+        let wrapAmount = 0n
+        if (BigInt(entry.wrapAmount || 0) > 0n) {
+            const weth = new ethers.Contract(activeNetwork().wrappedNative.address, ERC20_ABI, provider)
+            const wethBalance = await weth.balanceOf(safeAddress)
+            const required = BigInt(order.sellAmount)
+            wrapAmount = wethBalance < required ? required - wethBalance : 0n
+        }
+
+        // policy.json may have changed since the order was journaled, and the
+        // cooldown runs from the last presign: check again before this one
+        const policy = loadPolicyOrExit(args.configDir)
+        if (policy) {
+            exitOnViolations(policy, await checkTokens(policy, args.configDir, [journaledToken(sellToken), journaledToken(buyToken)]))
+            const size = await checkTradeSize(policy, {
+                provider, configDir: args.configDir, safeAddress, sellToken, sellAmount: BigInt(order.sellAmount),
+            })
+            exitOnViolations(policy, size.violations)
+        }
+
+        const approveAmount = await getRequiredApproval(
+            provider, order.sellToken, safeAddress, BigInt(order.sellAmount), entry.approval || 'exact'
+        )
+
+        const roles = await connectRoles(config, args.configDir, provider)
+        const steps = buildOnChainSteps(order, orderUid, safeAddress, zodiacHelpersAddress, wrapAmount, approveAmount)
+        await executeSteps(steps, roles, config, args.configDir, orderUid)
+    }
+
+    if (entry.orderClass === 'limit') {
+        printRestingOrder(orderUid, order)
+        return
+    }
+
+    const remaining = order.validTo - Math.floor(Date.now() / 1000)
+    await awaitSettlement(orderUid, Math.max(Math.min(args.timeout, remaining), 1), ctx)
+}
+
 // ============================================================================
 // MAIN
 // ============================================================================
@@ -353,12 +674,77 @@ Examples:
 async function main() {
     const args = parseArgs()
 
-    if (!args.from || !args.to || !args.amount) {
-        console.error('Error: --from, --to, and --amount are required')
+    if (args.resume) {
+        let config
+        try {
+            config = loadConfig(args.configDir)
+        } catch (error) {
+            console.error(`Error: ${error.message}`)
+            process.exit(1)
+        }
+        let provider
+        try {
+            ({ provider } = await connectNetwork(config, args))
+            requireZodiacHelpers()
+        } catch (error) {
+            console.error(`Error: ${error.message}`)
+            process.exit(1)
+        }
+        await resumeOrder(args, config, provider)
+        return
+    }
+
+    if (!args.from || !args.to || (!args.amount && !args.buyAmount)) {
+        console.error('Error: --from, --to, and --amount (or --buy-amount) are required')
         printHelp()
         process.exit(1)
     }
 
+    if (args.amount && args.buyAmount) {
+        console.error('Error: use either --amount (sell exact) or --buy-amount (buy exact), not both')
+        process.exit(1)
+    }
+
+    let slippagePolicy
+    try {
+        slippagePolicy = createSlippagePolicy({ slippage: args.slippage, maxSlippage: args.maxSlippage })
+    } catch (error) {
+        console.error(`Error: ${error.message}`)
+        process.exit(1)
+    }
+
+    if (!APPROVAL_MODES.includes(args.approve)) {
+        console.error(`Error: --approve must be one of: ${APPROVAL_MODES.join(', ')}`)
+        process.exit(1)
+    }
+
+    const kind = args.buyAmount ? 'buy' : 'sell'
+    const isLimit = !!(args.limitPrice || args.minOut)
+
+    if (args.limitPrice && args.minOut) {
+        console.error('Error: use either --limit-price or --min-out, not both')
+        process.exit(1)
+    }
+
+    if (args.minOut && kind === 'buy') {
+        console.error('Error: --min-out applies to sell orders; use --limit-price with --buy-amount')
+        process.exit(1)
+    }
+
+    let expirySeconds
+    if (isLimit) {
+        try {
+            expirySeconds = parseExpiry(args.expiry)
+        } catch (error) {
+            console.error(`Error: ${error.message}`)
+            process.exit(1)
+        }
+        if (expirySeconds < 60 || expirySeconds > 365 * 86400) {
+            console.error('Error: --expiry must be between 1 minute and 365 days')
+            process.exit(1)
+        }
+    }
+
     let config
     try {
         config = loadConfig(args.configDir)
@@ -367,7 +753,24 @@ async function main() {
         process.exit(1)
     }
 
-    const provider = new ethers.JsonRpcProvider(args.rpc)
+    // Connect first: policy token symbols resolve on the wallet's network
+    let network, provider
+    try {
+        ({ network, provider } = await connectNetwork(config, args))
+        requireZodiacHelpers(network)
+    } catch (error) {
+        console.error(`Error: ${error.message}`)
+        process.exit(1)
+    }
+    const { nativeCurrency, wrappedNative } = network
+
+    const policy = loadPolicyOrExit(args.configDir)
+    if (policy && !isLimit) {
+        const checked = checkSlippage(policy, slippagePolicy)
+        exitOnViolations(policy, checked.violations)
+        slippagePolicy = checked.slippagePolicy
+    }
+
     const safeAddress = config.safe
 
     console.log('\nResolving tokens...\n')
@@ -389,15 +792,23 @@ async function main() {
 
     // CoW Protocol only works with ERC20s - substitute ETH with WETH
     let ethSubstituted = false
+    let receivesEth = false
     if (tokenIn.address.toLowerCase() === NATIVE_ETH) {
-        console.log('Note: CoW Protocol requires ERC20 tokens. Using WETH instead of ETH.')
-        tokenIn = { ...tokenIn, address: WETH_ADDRESS, symbol: 'WETH' }
+        console.log(`Note: CoW Protocol requires ERC20 tokens. Using ${wrappedNative.symbol} instead of ${nativeCurrency}.`)
+        tokenIn = { ...tokenIn, address: wrappedNative.address, symbol: wrappedNative.symbol }
         ethSubstituted = true
     }
     if (tokenOut.address.toLowerCase() === NATIVE_ETH) {
-        console.log('Note: CoW Protocol requires ERC20 tokens. Receiving WETH instead of ETH.')
-        tokenOut = { ...tokenOut, address: WETH_ADDRESS, symbol: 'WETH' }
+        console.log(`Note: CoW Protocol requires ERC20 tokens. Receiving ${wrappedNative.symbol} instead of ${nativeCurrency}.`)
+        if (!args.unwrap) console.log(`      Add --unwrap to convert the ${wrappedNative.symbol} to ${nativeCurrency} once the order fills.`)
+        tokenOut = { ...tokenOut, address: wrappedNative.address, symbol: wrappedNative.symbol }
         ethSubstituted = true
+        receivesEth = true
+    }
+
+    if (args.unwrap && !receivesEth) {
+        console.error(`Error: --unwrap only applies when swapping to ${nativeCurrency}`)
+        process.exit(1)
     }
 
     console.log(`From: ${tokenIn.symbol} ${tokenIn.verified ? '(verified)' : '(unverified)'}`)
@@ -407,32 +818,124 @@ async function main() {
     console.log(`To:   ${tokenOut.symbol} ${tokenOut.verified ? '(verified)' : '(unverified)'}`)
     console.log(`      ${tokenOut.address}`)
     if (tokenOut.warning) console.log(`\n${tokenOut.warning}\n`)
-    
-    const slippageBps = Math.round(args.slippage * 10000)
-    const minAmountOut = quote.minAmountOut || (quote.amountOut * BigInt(10000 - slippageBps) / 10000n)
-    const amountIn = ethers.parseUnits(args.amount, tokenIn.decimals)
-    console.log(`\nAmount: ${formatAmount(amountIn, tokenIn.decimals, tokenIn.symbol)}`)
+
+    exitOnViolations(policy, await checkTokens(policy, args.configDir, [tokenIn, tokenOut]))
+
+    let amountIn
+    let amountOut
+    if (kind === 'buy') {
+        amountOut = ethers.parseUnits(args.buyAmount, tokenOut.decimals)
+        console.log(`\nBuy amount: ${formatAmount(amountOut, tokenOut.decimals, tokenOut.symbol)} (exact output)`)
+    } else {
+        amountIn = ethers.parseUnits(args.amount, tokenIn.decimals)
+        console.log(`\nAmount: ${formatAmount(amountIn, tokenIn.decimals, tokenIn.symbol)}`)
+    }
+
+    const sellAllowance = await getSellAllowance(provider, config, tokenIn.address)
+    if (sellAllowance) {
+        const refill = sellAllowance.nextRefill === null ? '' : `, refills ${formatRefill(sellAllowance.nextRefill)}`
+        console.log(`Spending limit: ${describeLimit(sellAllowance.limit)}, left ${formatAmount(sellAllowance.remaining, tokenIn.decimals, tokenIn.symbol)}${refill}`)
+    }
+    if (kind === 'sell' && sellAllowance && amountIn > sellAllowance.remaining && args.fitLimit) {
+        if (sellAllowance.remaining === 0n) {
+            console.error(`\nError: nothing left of the ${tokenIn.symbol} spending limit`)
+            process.exit(1)
+        }
+        amountIn = sellAllowance.remaining
+        console.log(`Shrunk to the spending limit: ${formatAmount(amountIn, tokenIn.decimals, tokenIn.symbol)}`)
+    }
+    if (kind === 'sell') {
+        try {
+            checkSellAllowance(sellAllowance, amountIn, tokenIn)
+        } catch (error) {
+            console.error(`\nError: ${error.message}`)
+            console.error('Add --fit-limit to sell only what is left, or wait for the refill.')
+            process.exit(1)
+        }
+    }
+
+    // Get CoW quote
+    console.log('\nGetting CoW Protocol quote...\n')
+
+    let quoteResponse = null
+    try {
+        quoteResponse = kind === 'buy'
+            ? await getCowQuote(tokenIn, tokenOut, amountOut, safeAddress, 'buy')
+            : await getCowQuote(tokenIn, tokenOut, amountIn, safeAddress, 'sell')
+    } catch (error) {
+        // Limit orders only use the quote as a sanity check
+        if (!isLimit) {
+            console.error(`${error.message}`)
+            console.error(`\nTip: If CoW has no liquidity for this pair, try using the contract address directly.`)
+            process.exit(1)
+        }
+        console.log(`Warning: ${error.message}`)
+        console.log('Continuing without a market price check.\n')
+    }
+
+    const q = quoteResponse?.quote
+    let limits
+    if (isLimit) {
+        try {
+            limits = computeLimitAmounts({
+                kind, amountIn, amountOut, limitPrice: args.limitPrice, minOut: args.minOut, tokenIn, tokenOut,
+            })
+        } catch (error) {
+            console.error(`Error: ${error.message}`)
+            process.exit(1)
+        }
+    } else {
+        limits = computeOrderLimits(q, slippagePolicy)
+    }
+    const sellAmount = q ? BigInt(q.sellAmount) : limits.sellAmount
+    const buyAmount = q ? BigInt(q.buyAmount) : limits.buyAmount
+    const feeAmount = q ? BigInt(q.feeAmount) : 0n
+
+    // For buy orders the Safe must hold the maximum sell amount (quote + fee + slippage,
+    // or the limit price)
+    if (kind === 'buy') {
+        amountIn = limits.sellAmount
+        try {
+            checkSellAllowance(sellAllowance, amountIn, tokenIn)
+        } catch (error) {
+            console.error(`\nError: ${error.message}`)
+            console.error('Buy orders sign their maximum sell amount; buy less, or sell what is left with --amount.')
+            process.exit(1)
+        }
+    }
+
+    if (policy) {
+        const size = await checkTradeSize(policy, {
+            provider, configDir: args.configDir, safeAddress, sellToken: tokenIn, sellAmount: amountIn,
+        })
+        exitOnViolations(policy, size.violations)
+        if (size.tradeUsd !== null) {
+            const share = size.portfolioUsd ? ` (${(size.tradeUsd / size.portfolioUsd * 100).toFixed(1)}% of portfolio)` : ''
+            console.log(`Trade value: ~$${size.tradeUsd.toFixed(2)}${share}, within policy`)
+        }
+    }
 
     // Check balance — when selling ETH via CoW, check both ETH and WETH
     let balance
     let wrapAmount = 0n
-    if (ethSubstituted && tokenIn.address.toLowerCase() === WETH_ADDRESS.toLowerCase()) {
-        const wethContract = new ethers.Contract(WETH_ADDRESS, ERC20_ABI, provider)
+    if (ethSubstituted && tokenIn.address.toLowerCase() === wrappedNative.address.toLowerCase()) {
+        const wethContract = new ethers.Contract(wrappedNative.address, ERC20_ABI, provider)
         const wethBalance = await wethContract.balanceOf(safeAddress)
         const ethBalance = await provider.getBalance(safeAddress)
+        const width = wrappedNative.symbol.length + 1
 
-        console.log(`Safe WETH balance: ${formatAmount(wethBalance, 18, 'WETH')}`)
-        console.log(`Safe ETH balance:  ${formatAmount(ethBalance, 18, 'ETH')}`)
+        console.log(`Safe ${`${wrappedNative.symbol} balance:`.padEnd(width + 9)}${formatAmount(wethBalance, 18, wrappedNative.symbol)}`)
+        console.log(`Safe ${`${nativeCurrency} balance:`.padEnd(width + 9)}${formatAmount(ethBalance, 18, nativeCurrency)}`)
 
         if (wethBalance >= amountIn) {
             balance = wethBalance
         } else if (wethBalance + ethBalance >= amountIn) {
             wrapAmount = amountIn - wethBalance
             balance = amountIn // sufficient after wrapping
-            console.log(`Will wrap ${formatAmount(wrapAmount, 18, 'ETH')} to WETH as part of the swap transaction`)
+            console.log(`Will wrap ${formatAmount(wrapAmount, 18, nativeCurrency)} to ${wrappedNative.symbol} as part of the swap transaction`)
         } else {
-            console.error(`\nInsufficient ETH + WETH balance in Safe`)
-            console.error(`Need ${formatAmount(amountIn, 18, 'WETH')}, have ${formatAmount(wethBalance, 18, 'WETH')} + ${formatAmount(ethBalance, 18, 'ETH')}`)
+            console.error(`\nInsufficient ${nativeCurrency} + ${wrappedNative.symbol} balance in Safe`)
+            console.error(`Need ${formatAmount(amountIn, 18, wrappedNative.symbol)}, have ${formatAmount(wethBalance, 18, wrappedNative.symbol)} + ${formatAmount(ethBalance, 18, nativeCurrency)}`)
             process.exit(1)
         }
     } else {
@@ -442,54 +945,85 @@ async function main() {
 
         if (balance < amountIn) {
             console.error(`\nInsufficient ${tokenIn.symbol} balance in Safe`)
+            if (kind === 'buy') {
+                console.error(`Need up to ${formatAmount(amountIn, tokenIn.decimals, tokenIn.symbol)} (max sell incl. fee and slippage)`)
+            }
             process.exit(1)
         }
     }
 
-    // Get CoW quote
-    console.log('\nGetting CoW Protocol quote...\n')
-
-    let quoteResponse
-    try {
-        quoteResponse = await getCowQuote(tokenIn, tokenOut, amountIn, safeAddress)
-    } catch (error) {
-        console.error(`${error.message}`)
-        console.error(`\nTip: If CoW has no liquidity for this pair, try using the contract address directly.`)
-        process.exit(1)
-    }
+    // Orders for a token the Safe never approved would sit unfillable until expiry
+    const approveAmount = await getRequiredApproval(provider, tokenIn.address, safeAddress, amountIn, args.approve)
 
-    const q = quoteResponse.quote
-    const sellAmount = BigInt(q.sellAmount)
-    const buyAmount = BigInt(q.buyAmount)
-    const feeAmount = BigInt(q.feeAmount)
+    const slippageLabel = isLimit ? null : describeSlippage(limits)
 
+    console.log('')
     console.log('='.repeat(55))
-    console.log('                    SWAP SUMMARY')
+    console.log(isLimit ? '                 LIMIT ORDER SUMMARY' : '                    SWAP SUMMARY')
     console.log('='.repeat(55))
-    console.log(`  You pay:      ${formatAmount(amountIn, tokenIn.decimals, tokenIn.symbol)}`)
-    console.log(`  Fee:          ${formatAmount(feeAmount, tokenIn.decimals, tokenIn.symbol)}`)
-    console.log(`  You sell:     ${formatAmount(sellAmount, tokenIn.decimals, tokenIn.symbol)} (after fee)`)
-    // Smart slippage for display (same formula as submitCowOrder)
-    const displayFeeSlippage = feeAmount * 3n / 2n
-    const displayVolSlippage = sellAmount * 5n / 1000n
-    const displayTotalSlippage = displayFeeSlippage + displayVolSlippage
-    const displayBuySlippage = sellAmount > 0n
-        ? displayTotalSlippage * buyAmount / sellAmount
-        : buyAmount * 5n / 1000n
-    const minReceive = buyAmount - displayBuySlippage
-    const slippagePct = Number(displayBuySlippage * 10000n / buyAmount) / 100
-    console.log(`  You receive:  ~${formatAmount(buyAmount, tokenOut.decimals, tokenOut.symbol)}`)
-    console.log(`  Min receive:  ${formatAmount(minAmountOut, tokenOut.decimals, tokenOut.symbol)} (${(slippageBps / 100).toFixed(2)}% slippage)`)
-    console.log(`  Expires in:   ${args.timeout}s`)
+    if (isLimit) {
+        const limitRate = Number(ethers.formatUnits(limits.buyAmount, tokenOut.decimals)) /
+            Number(ethers.formatUnits(limits.sellAmount, tokenIn.decimals))
+        if (kind === 'buy') {
+            console.log(`  You buy:      ${formatAmount(limits.buyAmount, tokenOut.decimals, tokenOut.symbol)} (exact)`)
+            console.log(`  Max pay:      ${formatAmount(limits.sellAmount, tokenIn.decimals, tokenIn.symbol)}`)
+        } else {
+            console.log(`  You sell:     ${formatAmount(limits.sellAmount, tokenIn.decimals, tokenIn.symbol)} (exact)`)
+            console.log(`  Min receive:  ${formatAmount(limits.buyAmount, tokenOut.decimals, tokenOut.symbol)}`)
+        }
+        console.log(`  Limit price:  1 ${tokenIn.symbol} = ${limitRate.toPrecision(6)} ${tokenOut.symbol}`)
+        if (q) {
+            // Compare against the market rate including the quoted fee
+            const marketRate = Number(ethers.formatUnits(buyAmount, tokenOut.decimals)) /
+                Number(ethers.formatUnits(sellAmount + feeAmount, tokenIn.decimals))
+            const deviation = (limitRate / marketRate - 1) * 100
+            const side = deviation >= 0 ? 'above' : 'below'
+            console.log(`  Market price: 1 ${tokenIn.symbol} = ${marketRate.toPrecision(6)} ${tokenOut.symbol} (limit ${Math.abs(deviation).toFixed(2)}% ${side})`)
+            if (deviation < -5) {
+                console.log(`  Warning:      limit is well below market and will likely fill at once`)
+            } else if (deviation > 50) {
+                console.log(`  Warning:      limit is far above market and may never fill`)
+            }
+        }
+        console.log(`  Fill:         ${args.partial ? 'partially fillable' : 'fill or kill'}`)
+        console.log(`  Expires:      ${new Date((Math.floor(Date.now() / 1000) + expirySeconds) * 1000).toISOString()} (${args.expiry})`)
+    } else if (kind === 'buy') {
+        console.log(`  You buy:      ${formatAmount(buyAmount, tokenOut.decimals, tokenOut.symbol)} (exact)`)
+        console.log(`  You pay:      ~${formatAmount(sellAmount + feeAmount, tokenIn.decimals, tokenIn.symbol)}`)
+        console.log(`  Fee:          ${formatAmount(feeAmount, tokenIn.decimals, tokenIn.symbol)} (included)`)
+        console.log(`  Max pay:      ${formatAmount(limits.sellAmount, tokenIn.decimals, tokenIn.symbol)} (${slippageLabel})`)
+    } else {
+        console.log(`  You pay:      ${formatAmount(amountIn, tokenIn.decimals, tokenIn.symbol)}`)
+        console.log(`  Fee:          ${formatAmount(feeAmount, tokenIn.decimals, tokenIn.symbol)}`)
+        console.log(`  You sell:     ${formatAmount(sellAmount, tokenIn.decimals, tokenIn.symbol)} (after fee)`)
+        console.log(`  You receive:  ~${formatAmount(buyAmount, tokenOut.decimals, tokenOut.symbol)}`)
+        console.log(`  Min receive:  ${formatAmount(limits.buyAmount, tokenOut.decimals, tokenOut.symbol)} (${slippageLabel})`)
+    }
+    if (!isLimit) {
+        console.log(`  Expires in:   ${args.timeout}s`)
+    }
     if (wrapAmount > 0n) {
-        console.log(`  ETH wrap:     ${formatAmount(wrapAmount, 18, 'ETH')} → WETH (bundled in tx)`)
+        console.log(`  ${`${nativeCurrency} wrap:`.padEnd(14)}${formatAmount(wrapAmount, 18, nativeCurrency)} → ${wrappedNative.symbol} (bundled in tx)`)
+    }
+    if (approveAmount !== null) {
+        console.log(`  Approval:     ${formatApproval(approveAmount, tokenIn)} for CoW Vault Relayer (bundled in tx)`)
     }
     console.log(`  MEV protected via CoW Protocol batch auction`)
     console.log('='.repeat(55))
 
     if (!args.execute) {
         console.log('\nQUOTE ONLY - Add --execute to perform the swap')
-        console.log(`\nTo execute: node swap.js --from "${args.from}" --to "${args.to}" --amount ${args.amount} --execute`)
+        const flags = [kind === 'buy' ? `--buy-amount ${args.buyAmount}` : `--amount ${args.amount}`]
+        if (args.limitPrice) flags.push(`--limit-price ${args.limitPrice}`)
+        if (args.minOut) flags.push(`--min-out ${args.minOut}`)
+        if (isLimit) flags.push(`--expiry ${args.expiry}`)
+        if (args.partial) flags.push('--partial')
+        if (args.unwrap) flags.push('--unwrap')
+        if (args.approve !== 'exact') flags.push(`--approve ${args.approve}`)
+        if (args.fitLimit) flags.push('--fit-limit')
+        if (args.slippage !== null) flags.push(`--slippage ${args.slippage}`)
+        if (args.maxSlippage !== null) flags.push(`--max-slippage ${args.maxSlippage}`)
+        console.log(`\nTo execute: node swap.js --from "${args.from}" --to "${args.to}" ${flags.join(' ')} --execute`)
         process.exit(0)
     }
 
@@ -499,16 +1033,7 @@ async function main() {
 
     console.log('\nExecuting CoW Protocol swap...\n')
 
-    const agentPkPath = path.join(args.configDir, 'agent.pk')
-    if (!fs.existsSync(agentPkPath)) {
-        console.error('Error: Agent private key not found')
-        process.exit(1)
-    }
-    let privateKey = fs.readFileSync(agentPkPath, 'utf8').trim()
-    if (!privateKey.startsWith('0x')) privateKey = '0x' + privateKey
-
-    const wallet = new ethers.Wallet(privateKey, provider)
-    const roles = new ethers.Contract(config.roles, ROLES_ABI, wallet)
+    const roles = await connectRoles(config, args.configDir, provider)
 
     const zodiacHelpersAddress = config.contracts?.ZodiacHelpers
     if (!zodiacHelpersAddress) {
@@ -520,7 +1045,17 @@ async function main() {
     console.log('Step 1: Submitting order to CoW Protocol...')
     let orderUid, order
     try {
-        const result = await submitCowOrder(quoteResponse, safeAddress, args.timeout)
+        const result = isLimit
+            ? await submitLimitOrder({
+                sellToken: tokenIn.address,
+                buyToken: tokenOut.address,
+                sellAmount: limits.sellAmount,
+                buyAmount: limits.buyAmount,
+                kind,
+                partiallyFillable: args.partial,
+                validTo: Math.floor(Date.now() / 1000) + expirySeconds,
+            }, safeAddress)
+            : await submitCowOrder(quoteResponse, limits, safeAddress, args.timeout)
         orderUid = result.orderUid
         order = result.order
     } catch (error) {
@@ -528,104 +1063,49 @@ async function main() {
         process.exit(1)
     }
     console.log(`   Order UID: ${orderUid}`)
-    console.log(`   Explorer:  https://explorer.cow.fi/base/orders/${orderUid}`)
+    console.log(`   Explorer:  ${orderExplorerUrl(orderUid)}`)
+
+    recordOrder(args.configDir, orderUid, {
+        orderClass: isLimit ? 'limit' : 'market',
+        kind,
+        sellToken: tokenSummary(tokenIn),
+        buyToken: tokenSummary(tokenOut),
+        wrapAmount,
+        approval: args.approve,
+        unwrap: args.unwrap,
+        quote: q || null,
+        slippage: isLimit ? null : { mode: limits.mode, bips: limits.slippageBips, capped: limits.capped },
+        order,
+    })
+    console.log(`   Journaled to ${LEDGER_FILE} (resume with --resume ${orderUid})`)
 
     // Step 2: Build on-chain operations (wrap + approve + presign) and execute
     // All operations are bundled into a single MultiSend transaction when multiple
     // steps are needed, saving gas and ensuring atomicity.
     console.log('\nStep 2: Executing on-chain operations...')
 
-    const zodiacHelpersInterface = new ethers.Interface(ZODIAC_HELPERS_ABI)
-    const cowPresignInterface = new ethers.Interface(COW_PRESIGN_ABI)
-    const multiSendTxs = []
+    const steps = buildOnChainSteps(order, orderUid, safeAddress, zodiacHelpersAddress, wrapAmount, approveAmount)
+    await executeSteps(steps, roles, config, args.configDir, orderUid)
 
-    // 2a: Wrap ETH → WETH if needed (user said ETH, CoW needs WETH)
-    if (wrapAmount > 0n) {
-        console.log(`   - Wrap ${formatAmount(wrapAmount, 18, 'ETH')} → WETH`)
-        const wrapData = zodiacHelpersInterface.encodeFunctionData('wrapETH', [wrapAmount])
-        multiSendTxs.push({ operation: 1, to: zodiacHelpersAddress, value: 0n, data: wrapData })
-    }
-
-    // 2b: Presign the order on-chain (must match submitted order exactly)
-    console.log('   - Presign CoW order')
-    const orderStruct = {
-        sellToken: order.sellToken,
-        buyToken: order.buyToken,
-        receiver: order.receiver || safeAddress,
-        sellAmount: BigInt(order.sellAmount),
-        buyAmount: BigInt(order.buyAmount),
-        validTo: order.validTo,
-        appData: order.appData,
-        feeAmount: 0n,
-        kind: kindToBytes32(order.kind),
-        partiallyFillable: order.partiallyFillable || false,
-        sellTokenBalance: balanceToBytes32(order.sellTokenBalance || 'erc20'),
-        buyTokenBalance: balanceToBytes32(order.buyTokenBalance || 'erc20'),
-    }
-
-    const presignData = cowPresignInterface.encodeFunctionData('cowPreSign', [
-        orderStruct,
-        orderUid,
-    ])
-    multiSendTxs.push({ operation: 1, to: zodiacHelpersAddress, value: 0n, data: presignData })
-
-    // Execute each operation individually via Roles (ZodiacHelpers is the allowed target)
-    for (let i = 0; i < multiSendTxs.length; i++) {
-        const tx = multiSendTxs[i]
-        console.log(`   Executing operation ${i + 1}/${multiSendTxs.length}...`)
-        const onChainTx = await roles.execTransactionWithRole(
-            tx.to,
-            tx.value,
-            tx.data,
-            1, // delegatecall
-            config.roleKey,
-            true
-        )
-        console.log(`   Transaction: ${onChainTx.hash}`)
-        const receipt = await onChainTx.wait()
-        if (receipt.status !== 1) {
-            console.error(`   Operation ${i + 1} failed!`)
-            process.exit(1)
+    // Limit orders rest in the CoW order book; don't hold the agent in the foreground
+    if (isLimit) {
+        printRestingOrder(orderUid, order)
+        if (args.unwrap) {
+            console.log(`Unwrap: node swap.js --resume ${orderUid} (once filled)`)
         }
+        process.exit(0)
     }
-    const lastTxHash = multiSendTxs.length > 0 ? 'see above' : 'none'
-
-    console.log('   All on-chain operations complete!')
-
-    // Step 3: Poll order status
-    console.log('\nStep 3: Waiting for order to be filled...')
-    console.log(`   Timeout: ${args.timeout}s`)
-
-    const result = await pollOrderStatus(orderUid, args.timeout * 1000)
-
-    switch (result.status) {
-        case 'fulfilled': {
-            let newBalance
-            const outContract = new ethers.Contract(tokenOut.address, ERC20_ABI, provider)
-            newBalance = await outContract.balanceOf(safeAddress)
 
-            console.log('\nSWAP COMPLETE')
-            console.log(`   Sold: ${formatAmount(sellAmount, tokenIn.decimals, tokenIn.symbol)}`)
-            console.log(`   Received: ~${formatAmount(buyAmount, tokenOut.decimals, tokenOut.symbol)}`)
-            console.log(`   New ${tokenOut.symbol} balance: ${formatAmount(newBalance, tokenOut.decimals, tokenOut.symbol)}`)
-            console.log(`   Explorer: https://explorer.cow.fi/base/orders/${orderUid}`)
-            break
-        }
-        case 'expired':
-            console.error('\nOrder expired without being filled.')
-            console.error('Tip: Try again with a higher slippage tolerance.')
-            process.exit(1)
-            break
-        case 'cancelled':
-            console.error('\nOrder was cancelled.')
-            process.exit(1)
-            break
-        case 'timeout':
-            console.error(`\nTimed out after ${args.timeout}s. Order may still be filled.`)
-            console.error(`Check status: https://explorer.cow.fi/base/orders/${orderUid}`)
-            process.exit(1)
-            break
-    }
+    await awaitSettlement(orderUid, args.timeout, {
+        configDir: args.configDir,
+        config,
+        provider,
+        safeAddress,
+        sellToken: tokenIn,
+        buyToken: tokenOut,
+        roles,
+        unwrap: args.unwrap,
+    })
 }
 
 main().catch(error => {
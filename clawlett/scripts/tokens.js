@@ -2,30 +2,16 @@
  * Shared token resolution module
  *
  * Provides verified token lists, symbol resolution, and DexScreener search
- * fallback for tokens not in the hardcoded list.
+ * fallback for tokens not in the hardcoded list. The lists are per network
+ * (networks.js); every lookup uses the network selected for the process.
  */
 
 import { ethers } from 'ethers'
+import { activeNetwork } from './networks.js'
 
 // ============================================================================
 // VERIFIED TOKENS - Safeguard against scam tokens
 // ============================================================================
-const VERIFIED_TOKENS = {
-    'ETH': '0x0000000000000000000000000000000000000000',  // Native ETH
-    'WETH': '0x4200000000000000000000000000000000000006',
-    'USDC': '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913',
-    'USDT': '0xfde4C96c8593536E31F229EA8f37b2ADa2699bb2',
-    'DAI': '0x50c5725949A6F0c72E6C4a641F24049A917DB0Cb',
-    'USDS': '0x820C137fa70C8691f0e44Dc420a5e53c168921Dc',
-    'AERO': '0x940181a94A35A4569E4529A3CDfB74e38FD98631',
-    'cbBTC': '0xcbB7C0000aB88B473b1f5aFd9ef808440eed33Bf',
-    'VIRTUAL': '0x0b3e328455c4059EEb9e3f84b5543F74E24e7E1b',
-    'DEGEN': '0x4ed4E862860beD51a9570b96d89aF5E1B0Efefed',
-    'BRETT': '0x532f27101965dd16442E59d40670FaF5eBB142E4',
-    'TOSHI': '0xAC1Bd2486aAf3B5C0fc3Fd868558b082a531B2B4',
-    'WELL': '0xA88594D404727625A9437C3f886C7643872296AE',
-    'BID': '0xa1832f7f4e534ae557f9b5ab76de54b1873e498b',
-}
 
 const TOKEN_ALIASES = {
     'ETHEREUM': 'ETH',
@@ -34,7 +20,28 @@ const TOKEN_ALIASES = {
     'TETHER': 'USDT',
 }
 
-const PROTECTED_SYMBOLS = ['ETH', 'WETH', 'USDC', 'USDT', 'DAI', 'USDS', 'AERO', 'cbBTC', 'BID']
+// Symbol → address of the selected network's verified tokens (the native
+// currency maps to the zero address)
+function verifiedTokens() {
+    return activeNetwork().tokens
+}
+
+function protectedSymbols() {
+    return activeNetwork().protectedSymbols
+}
+
+// Case-insensitive verified lookup (the lists keep symbols like cbBTC as
+// the token spells them). Returns { symbol, address } or null.
+function findVerifiedToken(symbol) {
+    const upper = String(symbol).toUpperCase()
+    const aliased = { ...TOKEN_ALIASES, ...activeNetwork().aliases }[upper] || upper
+    const entry = Object.entries(verifiedTokens()).find(([s]) => s.toUpperCase() === aliased.toUpperCase())
+    return entry ? { symbol: entry[0], address: entry[1] } : null
+}
+
+function isProtectedSymbol(symbol) {
+    return protectedSymbols().some(p => p.toUpperCase() === String(symbol).toUpperCase())
+}
 
 const NATIVE_ETH = '0x0000000000000000000000000000000000000000'
 
@@ -58,8 +65,8 @@ async function searchToken(symbol) {
     const data = await response.json()
     if (!data.pairs || data.pairs.length === 0) return null
 
-    // Filter to Base pairs only, then find exact symbol match on either token
-    const basePairs = data.pairs.filter(p => p.chainId === 'base')
+    // Filter to pairs on this network only, then find exact symbol match on either token
+    const basePairs = data.pairs.filter(p => p.chainId === activeNetwork().dexScreener)
     if (basePairs.length === 0) return null
 
     // Find the token matching the symbol (could be baseToken or quoteToken)
@@ -82,6 +89,20 @@ async function searchToken(symbol) {
     return null
 }
 
+// Deepest pool liquidity (USD) on this network for a token address, or null
+// if DexScreener doesn't know it
+async function getTokenLiquidity(address) {
+    const url = `https://api.dexscreener.com/latest/dex/tokens/${address}`
+    const response = await fetch(url)
+    if (!response.ok) return null
+
+    const data = await response.json()
+    const liquidity = (data.pairs || [])
+        .filter(p => p.chainId === activeNetwork().dexScreener && p.liquidity?.usd !== undefined)
+        .map(p => Number(p.liquidity.usd))
+    return liquidity.length > 0 ? Math.max(...liquidity) : null
+}
+
 // ============================================================================
 // TOKEN RESOLUTION
 // ============================================================================
@@ -95,13 +116,14 @@ async function resolveToken(token, provider) {
 
     const symbol = token.toUpperCase().replace(/^\$/, '')
     const aliasedSymbol = TOKEN_ALIASES[symbol] || symbol
+    const verified = findVerifiedToken(symbol)
 
-    if (VERIFIED_TOKENS[aliasedSymbol]) {
-        const address = VERIFIED_TOKENS[aliasedSymbol]
+    if (verified) {
+        const address = verified.address
 
-        // Native ETH doesn't have a contract
+        // The native currency doesn't have a contract
         if (address === NATIVE_ETH) {
-            return { address, symbol: 'ETH', decimals: 18, verified: true }
+            return { address, symbol: activeNetwork().nativeCurrency, decimals: 18, verified: true }
         }
 
         const tokenContract = new ethers.Contract(address, ERC20_ABI, provider)
@@ -117,14 +139,14 @@ async function resolveToken(token, provider) {
         }
     }
 
-    if (PROTECTED_SYMBOLS.includes(aliasedSymbol)) {
+    if (isProtectedSymbol(aliasedSymbol)) {
         throw new Error(
             `SECURITY: "${symbol}" is a protected token but no verified address found.\n` +
             `This could be a scam token. Use contract address directly if intended.`
         )
     }
 
-    // Fallback: search DexScreener for Base token
+    // Fallback: search DexScreener for a token on this network
     const searchResult = await searchToken(aliasedSymbol)
 
     if (searchResult) {
@@ -159,7 +181,7 @@ async function resolveToken(token, provider) {
     }
 
     throw new Error(
-        `Token "${symbol}" not found in verified list or DexScreener (Base).\n` +
+        `Token "${symbol}" not found in verified list or DexScreener (${activeNetwork().label}).\n` +
         `Use contract address directly: --from 0x...`
     )
 }
@@ -167,7 +189,7 @@ async function resolveToken(token, provider) {
 async function resolveByAddress(address, provider) {
     address = ethers.getAddress(address)
 
-    const verifiedEntry = Object.entries(VERIFIED_TOKENS).find(
+    const verifiedEntry = Object.entries(verifiedTokens()).find(
         ([, addr]) => addr.toLowerCase() === address.toLowerCase()
     )
 
@@ -184,10 +206,10 @@ async function resolveByAddress(address, provider) {
         verified: !!verifiedEntry,
     }
 
-    if (!verifiedEntry && PROTECTED_SYMBOLS.includes(symbol.toUpperCase())) {
+    if (!verifiedEntry && isProtectedSymbol(symbol)) {
         result.warning =
             `WARNING: Token has symbol "${symbol}" but is NOT the verified ${symbol}.\n` +
-            `Verified address: ${VERIFIED_TOKENS[symbol.toUpperCase()]}\n` +
+            `Verified address: ${findVerifiedToken(symbol)?.address}\n` +
             `You provided: ${address}\n` +
             `This could be a SCAM TOKEN.`
     }
@@ -196,11 +218,14 @@ async function resolveByAddress(address, provider) {
 }
 
 export {
-    VERIFIED_TOKENS,
     TOKEN_ALIASES,
-    PROTECTED_SYMBOLS,
     ERC20_ABI,
+    verifiedTokens,
+    protectedSymbols,
+    findVerifiedToken,
+    isProtectedSymbol,
     resolveToken,
     resolveByAddress,
     searchToken,
+    getTokenLiquidity,
 }
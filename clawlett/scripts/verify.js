@@ -0,0 +1,415 @@
+#!/usr/bin/env node
+
+/**
+ * On-chain permission audit
+ *
+ * Reads the Safe and Roles configuration from the chain and compares it with
+ * the policy Clawlett expects: the owner controls the Safe, Roles is the only
+ * module, Roles is owned by the Safe, the agent is the only role member and
+ * the role reaches exactly the expected targets. Differences are reported as
+ * drift; anything that grants more than expected (extra modules, owners,
+ * members, targets) is reported as a security finding.
+ *
+ * Roles v2 does not expose targets or members through views, so they are
+ * rebuilt from the Roles event history (cached in config/roles-events.json).
+ *
+ * Usage:
+ *   node verify.js
+ *   node verify.js --json
+ */
+
+import { ethers } from 'ethers'
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import {
+    ROLES_ABI,
+    Clearance,
+    EXECUTION_OPTION_NAMES,
+    getRoleStatus,
+    expectedRolePolicy,
+    syncRolesEvents,
+    replayRolesEvents,
+    getAllModules,
+} from './roles.js'
+import { connectNetwork } from './networks.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+const SAFE_ABI = [
+    'function getOwners() view returns (address[])',
+    'function getThreshold() view returns (uint256)',
+    'function getModulesPaginated(address start, uint256 pageSize) view returns (address[] array, address next)',
+]
+
+// Safe storage slots without getters
+const GUARD_STORAGE_SLOT = ethers.id('guard_manager.guard.address')
+const FALLBACK_HANDLER_STORAGE_SLOT = ethers.id('fallback_manager.handler.address')
+
+const SEVERITY_ORDER = { critical: 0, warning: 1, info: 2 }
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function parseArgs() {
+    const args = process.argv.slice(2)
+    const result = {
+        configDir: process.env.WALLET_CONFIG_DIR || path.join(__dirname, '..', 'config'),
+        network: null,
+        rpc: null,
+        json: false,
+    }
+
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--config-dir':
+            case '-c':
+                result.configDir = args[++i]
+                break
+            case '--network':
+                result.network = args[++i]
+                break
+            case '--rpc':
+            case '-r':
+                result.rpc = args[++i]
+                break
+            case '--json':
+            case '-j':
+                result.json = true
+                break
+            case '--help':
+            case '-h':
+                printHelp()
+                process.exit(0)
+        }
+    }
+
+    return result
+}
+
+function printHelp() {
+    console.log(`
+Usage: node verify.js [--json]
+
+Audit the Safe and Roles permissions on-chain against the expected policy.
+
+Checks:
+  - Safe owners and threshold, enabled modules, guard, fallback handler
+  - Roles owner / avatar / target and modules enabled on Roles
+  - Agent role membership and default role, other role members
+  - Every allowed or scoped target with its execution options
+  - MultiSend transaction unwrapper
+
+Options:
+  --config-dir, -c Config directory
+  --network        base, ethereum, arbitrum or gnosis (default: wallet.json's, else base)
+  --rpc, -r        RPC URL (default: $<NETWORK>_RPC_URL, else the network's public RPC)
+  --json, -j       Output machine-readable JSON
+
+Exits with status 1 when there is drift or a critical finding.
+`)
+}
+
+function loadConfig(configDir) {
+    const configPath = path.join(configDir, 'wallet.json')
+    if (!fs.existsSync(configPath)) {
+        throw new Error(`Config not found: ${configPath}\nRun initialize.js first.`)
+    }
+    return JSON.parse(fs.readFileSync(configPath, 'utf8'))
+}
+
+const sameAddress = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase()
+
+function slotAddress(value) {
+    return ethers.getAddress(ethers.dataSlice(value, 12))
+}
+
+// Label known addresses in the report
+function addressLabel(config, address) {
+    if (sameAddress(address, config.safe)) return 'Safe'
+    if (sameAddress(address, config.roles)) return 'Roles'
+    if (sameAddress(address, config.agent)) return 'agent'
+    if (sameAddress(address, config.owner)) return 'owner'
+    const name = Object.entries(config.contracts || {}).find(([, a]) => sameAddress(a, address))?.[0]
+    return name || null
+}
+
+function describeAddress(config, address) {
+    const label = addressLabel(config, address)
+    return label ? `${address} (${label})` : address
+}
+
+function describeTarget(target) {
+    if (!target || target.clearance === Clearance.None) return 'not allowed'
+    if (target.clearance === Clearance.Target) return `allowed (${EXECUTION_OPTION_NAMES[target.options]})`
+    const functions = Object.entries(target.functions)
+    return `scoped, ${functions.length} function${functions.length === 1 ? '' : 's'}`
+}
+
+// ============================================================================
+// ON-CHAIN STATE
+// ============================================================================
+
+async function readState(provider, config, configDir, quiet) {
+    const safe = new ethers.Contract(config.safe, SAFE_ABI, provider)
+    const roles = new ethers.Contract(config.roles, ROLES_ABI, provider)
+
+    const [owners, threshold, modules, guardSlot, fallbackSlot] = await Promise.all([
+        safe.getOwners(),
+        safe.getThreshold(),
+        getAllModules(safe),
+        provider.getStorage(config.safe, GUARD_STORAGE_SLOT),
+        provider.getStorage(config.safe, FALLBACK_HANDLER_STORAGE_SLOT),
+    ])
+
+    const [rolesOwner, rolesAvatar, rolesTarget, rolesModules, agentStatus] = await Promise.all([
+        roles.owner(),
+        roles.avatar(),
+        // Contract.target is the contract's own address
+        roles.getFunction('target')(),
+        getAllModules(roles),
+        getRoleStatus(provider, config.roles, config.roleKey, config.agent),
+    ])
+
+    const history = await syncRolesEvents(provider, config, configDir, { quiet })
+
+    return {
+        safe: {
+            owners: owners.map(a => ethers.getAddress(a)),
+            threshold: Number(threshold),
+            modules: modules.map(a => ethers.getAddress(a)),
+            guard: slotAddress(guardSlot),
+            fallbackHandler: slotAddress(fallbackSlot),
+        },
+        roles: {
+            owner: rolesOwner,
+            avatar: rolesAvatar,
+            target: rolesTarget,
+            modules: rolesModules.map(a => ethers.getAddress(a)),
+        },
+        agent: agentStatus,
+        history: { fromBlock: history.fromBlock, toBlock: history.toBlock, events: history.events.length },
+        ...replayRolesEvents(history.events),
+    }
+}
+
+// ============================================================================
+// AUDIT
+// ============================================================================
+
+// Returns { checks: [{ area, name, expected, actual, ok }], findings: [{ severity, area, message }] }
+function auditState(config, state) {
+    const policy = expectedRolePolicy(config)
+    const checks = []
+    const findings = []
+    const check = (area, name, expected, actual, ok) => checks.push({ area, name, expected, actual, ok })
+    const finding = (severity, area, message) => findings.push({ severity, area, message })
+
+    // Safe
+    const { safe } = state
+    check('safe', 'owner', config.owner, safe.owners.join(', '), safe.owners.some(a => sameAddress(a, config.owner)))
+    for (const owner of safe.owners) {
+        if (sameAddress(owner, config.agent)) {
+            finding('critical', 'safe', `Agent ${owner} is a Safe owner and can bypass Roles`)
+        } else if (!sameAddress(owner, config.owner)) {
+            finding('warning', 'safe', `Unexpected Safe owner ${owner}`)
+        }
+    }
+    check('safe', 'threshold', `1..${safe.owners.length}`, String(safe.threshold),
+        safe.threshold >= 1 && safe.threshold <= safe.owners.length)
+
+    check('safe', 'Roles module enabled', config.roles, safe.modules.join(', ') || 'none',
+        safe.modules.some(a => sameAddress(a, config.roles)))
+    for (const module of safe.modules) {
+        if (!sameAddress(module, config.roles)) {
+            finding('critical', 'safe', `Unexpected Safe module ${module} can execute any transaction from the Safe`)
+        }
+    }
+
+    if (safe.guard !== ethers.ZeroAddress) {
+        finding('warning', 'safe', `Transaction guard ${safe.guard} is set`)
+    }
+    const expectedHandler = config.contracts?.CompatibilityFallbackHandler
+    if (expectedHandler && !sameAddress(safe.fallbackHandler, expectedHandler)) {
+        finding('warning', 'safe', `Fallback handler is ${safe.fallbackHandler}, expected ${expectedHandler}`)
+    }
+
+    // Roles modifier
+    const { roles } = state
+    check('roles', 'owner', config.safe, roles.owner, sameAddress(roles.owner, config.safe))
+    if (!sameAddress(roles.owner, config.safe)) {
+        finding('critical', 'roles', `Roles is owned by ${roles.owner}, which can change every permission`)
+    }
+    check('roles', 'avatar', config.safe, roles.avatar, sameAddress(roles.avatar, config.safe))
+    check('roles', 'target', config.safe, roles.target, sameAddress(roles.target, config.safe))
+    for (const module of roles.modules) {
+        finding('warning', 'roles', `Module ${module} is enabled on Roles and executes under its default role`)
+    }
+
+    // MultiSend unwrapper
+    for (const expected of policy.unwrappers) {
+        const actual = state.unwrappers.find(u => sameAddress(u.to, expected.to) && u.selector === expected.selector)
+        check('roles', 'MultiSend unwrapper', expected.adapter, actual?.adapter || 'none', sameAddress(actual?.adapter, expected.adapter))
+    }
+    for (const unwrapper of state.unwrappers) {
+        if (!policy.unwrappers.some(u => sameAddress(u.to, unwrapper.to) && u.selector === unwrapper.selector)) {
+            finding('warning', 'roles', `Unexpected transaction unwrapper ${unwrapper.adapter} for ${unwrapper.to} ${unwrapper.selector}`)
+        }
+    }
+
+    // Membership
+    const { agent } = state
+    check('role', 'agent is member', 'member', agent.member ? 'member' : 'not a member', agent.member)
+    check('role', 'agent default role', policy.roleKey, agent.defaultRole, agent.hasDefaultRole)
+
+    const members = state.members[policy.roleKey] || []
+    for (const member of members) {
+        if (!policy.members.some(a => sameAddress(a, member))) {
+            finding('critical', 'role', `Unexpected role member ${member}`)
+        }
+    }
+    if (agent.member !== members.some(a => sameAddress(a, config.agent))) {
+        finding('warning', 'role', 'Role event history disagrees with the on-chain membership check')
+    }
+    for (const [roleKey, holders] of Object.entries(state.members)) {
+        if (roleKey !== policy.roleKey && holders.length > 0) {
+            finding('warning', 'role', `Other role ${roleKey} has members: ${holders.join(', ')}`)
+        }
+    }
+
+    // Targets
+    const actualTargets = state.targets[policy.roleKey] || {}
+    for (const expected of policy.targets) {
+        const actual = actualTargets[expected.address]
+        const ok = actual?.clearance === expected.clearance &&
+            (expected.clearance !== Clearance.Target || actual.options === expected.options)
+        check('targets', expected.name, describeTarget(expected), describeTarget(actual), ok)
+
+        if (actual && actual.clearance === Clearance.Target && expected.clearance === Clearance.Target &&
+            (actual.options & ~expected.options) !== 0) {
+            finding('critical', 'targets', `${expected.name} allows ${EXECUTION_OPTION_NAMES[actual.options]}, expected only ${EXECUTION_OPTION_NAMES[expected.options]}`)
+        }
+        if (actual && actual.clearance === Clearance.Target && expected.clearance === Clearance.Function) {
+            finding('critical', 'targets', `${expected.name} allows every function, expected only scoped functions`)
+        }
+
+        if (expected.clearance === Clearance.Function && actual?.clearance === Clearance.Function) {
+            for (const [selector, fn] of Object.entries(expected.functions)) {
+                const got = actual.functions[selector]
+                const sameConditions = !!got && JSON.stringify(got.conditions) === JSON.stringify(fn.conditions)
+                const fnOk = !!got && got.options === fn.options && got.scoped === fn.scoped && sameConditions
+                check('targets', `${expected.name}.${fn.name || selector}`,
+                    `${fn.scoped ? 'scoped' : 'allowed'} (${EXECUTION_OPTION_NAMES[fn.options]})`,
+                    got
+                        ? `${got.scoped ? 'scoped' : 'allowed'} (${EXECUTION_OPTION_NAMES[got.options]})${sameConditions ? '' : ', other conditions'}`
+                        : 'not allowed',
+                    fnOk)
+            }
+            for (const selector of Object.keys(actual.functions)) {
+                if (!expected.functions[selector]) {
+                    finding('critical', 'targets', `${expected.name} allows unexpected function ${selector}`)
+                }
+            }
+        }
+    }
+    for (const [address, actual] of Object.entries(actualTargets)) {
+        if (actual.clearance === Clearance.None) continue
+        if (!policy.targets.some(t => sameAddress(t.address, address))) {
+            finding('critical', 'targets', `Unexpected target ${describeAddress(config, address)}: ${describeTarget(actual)}`)
+        }
+    }
+
+    // Spending limits
+    for (const expected of policy.allowances) {
+        const actual = state.allowances[expected.key]
+        const ok = !!actual && actual.maxRefill === expected.maxRefill &&
+            actual.refill === expected.refill && actual.period === expected.period
+        check('limits', expected.name, `${expected.maxRefill} per ${expected.period}s`,
+            actual ? `${actual.maxRefill} per ${actual.period}s` : 'not set', ok)
+    }
+    if (config.pendingSpendingLimits) {
+        finding('info', 'limits', 'A spending limit change is pending; after the owner batch run: node limits.js --verify')
+    }
+
+    findings.sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity])
+    return { checks, findings }
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+async function main() {
+    const args = parseArgs()
+    const config = loadConfig(args.configDir)
+
+    if (!config.roles || !config.roleKey) {
+        throw new Error('Roles address not found in config. Re-run initialize.js.')
+    }
+
+    const { provider } = await connectNetwork(config, args)
+    const state = await readState(provider, config, args.configDir, args.json)
+    const { checks, findings } = auditState(config, state)
+
+    const drift = checks.filter(c => !c.ok)
+    const failed = drift.length > 0 || findings.some(f => f.severity === 'critical')
+
+    if (args.json) {
+        console.log(JSON.stringify({
+            safe: config.safe,
+            roles: config.roles,
+            agent: config.agent,
+            ok: !failed,
+            checks,
+            findings,
+            state: {
+                safe: state.safe,
+                roles: state.roles,
+                members: state.members,
+                targets: state.targets,
+                unwrappers: state.unwrappers,
+                history: state.history,
+            },
+        }, null, 2))
+        if (failed) process.exit(1)
+        return
+    }
+
+    console.log(`\nSafe:  ${config.safe}`)
+    console.log(`Roles: ${config.roles}`)
+    console.log(`Agent: ${config.agent}`)
+    console.log(`Events: ${state.history.events} Roles events, blocks ${state.history.fromBlock}-${state.history.toBlock}`)
+
+    let area = null
+    for (const c of checks) {
+        if (c.area !== area) {
+            area = c.area
+            console.log(`\n[${area}]`)
+        }
+        const line = `   ${c.ok ? 'OK   ' : 'DRIFT'} ${c.name}: ${c.actual}`
+        console.log(c.ok ? line : `${line} (expected ${c.expected})`)
+    }
+
+    if (findings.length > 0) {
+        console.log('\nSecurity findings:')
+        for (const f of findings) {
+            console.log(`   ${f.severity.toUpperCase().padEnd(8)} [${f.area}] ${f.message}`)
+        }
+    }
+
+    if (!failed) {
+        console.log(`\nPermissions match the expected policy${findings.length > 0 ? ' (see warnings above)' : ''}.\n`)
+        return
+    }
+    console.log(`\n${drift.length} check(s) drifted, ${findings.filter(f => f.severity === 'critical').length} critical finding(s).`)
+    console.log('Setups from older versions: node migrate.js')
+    console.log('Emergency freeze: node killswitch.js\n')
+    process.exit(1)
+}
+
+main().catch(error => {
+    console.error(`\nError: ${error.message}`)
+    process.exit(1)
+})
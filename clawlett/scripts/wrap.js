@@ -0,0 +1,286 @@
+#!/usr/bin/env node
+
+/**
+ * Wrap ETH to WETH or unwrap WETH to ETH (via Safe + Zodiac Roles)
+ *
+ * Calls ZodiacHelpers wrapETH / unwrapWETH through a Roles delegatecall,
+ * so the conversion happens inside the Safe. On networks whose native
+ * currency is not ETH the same calls wrap it into its wrapped token
+ * (xDAI → WXDAI on Gnosis).
+ *
+ * Usage:
+ *   node wrap.js --amount 0.5                      # Quote wrap
+ *   node wrap.js --amount 0.5 --execute            # Wrap 0.5 ETH
+ *   node wrap.js --unwrap --amount 0.5 --execute   # Unwrap 0.5 WETH
+ *   node wrap.js --unwrap --amount max --execute   # Unwrap all WETH
+ */
+
+import { ethers } from 'ethers'
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { ERC20_ABI } from './tokens.js'
+import { createAgentSigner } from './signer.js'
+import { connectNetwork, requireZodiacHelpers } from './networks.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+// ABIs
+const ROLES_ABI = [
+    'function execTransactionWithRole(address to, uint256 value, bytes data, uint8 operation, bytes32 roleKey, bool shouldRevert) returns (bool)',
+]
+
+const ZODIAC_HELPERS_ABI = [
+    'function wrapETH(uint256 amount) external',
+    'function unwrapWETH(uint256 amount) external',
+]
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function formatAmount(amount, decimals, symbol) {
+    const formatted = ethers.formatUnits(amount, decimals)
+    const num = parseFloat(formatted)
+    if (num === 0) return `0 ${symbol}`
+    if (num < 0.0001) return `${formatted} ${symbol}`
+    return `${num.toLocaleString(undefined, { maximumFractionDigits: 6 })} ${symbol}`
+}
+
+function loadConfig(configDir) {
+    const configPath = path.join(configDir, 'wallet.json')
+    if (!fs.existsSync(configPath)) {
+        throw new Error(`Config not found: ${configPath}\nRun initialize.js first.`)
+    }
+    return JSON.parse(fs.readFileSync(configPath, 'utf8'))
+}
+
+function parseArgs() {
+    const args = process.argv.slice(2)
+    const result = {
+        amount: null,
+        unwrap: false,
+        execute: false,
+        configDir: process.env.WALLET_CONFIG_DIR || path.join(__dirname, '..', 'config'),
+        network: null,
+        rpc: null,
+        json: false,
+    }
+
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--amount':
+            case '-a':
+                result.amount = args[++i]
+                break
+            case '--unwrap':
+            case '-u':
+                result.unwrap = true
+                break
+            case '--execute':
+            case '-x':
+                result.execute = true
+                break
+            case '--config-dir':
+            case '-c':
+                result.configDir = args[++i]
+                break
+            case '--network':
+                result.network = args[++i]
+                break
+            case '--rpc':
+            case '-r':
+                result.rpc = args[++i]
+                break
+            case '--json':
+            case '-j':
+                result.json = true
+                break
+            case '--help':
+            case '-h':
+                printHelp()
+                process.exit(0)
+        }
+    }
+
+    return result
+}
+
+function printHelp() {
+    console.log(`
+Usage: node wrap.js --amount <AMOUNT|max> [--unwrap] [--execute]
+
+Wrap ETH to WETH (default) or unwrap WETH to ETH inside the Safe.
+
+Arguments:
+  --amount, -a     Amount to wrap/unwrap, or "max" for the full balance
+  --unwrap, -u     Unwrap WETH to ETH (default: wrap ETH to WETH)
+  --execute, -x    Execute (default: quote only)
+  --config-dir, -c Config directory
+  --network        base, ethereum, arbitrum or gnosis (default: wallet.json's, else base)
+  --rpc, -r        RPC URL (default: $<NETWORK>_RPC_URL, else the network's public RPC)
+  --json, -j       Output machine-readable JSON
+
+Examples:
+  node wrap.js --amount 0.5
+  node wrap.js --amount 0.5 --execute
+  node wrap.js --unwrap --amount max --execute
+`)
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+async function main() {
+    const args = parseArgs()
+
+    if (!args.amount) {
+        console.error('Error: --amount is required')
+        printHelp()
+        process.exit(1)
+    }
+
+    let config
+    try {
+        config = loadConfig(args.configDir)
+    } catch (error) {
+        console.error(`Error: ${error.message}`)
+        process.exit(1)
+    }
+
+    let network, provider
+    try {
+        ({ network, provider } = await connectNetwork(config, args))
+        requireZodiacHelpers(network)
+    } catch (error) {
+        console.error(`Error: ${error.message}`)
+        process.exit(1)
+    }
+    const safeAddress = config.safe
+    const weth = new ethers.Contract(network.wrappedNative.address, ERC20_ABI, provider)
+    const nativeSymbol = network.nativeCurrency
+    const wrappedSymbol = network.wrappedNative.symbol
+
+    const [ethBalance, wethBalance] = await Promise.all([
+        provider.getBalance(safeAddress),
+        weth.balanceOf(safeAddress),
+    ])
+
+    const [fromSymbol, toSymbol] = args.unwrap ? [wrappedSymbol, nativeSymbol] : [nativeSymbol, wrappedSymbol]
+    const available = args.unwrap ? wethBalance : ethBalance
+
+    let amount
+    if (args.amount.toLowerCase() === 'max') {
+        amount = available
+    } else {
+        try {
+            amount = ethers.parseEther(args.amount)
+        } catch {
+            console.error(`Error: invalid --amount "${args.amount}"`)
+            process.exit(1)
+        }
+    }
+
+    if (amount <= 0n) {
+        console.error(`Error: nothing to ${args.unwrap ? 'unwrap' : 'wrap'} (${fromSymbol} balance is ${formatAmount(available, 18, fromSymbol)})`)
+        process.exit(1)
+    }
+
+    if (available < amount) {
+        console.error(`Error: insufficient ${fromSymbol} balance in Safe`)
+        console.error(`Need ${formatAmount(amount, 18, fromSymbol)}, have ${formatAmount(available, 18, fromSymbol)}`)
+        process.exit(1)
+    }
+
+    const ethAfter = args.unwrap ? ethBalance + amount : ethBalance - amount
+    const wethAfter = args.unwrap ? wethBalance - amount : wethBalance + amount
+
+    const out = {
+        safe: safeAddress,
+        action: args.unwrap ? 'unwrap' : 'wrap',
+        amount: amount.toString(),
+        formatted: formatAmount(amount, 18, fromSymbol),
+        before: { eth: ethBalance.toString(), weth: wethBalance.toString() },
+        after: { eth: ethAfter.toString(), weth: wethAfter.toString() },
+        executed: false,
+        txHash: null,
+    }
+
+    if (!args.json) {
+        console.log(`\nSafe: ${safeAddress}\n`)
+        console.log('='.repeat(55))
+        console.log(`                    ${args.unwrap ? 'UNWRAP' : 'WRAP'} SUMMARY`)
+        console.log('='.repeat(55))
+        console.log(`  Convert:      ${formatAmount(amount, 18, fromSymbol)} → ${toSymbol}`)
+        console.log(`  ${`${nativeSymbol}:`.padEnd(14)}${formatAmount(ethBalance, 18, nativeSymbol)} → ${formatAmount(ethAfter, 18, nativeSymbol)}`)
+        console.log(`  ${`${wrappedSymbol}:`.padEnd(14)}${formatAmount(wethBalance, 18, wrappedSymbol)} → ${formatAmount(wethAfter, 18, wrappedSymbol)}`)
+        console.log('='.repeat(55))
+    }
+
+    if (!args.execute) {
+        if (args.json) {
+            console.log(JSON.stringify(out, null, 2))
+        } else {
+            console.log('\nQUOTE ONLY - Add --execute to perform the conversion')
+            console.log(`\nTo execute: node wrap.js ${args.unwrap ? '--unwrap ' : ''}--amount ${args.amount} --execute`)
+        }
+        return
+    }
+
+    const zodiacHelpersAddress = config.contracts?.ZodiacHelpers
+    if (!zodiacHelpersAddress) {
+        console.error('Error: ZodiacHelpers address not found in config. Re-run initialize.js.')
+        process.exit(1)
+    }
+
+    let wallet
+    try {
+        wallet = await createAgentSigner(config, args.configDir, provider)
+    } catch (error) {
+        console.error(`Error: ${error.message}`)
+        process.exit(1)
+    }
+    const roles = new ethers.Contract(config.roles, ROLES_ABI, wallet)
+
+    const helpersInterface = new ethers.Interface(ZODIAC_HELPERS_ABI)
+    const data = helpersInterface.encodeFunctionData(args.unwrap ? 'unwrapWETH' : 'wrapETH', [amount])
+
+    if (!args.json) console.log(`\n${args.unwrap ? 'Unwrapping' : 'Wrapping'} via ZodiacHelpers...`)
+    const tx = await roles.execTransactionWithRole(
+        zodiacHelpersAddress,
+        0n,
+        data,
+        1, // delegatecall
+        config.roleKey,
+        true
+    )
+    if (!args.json) console.log(`   Transaction: ${tx.hash}`)
+    const receipt = await tx.wait()
+    if (receipt.status !== 1) {
+        console.error('   Transaction failed!')
+        process.exit(1)
+    }
+
+    out.executed = true
+    out.txHash = tx.hash
+
+    if (args.json) {
+        console.log(JSON.stringify(out, null, 2))
+    } else {
+        const [newEth, newWeth] = await Promise.all([
+            provider.getBalance(safeAddress),
+            weth.balanceOf(safeAddress),
+        ])
+        console.log(`\n${args.unwrap ? 'UNWRAP' : 'WRAP'} COMPLETE`)
+        const width = wrappedSymbol.length + 2
+        console.log(`   ${`${nativeSymbol}:`.padEnd(width)}${formatAmount(newEth, 18, nativeSymbol)}`)
+        console.log(`   ${`${wrappedSymbol}:`.padEnd(width)}${formatAmount(newWeth, 18, wrappedSymbol)}\n`)
+    }
+}
+
+main().catch(error => {
+    console.error(`\nError: ${error.message}`)
+    process.exit(1)
+})